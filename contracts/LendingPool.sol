@@ -3,11 +3,14 @@
 pragma solidity ^0.8.18;
 
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
 import {VaultAccounting} from "./libraries/VaultAccounting.sol";
-import {TokenSupport} from "./TokenSupport.sol";
+import {LendingPoolBase} from "./LendingPoolBase.sol";
+import {PoolConfigurator} from "./PoolConfigurator.sol";
 import {PoolStructs} from "./interfaces/PoolStructs.sol";
-import {InterestRate} from "./libraries/InterestRate.sol";
-import {Pausable} from "./utils/Pausable.sol";
+import {IPermit2} from "./interfaces/IPermit2.sol";
 import "./libraries/TokenHelper.sol";
 
 /**
@@ -16,59 +19,17 @@ import "./libraries/TokenHelper.sol";
  * @notice This contract implements a lending and borrowing protocol with support for ERC20 collateral.
  * @dev This contract will be owned by the governance who is the only address allowed to: add new vaults, change existing vault setup, pause pool or specific vault.
  */
-contract LendingPool is Pausable, TokenSupport {
+contract LendingPool is LendingPoolBase, IERC3156FlashLender {
     using VaultAccounting for PoolStructs.Vault;
-    using InterestRate for PoolStructs.VaultInfo;
     using TokenHelper for address;
 
     //--------------------------------------------------------------------
     /** VARIABLES */
 
-    // ERC20 token => TokenVault
-    mapping(address => PoolStructs.TokenVault) private vaults;
-    // user => token => (colletral, borrow) shares
-    mapping(address => mapping(address => PoolStructs.AccountShares))
-        private userShares;
-    
-    //--------------------------------------------------------------------
-    /** ERRORS */
-
-    error TooHighSlippage(uint256 sharesOutOrAmountIn);
-    error InsufficientBalance();
-    error BelowHeathFactor();
-    error BorrowerIsSolvant();
-    error SelfLiquidation();
-    error InvalidFeeRate(uint256 fee);
-    error InvalidReserveRatio(uint256 ratio);
-    error NoLiquidateWarn();
-    error WarningDelayHasNotPassed();
-    error MustRepayMoreDebt();
-    error LiquidatorDelayHasNotPassed();
-    error EmptyArray();
-    error ArrayMismatch();
-
-    //--------------------------------------------------------------------
-    /** EVENTS */
-
-    event Deposit(address user, address token, uint256 amount, uint256 shares);
-    event Borrow(address user, address token, uint256 amount, uint256 shares);
-    event Repay(address user, address token, uint256 amount, uint256 shares);
-    event Withdraw(address user, address token, uint256 amount, uint256 shares);
-    event Liquidated(
-        address borrower,
-        address liquidator,
-        uint256 repaidAmount,
-        uint256 liquidatedCollateral,
-        uint256 reward
-    );
-    event UpdateInterestRate(uint256 elapsedTime, uint64 newInterestRate);
-    event AccruedInterest(
-        uint64 interestRatePerSec,
-        uint256 interestEarned,
-        uint256 feesAmount,
-        uint256 feesShare
-    );
-    event NewVaultSetup(address token, PoolStructs.VaultSetupParams params);
+    // liquidation logic executed with delegatecall (see LiquidationManager)
+    address public immutable liquidationManager;
+    // owner and treasury logic executed with delegatecall (see PoolConfigurator)
+    address public immutable poolConfigurator;
 
     //--------------------------------------------------------------------
     /** Constructor */
@@ -78,17 +39,25 @@ contract LendingPool is Pausable, TokenSupport {
      * @param daiAddress DAI token address.
      * @param daiPriceFeed The address of DAI/USD price feed contract .
      * @param daiVaultParams The parameters for DAI token vault (see PoolStructs.VaultSetupParams).
+     * @param _liquidationManager The LiquidationManager contract address.
+     * @param _poolConfigurator The PoolConfigurator contract address.
+     * @dev modules are deployed separately to keep the pool deployment code under the size limit.
      */
     constructor(
         address daiAddress,
         address daiPriceFeed,
-        PoolStructs.VaultSetupParams memory daiVaultParams
+        PoolStructs.VaultSetupParams memory daiVaultParams,
+        address _liquidationManager,
+        address _poolConfigurator
     ) {
-        _setupVault(
-            daiAddress,
-            daiPriceFeed,
-            daiVaultParams,
-            true
+        liquidationManager = _liquidationManager;
+        poolConfigurator = _poolConfigurator;
+        _delegateTo(
+            _poolConfigurator,
+            abi.encodeCall(
+                PoolConfigurator.setupVault,
+                (daiAddress, daiPriceFeed, daiVaultParams, true)
+            )
         );
     }
 
@@ -100,6 +69,7 @@ contract LendingPool is Pausable, TokenSupport {
      * @notice Allows users to supply ERC20 tokens to the pool.
      * @dev only supported ERC20 are allowed.
      * @dev pool or token vault must not be paused.
+     * @dev will revert if the vault supply cap is exceeded.
      * @param token The ERC20 token address.
      * @param amount The amount of tokens to supply.
      * @param minSharesOut The minimum shares to be receive.
@@ -108,45 +78,80 @@ contract LendingPool is Pausable, TokenSupport {
         address token,
         uint256 amount,
         uint256 minSharesOut
-    ) external {
-        WhenNotPaused(token);
-        allowedToken(token);
-        _accrueInterest(token);
-
-        token.transferERC20(msg.sender, address(this), amount);
-        uint256 shares = vaults[token].totalAsset.toShares(amount, false);
-        if (shares < minSharesOut) revert TooHighSlippage(shares);
-
-        vaults[token].totalAsset.shares += uint128(shares);
-        vaults[token].totalAsset.amount += uint128(amount);
-        userShares[msg.sender][token].collateral += shares;
+    ) external nonReentrant {
+        _supply(msg.sender, token, amount, minSharesOut, false);
+    }
 
-        emit Deposit(msg.sender, token, amount, shares);
+    /**
+     * @notice Allows users to supply ERC20 tokens to the pool for another account.
+     * @dev the tokens are pulled from the caller and the supply shares are credited to ´onBehalfOf´.
+     * @dev same conditions as supply.
+     * @param onBehalfOf The account receiving the supply shares.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to supply.
+     * @param minSharesOut The minimum shares to be receive.
+     */
+    function supplyOnBehalfOf(
+        address onBehalfOf,
+        address token,
+        uint256 amount,
+        uint256 minSharesOut
+    ) external nonReentrant {
+        amount = _supply(onBehalfOf, token, amount, minSharesOut, false);
+        emit SupplyOnBehalfOf(msg.sender, onBehalfOf, token, amount);
     }
 
     /**
      * @notice Allows users to borrow ERC20 tokens from the pool.
      * @dev pool or token vault must not be paused.
-     * @dev will revert if pool goes below reserve ratio.
+     * @dev will revert if pool goes below reserve ratio or if the vault borrow cap is exceeded.
+     * @dev will revert if borrower debt goes above his borrowing power (see availableBorrowsUSD).
+     * @dev will revert if the L2 sequencer is down or in its grace period.
      * @param token The ERC20 token address.
      * @param amount The amount of tokens to borrow.
      */
-    function borrow(address token, uint256 amount) external {
-        WhenNotPaused(token);
-        if (!vaultAboveReserveRatio(token, amount))
-            revert InsufficientBalance();
-        _accrueInterest(token);
+    function borrow(address token, uint256 amount) external nonReentrant {
+        _borrow(msg.sender, token, amount);
+        checkBorrowingPower(msg.sender);
+    }
 
-        uint256 shares = vaults[token].totalBorrow.toShares(amount, false);
-        vaults[token].totalBorrow.shares += uint128(shares);
-        vaults[token].totalBorrow.amount += uint128(amount);
-        userShares[msg.sender][token].borrow += shares;
+    /**
+     * @notice Allows a delegatee to borrow ERC20 tokens against the collateral of another account.
+     * @dev the debt and the borrowing power check apply to ´onBehalfOf´, the borrowed tokens are sent to the caller.
+     * @dev the caller borrow allowance (see approveDelegation) is decreased by the borrowed amount.
+     * @dev same conditions as borrow.
+     * @param onBehalfOf The account whose collateral backs the borrow.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to borrow.
+     */
+    function borrowOnBehalfOf(
+        address onBehalfOf,
+        address token,
+        uint256 amount
+    ) external nonReentrant {
+        uint256 allowed = borrowAllowances[onBehalfOf][token][msg.sender];
+        if (allowed < amount) revert InsufficientBorrowAllowance(allowed);
+        _approveDelegation(onBehalfOf, msg.sender, token, allowed - amount);
 
-        token.transferERC20(address(this), msg.sender, amount);
-        if (healthFactor(msg.sender) < MIN_HEALTH_FACTOR)
-            revert BelowHeathFactor();
+        _borrow(onBehalfOf, token, amount);
+        checkBorrowingPower(onBehalfOf);
+        emit BorrowOnBehalfOf(msg.sender, onBehalfOf, token, amount);
+    }
 
-        emit Borrow(msg.sender, token, amount, shares);
+    /**
+     * @notice Allows a delegatee to borrow a token against the caller collateral (see borrowOnBehalfOf).
+     * @dev set the amount to 0 to revoke the delegation.
+     * @param delegatee The account allowed to borrow.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens the delegatee can borrow.
+     */
+    function approveDelegation(
+        address delegatee,
+        address token,
+        uint256 amount
+    ) external nonReentrant {
+        allowedToken(token);
+        _approveDelegation(msg.sender, delegatee, token, amount);
     }
 
     /**
@@ -154,25 +159,119 @@ contract LendingPool is Pausable, TokenSupport {
      * @param token The ERC20 token address.
      * @param amount The amount of tokens to repay, set to type(uint256).max for full repayment.
      */
-    function repay(address token, uint256 amount) external {
-        _accrueInterest(token);
-        uint256 userBorrowShare = userShares[msg.sender][token].borrow;
-        uint256 shares = vaults[token].totalBorrow.toShares(amount, true);
-        if (amount == type(uint256).max || shares > userBorrowShare) {
-            shares = userBorrowShare;
-            amount = vaults[token].totalBorrow.toAmount(shares, true);
-        }
-        token.transferERC20(msg.sender, address(this), amount);
-        unchecked {
-            vaults[token].totalBorrow.shares -= uint128(shares);
-            vaults[token].totalBorrow.amount -= uint128(amount);
-            userShares[msg.sender][token].borrow = userBorrowShare - shares;
-        }
-        emit Repay(msg.sender, token, amount, shares);
+    function repay(address token, uint256 amount) external nonReentrant {
+        _repay(msg.sender, token, amount, false);
+    }
+
+    /**
+     * @notice Allows users to repay the debt of another account.
+     * @dev the tokens are pulled from the caller and the borrow shares of ´onBehalfOf´ are repaid.
+     * @param onBehalfOf The account whose debt is repaid.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to repay, set to type(uint256).max for full repayment.
+     */
+    function repayOnBehalfOf(
+        address onBehalfOf,
+        address token,
+        uint256 amount
+    ) external nonReentrant {
+        amount = _repay(onBehalfOf, token, amount, false);
+        emit RepayOnBehalfOf(msg.sender, onBehalfOf, token, amount);
+    }
+
+    /**
+     * @notice Allows users to supply ERC20 tokens approved with an EIP-2612 permit, without a prior approve transaction.
+     * @dev a failing permit is ignored so a front-run permit does not block the supply, the pool allowance must then be enough.
+     * @dev same conditions as supply.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to supply.
+     * @param minSharesOut The minimum shares to be receive.
+     * @param deadline The permit deadline.
+     * @param v The permit signature v.
+     * @param r The permit signature r.
+     * @param s The permit signature s.
+     */
+    function supplyWithPermit(
+        address token,
+        uint256 amount,
+        uint256 minSharesOut,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        tryPermit(token, amount, deadline, v, r, s);
+        _supply(msg.sender, token, amount, minSharesOut, false);
+    }
+
+    /**
+     * @notice Allows users to repay borrowed ERC20 tokens approved with an EIP-2612 permit, without a prior approve transaction.
+     * @dev a failing permit is ignored so a front-run permit does not block the repayment, the pool allowance must then be enough.
+     * @dev for a full repayment with type(uint256).max the permit value is type(uint256).max.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to repay, set to type(uint256).max for full repayment.
+     * @param deadline The permit deadline.
+     * @param v The permit signature v.
+     * @param r The permit signature r.
+     * @param s The permit signature s.
+     */
+    function repayWithPermit(
+        address token,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        tryPermit(token, amount, deadline, v, r, s);
+        _repay(msg.sender, token, amount, false);
+    }
+
+    /**
+     * @notice Allows users to supply ERC20 tokens pulled through Permit2, for tokens without EIP-2612 support.
+     * @dev the caller must have approved Permit2 for the token, the signed permit gives the pool a Permit2 allowance.
+     * @dev a failing permit is ignored so a front-run permit does not block the supply.
+     * @dev same conditions as supply, will revert if the Permit2 contract is not set.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to supply.
+     * @param minSharesOut The minimum shares to be receive.
+     * @param permitSingle The Permit2 permit data (see IPermit2.PermitSingle).
+     * @param signature The Permit2 permit signature.
+     */
+    function supplyWithPermit2(
+        address token,
+        uint256 amount,
+        uint256 minSharesOut,
+        IPermit2.PermitSingle calldata permitSingle,
+        bytes calldata signature
+    ) external nonReentrant {
+        tryPermit2(permitSingle, signature);
+        _supply(msg.sender, token, amount, minSharesOut, true);
+    }
+
+    /**
+     * @notice Allows users to repay borrowed ERC20 tokens pulled through Permit2, for tokens without EIP-2612 support.
+     * @dev the caller must have approved Permit2 for the token, the signed permit gives the pool a Permit2 allowance.
+     * @dev a failing permit is ignored so a front-run permit does not block the repayment.
+     * @dev will revert if the Permit2 contract is not set.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to repay, set to type(uint256).max for full repayment.
+     * @param permitSingle The Permit2 permit data (see IPermit2.PermitSingle).
+     * @param signature The Permit2 permit signature.
+     */
+    function repayWithPermit2(
+        address token,
+        uint256 amount,
+        IPermit2.PermitSingle calldata permitSingle,
+        bytes calldata signature
+    ) external nonReentrant {
+        tryPermit2(permitSingle, signature);
+        _repay(msg.sender, token, amount, true);
     }
 
     /**
      * @notice Allows users to withdraw supplied ERC20 tokens.
+     * @dev will revert if the L2 sequencer is down or in its grace period.
      * @param token The ERC20 token address.
      * @param amount The amount of tokens to withdraw.
      * @param maxSharesIn The maximum shares to be redeemed for the desired withdraw amount, used as slippage protection.
@@ -181,12 +280,14 @@ contract LendingPool is Pausable, TokenSupport {
         address token,
         uint256 amount,
         uint256 maxSharesIn
-    ) external {
+    ) external nonReentrant {
         _withdraw(token, amount, maxSharesIn, false);
+        checkBorrowingPower(msg.sender);
     }
 
     /**
      * @notice Redeems shares for ERC20 tokens from the lending pool.
+     * @dev will revert if the L2 sequencer is down or in its grace period.
      * @param token The ERC20 token address.
      * @param shares The amount of shares to redeem.
      * @param minAmountOut The minimum amount to be received for the shares redeemed, used as slippage protection.
@@ -195,138 +296,299 @@ contract LendingPool is Pausable, TokenSupport {
         address token,
         uint256 shares,
         uint256 minAmountOut
-    ) external {
+    ) external nonReentrant {
         _withdraw(token, shares, minAmountOut, true);
+        checkBorrowingPower(msg.sender);
     }
 
     /**
-     * @notice Allows users to liquidate unsolvent borrower.
-     * @dev borrower must be below min HF.
-     * @dev full liquidation is only allowed if borrower HF is below ´CLOSE_FACTOR_HF_THRESHOLD´ otherwise can only repay uo to 50% of borrower debts.
-     * @param account The borrower's address.
-     * @param collateral The collateral asset address.
-     * @param userBorrowToken The token the borrower has borrowed.
-     * @param amountToLiquidate The amount to liquidate.
+     * @notice Allows users to enable or disable a supplied token as collateral.
+     * @dev supplied tokens are used as collateral by default.
+     * @dev disabled tokens still earn interest but are excluded from the health factor and cannot be liquidated.
+     * @dev will revert if disabling the collateral makes the user debt go above his borrowing power, his debt interest is accrued first.
+     * @param token The ERC20 token address.
+     * @param useAsCollateral Boolean indicating whether the token is used as collateral.
      */
-    function liquidate(
-        address account,
-        address collateral,
-        address userBorrowToken,
-        uint256 amountToLiquidate
-    ) external {
-        if (msg.sender == account) revert SelfLiquidation();
-        uint256 accountHF = healthFactor(account);
-        if (accountHF >= MIN_HEALTH_FACTOR) revert BorrowerIsSolvant();
-
-        uint256 collateralShares = userShares[account][collateral].collateral;
-        uint256 borrowShares = userShares[account][userBorrowToken].borrow;
-        if (collateralShares == 0 || borrowShares == 0) return;
-        {
-            uint256 totalBorrowAmount = vaults[userBorrowToken]
-                .totalBorrow
-                .toAmount(borrowShares, true);
-
-            // if HF is above CLOSE_FACTOR_HF_THRESHOLD allow only partial liquidation
-            // else full liquidation is possible
-            uint256 maxBorrowAmountToLiquidate = accountHF >=
-                CLOSE_FACTOR_HF_THRESHOLD
-                ? (totalBorrowAmount * DEFAULT_LIQUIDATION_CLOSE_FACTOR) / BPS
-                : totalBorrowAmount;
-            amountToLiquidate = amountToLiquidate > maxBorrowAmountToLiquidate
-                ? maxBorrowAmountToLiquidate
-                : amountToLiquidate;
+    function setUseAsCollateral(
+        address token,
+        bool useAsCollateral
+    ) external nonReentrant {
+        allowedToken(token);
+        collateralDisabled[msg.sender][token] = !useAsCollateral;
+        if (!useAsCollateral) {
+            _accrueUserDebt(msg.sender);
+            checkBorrowingPower(msg.sender);
         }
 
-        uint256 collateralAmountToLiquidate;
-        uint256 liquidationReward;
-        {
-            // avoid stack too deep error
-            address user = account;
-            address borrowToken = userBorrowToken;
-            address collToken = collateral;
-            uint256 liquidationAmount = amountToLiquidate;
-
-            uint256 _userTotalCollateralAmount = vaults[collToken]
-                .totalAsset
-                .toAmount(collateralShares, false);
-
-            uint256 collateralPrice = getTokenPrice(collToken);
-            uint256 borrowTokenPrice = getTokenPrice(borrowToken);
-            uint8 collateralDecimals = collToken.tokenDecimals();
-            uint8 borrowTokenDecimals = borrowToken.tokenDecimals();
-
-            collateralAmountToLiquidate =
-                (liquidationAmount *
-                    borrowTokenPrice *
-                    10 ** collateralDecimals) /
-                (collateralPrice * 10 ** borrowTokenDecimals);
-            uint256 maxLiquidationReward = (collateralAmountToLiquidate *
-                LIQUIDATION_REWARD) / BPS;
-            if (collateralAmountToLiquidate > _userTotalCollateralAmount) {
-                collateralAmountToLiquidate = _userTotalCollateralAmount;
-                liquidationAmount =
-                    ((_userTotalCollateralAmount *
-                        collateralPrice *
-                        10 ** borrowTokenDecimals) / borrowTokenPrice) *
-                    10 ** collateralDecimals;
-                amountToLiquidate = liquidationAmount;
+        emit UseAsCollateral(msg.sender, token, useAsCollateral);
+    }
+
+    /**
+     * @notice Executes several supply, borrow, repay, withdraw and redeem actions atomically for the caller.
+     * @dev each action has the same conditions and events as its single function, except for the borrowing power check.
+     * @dev the caller borrowing power is checked once after the last action, only if the batch borrows or withdraws.
+     * @param actions The actions to execute in order (see PoolStructs.Action).
+     */
+    function batch(
+        PoolStructs.Action[] calldata actions
+    ) external nonReentrant {
+        uint256 len = actions.length;
+        if (len == 0) revert EmptyArray();
+        bool checkHealth;
+        for (uint256 i; i < len; ) {
+            PoolStructs.Action calldata action = actions[i];
+            PoolStructs.ActionType actionType = action.actionType;
+            if (actionType == PoolStructs.ActionType.Supply) {
+                _supply(
+                    msg.sender,
+                    action.token,
+                    action.amount,
+                    action.limit,
+                    false
+                );
+            } else if (actionType == PoolStructs.ActionType.Repay) {
+                _repay(msg.sender, action.token, action.amount, false);
             } else {
-                uint256 collateralBalanceAfter = _userTotalCollateralAmount -
-                    collateralAmountToLiquidate;
-                liquidationReward = maxLiquidationReward >
-                    collateralBalanceAfter
-                    ? collateralBalanceAfter
-                    : maxLiquidationReward;
+                if (actionType == PoolStructs.ActionType.Borrow) {
+                    _borrow(msg.sender, action.token, action.amount);
+                } else {
+                    _withdraw(
+                        action.token,
+                        action.amount,
+                        action.limit,
+                        actionType == PoolStructs.ActionType.Redeem
+                    );
+                }
+                checkHealth = true;
             }
+            unchecked {
+                ++i;
+            }
+        }
+        if (checkHealth) checkBorrowingPower(msg.sender);
+    }
 
-            // Update borrow vault
-            uint128 repaidBorrowShares = uint128(
-                vaults[borrowToken].totalBorrow.toShares(
-                    liquidationAmount,
-                    false
-                )
-            );
-            vaults[borrowToken].totalBorrow.shares -= repaidBorrowShares;
-            vaults[borrowToken].totalBorrow.amount -= uint128(
-                liquidationAmount
-            );
+    /**
+     * @notice Moves supply shares between two users, used by the vault share token transfers.
+     * @dev only called by the vault share token (see setShareToken).
+     * @dev will revert if the sender debt goes above his borrowing power.
+     * @dev will revert if the L2 sequencer is down or in its grace period.
+     * @param token The ERC20 token address.
+     * @param from The shares sender.
+     * @param to The shares receiver.
+     * @param shares The amount of shares to move.
+     */
+    function transferShares(
+        address token,
+        address from,
+        address to,
+        uint256 shares
+    ) external nonReentrant {
+        if (msg.sender != shareTokens[token]) revert NotShareToken();
+        checkSequencerUptime(false);
+        _accrueInterest(token);
 
-            // Update collateral vault
-            uint128 liquidatedCollShares = uint128(
-                vaults[collToken].totalAsset.toShares(
-                    collateralAmountToLiquidate + liquidationReward,
-                    false
-                )
-            );
-            vaults[collToken].totalAsset.shares -= liquidatedCollShares;
-            vaults[collToken].totalAsset.amount -= uint128(
-                collateralAmountToLiquidate + liquidationReward
-            );
-            // Update borrower collateral and borrow shares
-            userShares[user][borrowToken].borrow -= repaidBorrowShares;
-            userShares[user][collToken].collateral -= liquidatedCollShares;
+        uint256 fromShares = userShares[from][token].collateral;
+        if (fromShares < shares) revert InsufficientBalance();
+        unchecked {
+            userShares[from][token].collateral = fromShares - shares;
         }
+        userShares[to][token].collateral += shares;
 
-        // Repay borrowed amount
-        userBorrowToken.transferERC20(
-            msg.sender,
-            address(this),
-            amountToLiquidate
-        );
-        // Transfer collateral & liquidation reward to liquidator
-        collateral.transferERC20(
-            address(this),
-            msg.sender,
-            collateralAmountToLiquidate + liquidationReward
-        );
+        // the sender collateral may back a borrow
+        checkBorrowingPower(from);
+        _emitShareTransfer(token, from, to, shares);
+    }
 
-        emit Liquidated(
-            account,
-            msg.sender,
-            amountToLiquidate,
-            collateralAmountToLiquidate + liquidationReward,
-            liquidationReward
-        );
+    /**
+     * @notice Sets the amount a delegatee can borrow against the delegator collateral, used by the vault debt token.
+     * @dev only called by the vault debt token (see setDebtToken).
+     * @param token The ERC20 token address.
+     * @param delegator The account whose collateral backs the borrows.
+     * @param delegatee The account allowed to borrow.
+     * @param amount The amount of tokens the delegatee can borrow.
+     */
+    function delegateBorrowAllowance(
+        address token,
+        address delegator,
+        address delegatee,
+        uint256 amount
+    ) external nonReentrant {
+        if (msg.sender != debtTokens[token]) revert NotDebtToken();
+        _approveDelegation(delegator, delegatee, token, amount);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                        Liquidation functions
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Warns an unsolvent borrower before liquidating his position.
+     * @dev see LiquidationManager.warnLiquidation.
+     */
+    function warnLiquidation(address /* account */) external nonReentrant {
+        _delegateTo(liquidationManager, msg.data);
+    }
+
+    /**
+     * @notice Removes the liquidation warning of a borrower who is solvent again.
+     * @dev see LiquidationManager.clearLiquidationWarning.
+     */
+    function clearLiquidationWarning(
+        address /* account */
+    ) external nonReentrant {
+        _delegateTo(liquidationManager, msg.data);
+    }
+
+    /**
+     * @notice Allows users to liquidate unsolvent borrower.
+     * @dev see LiquidationManager.liquidate.
+     */
+    function liquidate(
+        address /* account */,
+        address /* collateral */,
+        address /* userBorrowToken */,
+        uint256 /* amountToLiquidate */
+    ) external nonReentrant {
+        _delegateTo(liquidationManager, msg.data);
+    }
+
+    /**
+     * @notice Allows users to liquidate unsolvent borrower and receive his collateral shares instead of the tokens.
+     * @dev see LiquidationManager.liquidateToShares.
+     */
+    function liquidateToShares(
+        address /* account */,
+        address /* collateral */,
+        address /* userBorrowToken */,
+        uint256 /* amountToLiquidate */
+    ) external nonReentrant {
+        _delegateTo(liquidationManager, msg.data);
+    }
+
+    /**
+     * @notice Liquidates several collateral and borrowed token pairs of an unsolvent borrower in one call.
+     * @dev see LiquidationManager.liquidateBatch.
+     */
+    function liquidateBatch(
+        address /* account */,
+        PoolStructs.LiquidationLeg[] calldata /* legs */
+    ) external nonReentrant {
+        _delegateTo(liquidationManager, msg.data);
+    }
+
+    /**
+     * @notice Writes off the remaining debt of an unsolvent borrower who has no collateral left.
+     * @dev see LiquidationManager.settleBadDebt.
+     */
+    function settleBadDebt(address /* account */) external nonReentrant {
+        _delegateTo(liquidationManager, msg.data);
+    }
+
+    /**
+     * @notice Executes a pool module view in the context of this contract, used by the module backed getters.
+     * @dev only called by this contract through a static call (see _delegateView).
+     * @param module The pool module address.
+     * @param data The encoded module view call.
+     */
+    function delegateView(address module, bytes calldata data) external {
+        if (msg.sender != address(this)) revert NotLendingPool();
+        bytes memory result = _delegateTo(module, data);
+        // return the module data as is
+        assembly {
+            return(add(result, 32), mload(result))
+        }
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                        Flash loan functions
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Lends tokens to a receiver contract for the duration of a single call (ERC-3156).
+     * @dev pool or token vault must not be paused.
+     * @dev the receiver must approve the pool to pull back `amount + fee` before its callback returns.
+     * @dev reverts if the pool receives less than `amount + fee` back (fee-on-transfer tokens).
+     * @dev the receiver callback cannot call back into the pool, all pool entry points share a reentrancy lock.
+     * @dev the fee is added to the vault assets, the protocol cut is credited as shares to this contract.
+     * @param receiver The contract receiving the tokens, must implement IERC3156FlashBorrower.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to lend.
+     * @param data Arbitrary data forwarded to the receiver callback.
+     */
+    function flashLoan(
+        IERC3156FlashBorrower receiver,
+        address token,
+        uint256 amount,
+        bytes calldata data
+    ) external override nonReentrant returns (bool) {
+        WhenNotPaused(token);
+        allowedToken(token);
+        if (amount > maxFlashLoan(token)) revert InsufficientBalance();
+        _accrueInterest(token);
+
+        uint256 fee = flashFee(token, amount);
+        token.transferERC20(address(this), address(receiver), amount);
+        if (
+            receiver.onFlashLoan(msg.sender, token, amount, fee, data) !=
+            FLASH_LOAN_CALLBACK_SUCCESS
+        ) revert FlashLoanCallbackFailed();
+        _pullExactTokens(token, address(receiver), amount + fee);
+
+        if (fee != 0) {
+            PoolStructs.TokenVault storage _vault = vaults[token];
+            uint256 protocolFee = (fee * _vault.vaultInfo.feeToProtocolRate) /
+                BPS;
+            _vault.totalAsset.amount += uint128(fee);
+            if (protocolFee != 0) {
+                uint256 protocolShares = (protocolFee *
+                    _vault.totalAsset.shares) /
+                    (_vault.totalAsset.amount - protocolFee);
+                _vault.totalAsset.shares += uint128(protocolShares);
+
+                // accrue protocol fee shares to this contract
+                userShares[address(this)][token].collateral += protocolShares;
+                _emitShareTransfer(
+                    token,
+                    address(0),
+                    address(this),
+                    protocolShares
+                );
+            }
+        }
+
+        emit FlashLoan(address(receiver), msg.sender, token, amount, fee);
+        return true;
+    }
+
+    /**
+     * @notice Returns the maximum amount of tokens available for a flash loan.
+     * @dev returns 0 if the token is not supported, its vault is paused or has no suppliers.
+     * @param token The ERC20 token address.
+     */
+    function maxFlashLoan(
+        address token
+    ) public view override returns (uint256) {
+        if (
+            !supportedTokens[token].supported ||
+            pausedStatus(token) ||
+            vaults[token].totalAsset.shares == 0
+        ) return 0;
+        return IERC20(token).balanceOf(address(this));
+    }
+
+    /**
+     * @notice Returns the fee charged for a flash loan of `amount` tokens.
+     * @dev reverts if the token is not supported.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to lend.
+     */
+    function flashFee(
+        address token,
+        uint256 amount
+    ) public view override returns (uint256) {
+        allowedToken(token);
+        return (amount * vaults[token].vaultInfo.flashFeeRate) / BPS;
     }
 
     /**
@@ -341,6 +603,7 @@ contract LendingPool is Pausable, TokenSupport {
         address token
     )
         external
+        nonReentrant
         returns (
             uint256 _interestEarned,
             uint256 _feesAmount,
@@ -375,48 +638,16 @@ contract LendingPool is Pausable, TokenSupport {
     }
 
     /**
-     * @dev Calculates the total USD value of all tokens collateral for a user.
+     * @dev Returns the USD value a user can still borrow before reaching his borrowing power.
      * @param user The address of the user.
      */
-    function getUserTotalTokenCollateral(
+    function availableBorrowsUSD(
         address user
-    ) public view returns (uint256 totalValueUSD) {
-        uint256 len = supportedERC20s.length;
-        for (uint256 i; i < len; ) {
-            address token = supportedERC20s[i];
-            uint256 tokenAmount = vaults[token].totalAsset.toAmount(
-                userShares[user][token].collateral,
-                false
-            );
-            if (tokenAmount != 0) {
-                totalValueUSD += getAmountInUSD(token, tokenAmount);
-            }
-            unchecked {
-                ++i;
-            }
-        }
-    }
-
-    /**
-     * @dev Calculates the total borrowed USD value for a user.
-     * @param user The address of the user.
-     */
-    function getUserTotalBorrow(
-        address user
-    ) public view returns (uint256 totalValueUSD) {
-        uint256 len = supportedERC20s.length;
-        for (uint256 i; i < len; ) {
-            address token = supportedERC20s[i];
-            uint256 tokenAmount = vaults[token].totalBorrow.toAmount(
-                userShares[user][token].borrow,
-                false
-            );
-            if (tokenAmount != 0) {
-                totalValueUSD += getAmountInUSD(token, tokenAmount);
-            }
-            unchecked {
-                ++i;
-            }
+    ) external view returns (uint256 valueUSD) {
+        uint256 borrowingPower = getUserBorrowingPower(user);
+        uint256 totalBorrowValue = getUserTotalBorrow(user);
+        if (borrowingPower > totalBorrowValue) {
+            valueUSD = borrowingPower - totalBorrowValue;
         }
     }
 
@@ -438,36 +669,185 @@ contract LendingPool is Pausable, TokenSupport {
     }
 
     /**
-     * @dev Calculates the health factor of a user.
+     * @dev Returns whether a supplied token is used as collateral by a user.
      * @param user The address of the user.
+     * @param token The address of the token.
      */
-    function healthFactor(address user) public view returns (uint256 factor) {
-        (
-            uint256 totalTokenCollateral,
-            uint256 totalBorrowValue
-        ) = getUserData(user);
-
-        if (totalBorrowValue == 0) return 100 * MIN_HEALTH_FACTOR;
-        uint256 collateralValueWithThreshold = (totalTokenCollateral * LIQUIDATION_THRESHOLD) / BPS;
-        factor =
-            (collateralValueWithThreshold * MIN_HEALTH_FACTOR) /
-            totalBorrowValue;
+    function isUsedAsCollateral(
+        address user,
+        address token
+    ) external view returns (bool) {
+        return !collateralDisabled[user][token];
     }
 
     /**
-     * @dev Converts the given amount of a token to its equivalent value in USD.
+     * @dev Returns the amount of a token a delegatee can still borrow against the delegator collateral.
+     * @param delegator The account whose collateral backs the borrows.
+     * @param delegatee The account allowed to borrow.
      * @param token The address of the token.
-     * @param amount The amount of the token.
      */
-    function getAmountInUSD(
-        address token,
-        uint256 amount
-    ) public view returns (uint256 value) {
-        uint256 price = getTokenPrice(token);
-        uint8 decimals = token.tokenDecimals();
-        uint256 amountIn18Decimals = amount * 10 ** (18 - decimals);
-        // return USD value scaled by 18 decimals
-        value = (amountIn18Decimals * price) / PRECISION;
+    function getBorrowAllowance(
+        address delegator,
+        address delegatee,
+        address token
+    ) external view returns (uint256) {
+        return borrowAllowances[delegator][token][delegatee];
+    }
+
+    /**
+     * @dev Returns the pending liquidation warning of a borrower.
+     * @param account The borrower's address.
+     */
+    function getLiquidationWarning(
+        address account
+    ) external view returns (PoolStructs.LiquidateWarn memory warning) {
+        warning = liquidationWarnings[account];
+    }
+
+    /**
+     * @dev Simulates the liquidation of a borrower position at the current vault state.
+     * @dev see LiquidationManager.previewLiquidation.
+     * @return repayAmount The borrowed token amount the liquidator would repay.
+     * @return seizedCollateral The collateral amount the liquidator would receive, bonus included.
+     * @return bonus The part of the seized collateral paid as liquidation bonus.
+     */
+    function previewLiquidation(
+        address /* account */,
+        address /* collateral */,
+        address /* debtToken */,
+        uint256 /* amount */
+    )
+        external
+        view
+        returns (uint256 repayAmount, uint256 seizedCollateral, uint256 bonus)
+    {
+        return
+            abi.decode(
+                _delegateView(liquidationManager, msg.data),
+                (uint256, uint256, uint256)
+            );
+    }
+
+    /**
+     * @dev Returns the liquidation bonus paid on a borrower collateral at his current health factor (1e5 precision).
+     * @dev returns 0 if the borrower is solvent, in dutch auction mode the bonus grows as his HF falls below 1.
+     * @param account The borrower's address.
+     * @param collateral The collateral asset address.
+     */
+    function getLiquidationBonus(
+        address account,
+        address collateral
+    ) external view returns (uint256 bonus) {
+        uint256 accountHF = healthFactor(account);
+        if (accountHF < MIN_HEALTH_FACTOR)
+            bonus = liquidationBonus(collateral, accountHF);
+    }
+
+    /**
+     * @dev Returns the protocol fees accrued in every vault, in tokens and USD value.
+     * @dev served by the PoolConfigurator.
+     */
+    function getProtocolFees()
+        external
+        view
+        returns (address[] memory, uint256[] memory, uint256[] memory)
+    {
+        bytes memory result = _delegateView(poolConfigurator, msg.data);
+        // return the module data as is
+        assembly {
+            return(add(result, 32), mload(result))
+        }
+    }
+
+    /**
+     * @dev Returns the amounts that can still be supplied to and borrowed from a vault before reaching its caps.
+     * @dev the vault totals include the interest accrued since its last update, as the caps are checked after accrual.
+     * @dev returns type(uint256).max for caps that are not set.
+     * @dev served by the PoolConfigurator.
+     */
+    function getVaultCapsHeadroom(
+        address /* token */
+    ) external view returns (uint256, uint256) {
+        bytes memory result = _delegateView(poolConfigurator, msg.data);
+        // return the module data as is
+        assembly {
+            return(add(result, 32), mload(result))
+        }
+    }
+
+    /**
+     * @dev Returns the current borrow and supply APYs of a vault (1e18 precision).
+     * @dev uses the rate applied since the last interest accrual, or the default rate if the vault has no borrows.
+     * @dev served by the PoolConfigurator.
+     */
+    function getVaultAPY(
+        address /* token */
+    ) external view returns (uint256, uint256) {
+        bytes memory result = _delegateView(poolConfigurator, msg.data);
+        // return the module data as is
+        assembly {
+            return(add(result, 32), mload(result))
+        }
+    }
+
+    /**
+     * @dev Returns the projected borrow and supply APYs of a vault after hypothetical supply and borrow changes (1e18 precision).
+     * @dev pass zero deltas to get the APYs the vault strategy will set on the next interest accrual.
+     * @dev served by the PoolConfigurator.
+     */
+    function previewVaultAPY(
+        address /* token */,
+        int256 /* supplyDelta */,
+        int256 /* borrowDelta */
+    ) external view returns (uint256, uint256) {
+        bytes memory result = _delegateView(poolConfigurator, msg.data);
+        // return the module data as is
+        assembly {
+            return(add(result, 32), mload(result))
+        }
+    }
+
+    /**
+     * @dev Returns the borrowed share of a vault supplied assets (1e18 precision).
+     * @dev served by the PoolConfigurator.
+     */
+    function getUtilization(
+        address /* token */
+    ) external view returns (uint256) {
+        bytes memory result = _delegateView(poolConfigurator, msg.data);
+        // return the module data as is
+        assembly {
+            return(add(result, 32), mload(result))
+        }
+    }
+
+    /**
+     * @dev Returns the current annual borrow rate of a vault, without compounding (1e18 precision).
+     * @dev served by the PoolConfigurator.
+     */
+    function getBorrowRate(
+        address /* token */
+    ) external view returns (uint256) {
+        bytes memory result = _delegateView(poolConfigurator, msg.data);
+        // return the module data as is
+        assembly {
+            return(add(result, 32), mload(result))
+        }
+    }
+
+    /**
+     * @dev Returns the current annual rate earned by a vault suppliers, without compounding (1e18 precision).
+     * @dev the borrow interest is spread over all supplied assets, including the idle reserve, after the protocol fee.
+     * @dev served by the PoolConfigurator.
+     */
+    function getSupplyRate(
+        address /* token */
+    ) external view returns (uint256) {
+        bytes memory result = _delegateView(poolConfigurator, msg.data);
+        // return the module data as is
+        assembly {
+            return(add(result, 32), mload(result))
+        }
     }
 
     /**
@@ -480,6 +860,20 @@ contract LendingPool is Pausable, TokenSupport {
         vault = vaults[token];
     }
 
+    /**
+     * @dev Obtain all informations about the token vault, interest accrued since the last vault update included.
+     * @dev served by the PoolConfigurator.
+     */
+    function getAccruedTokenVault(
+        address /* token */
+    ) external view returns (PoolStructs.TokenVault memory) {
+        bytes memory result = _delegateView(poolConfigurator, msg.data);
+        // return the module data as is
+        assembly {
+            return(add(result, 32), mload(result))
+        }
+    }
+
     /**
      * @dev Converts the given amount of a token to its equivalent shares.
      * @param token The address of the token.
@@ -517,25 +911,126 @@ contract LendingPool is Pausable, TokenSupport {
         }
     }
 
+    /*//////////////////////////////////////////////////////////////
+                            Treasury functions
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Redeems the protocol fee shares accrued in the given vaults.
+     * @dev see PoolConfigurator.claimProtocolFees.
+     */
+    function claimProtocolFees(
+        address[] calldata /* tokens */,
+        address /* to */
+    ) external nonReentrant {
+        _delegateTo(poolConfigurator, msg.data);
+    }
+
     /*//////////////////////////////////////////////////////////////
                             Owner functions
     //////////////////////////////////////////////////////////////*/
 
+    /**
+     * @notice Sets the treasury address allowed to claim the protocol fees.
+     * @dev see PoolConfigurator.setTreasury.
+     */
+    function setTreasury(address /* newTreasury */) external {
+        _delegateTo(poolConfigurator, msg.data);
+    }
+
+    /**
+     * @notice Sets the Permit2 contract used to pull tokens in supplyWithPermit2 and repayWithPermit2.
+     * @dev see PoolConfigurator.setPermit2.
+     */
+    function setPermit2(address /* newPermit2 */) external {
+        _delegateTo(poolConfigurator, msg.data);
+    }
+
     /**
      * @notice Sets up the vault for a specified ERC20 token.
-     * @dev only called by the owner.
-     * @param token The ERC20 token address.
-     * @param priceFeed The address of the price feed contract for the token.
-     * @param params The parameters for vault setup (see PoolStructs.VaultSetupParams).
-     * @param addToken Boolean indicating whether to add a new supported token or just change the setup of an already added token.
+     * @dev see PoolConfigurator.setupVault.
      */
     function setupVault(
-        address token,
-        address priceFeed,
-        PoolStructs.VaultSetupParams memory params,
-        bool addToken
-    ) external onlyOwner {
-        _setupVault(token, priceFeed, params, addToken);
+        address /* token */,
+        address /* priceFeed */,
+        PoolStructs.VaultSetupParams calldata /* params */,
+        bool /* addToken */
+    ) external {
+        _delegateTo(poolConfigurator, msg.data);
+    }
+
+    /**
+     * @notice Sets the maximum amounts that can be supplied to and borrowed from a vault.
+     * @dev see PoolConfigurator.setVaultCaps.
+     */
+    function setVaultCaps(
+        address /* token */,
+        uint128 /* supplyCap */,
+        uint128 /* borrowCap */
+    ) external {
+        _delegateTo(poolConfigurator, msg.data);
+    }
+
+    /**
+     * @notice Sets the USD value under which a borrower collateral does not block his bad debt settlement.
+     * @dev see PoolConfigurator.setBadDebtCollateralDust.
+     */
+    function setBadDebtCollateralDust(uint256 /* dustValue */) external {
+        _delegateTo(poolConfigurator, msg.data);
+    }
+
+    /**
+     * @notice Sets the receipt token representing a vault supply shares.
+     * @dev see PoolConfigurator.setShareToken.
+     */
+    function setShareToken(
+        address /* token */,
+        address /* shareToken */
+    ) external {
+        _delegateTo(poolConfigurator, msg.data);
+    }
+
+    /**
+     * @notice Sets the non-transferable token representing a vault debt.
+     * @dev see PoolConfigurator.setDebtToken.
+     */
+    function setDebtToken(
+        address /* token */,
+        address /* debtToken */
+    ) external {
+        _delegateTo(poolConfigurator, msg.data);
+    }
+
+    /**
+     * @notice Sets the interest rate strategy used to compute a vault borrow rate.
+     * @dev see PoolConfigurator.setInterestRateStrategy.
+     */
+    function setInterestRateStrategy(
+        address /* token */,
+        address /* strategy */
+    ) external {
+        _delegateTo(poolConfigurator, msg.data);
+    }
+
+    /**
+     * @notice Sets the L2 sequencer uptime feed checked before borrows, withdrawals and liquidations.
+     * @dev see PoolConfigurator.setSequencerConfig.
+     */
+    function setSequencerConfig(
+        PoolStructs.SequencerConfig calldata /* config */
+    ) external {
+        _delegateTo(poolConfigurator, msg.data);
+    }
+
+    /**
+     * @notice Sets the price feeds used to price a supported token.
+     * @dev see PoolConfigurator.setOracleConfig.
+     */
+    function setOracleConfig(
+        address /* token */,
+        PoolStructs.OracleConfig calldata /* config */
+    ) external {
+        _delegateTo(poolConfigurator, msg.data);
     }
 
     //--------------------------------------------------------------------
@@ -559,12 +1054,286 @@ contract LendingPool is Pausable, TokenSupport {
             minVaultReserve + pulledAmount;
     }
 
+    /**
+     * @dev Reverts if the user total borrowed value is above his borrowing power.
+     * @param user The address of the user.
+     */
+    function checkBorrowingPower(address user) internal view {
+        uint256 totalBorrowValue = getUserTotalBorrow(user);
+        if (
+            totalBorrowValue != 0 &&
+            totalBorrowValue > getUserBorrowingPower(user)
+        ) revert InsufficientBorrowingPower();
+    }
+
+    /**
+     * @dev Accrues the interest of every vault an account has borrowed from.
+     * @param account The borrower's address.
+     */
+    function _accrueUserDebt(address account) internal {
+        uint256 len = supportedERC20s.length;
+        for (uint256 i; i < len; ) {
+            address token = supportedERC20s[i];
+            if (userShares[account][token].borrow != 0) _accrueInterest(token);
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Sets the amount of a token a delegatee can borrow against the delegator collateral.
+     * @param delegator The account whose collateral backs the borrows.
+     * @param delegatee The account allowed to borrow.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens the delegatee can borrow.
+     */
+    function _approveDelegation(
+        address delegator,
+        address delegatee,
+        address token,
+        uint256 amount
+    ) internal {
+        borrowAllowances[delegator][token][delegatee] = amount;
+        emit BorrowAllowanceDelegated(delegator, delegatee, token, amount);
+    }
+
+    /**
+     * @dev Calls an EIP-2612 permit giving this pool an allowance of the caller tokens, ignoring failures.
+     * @param token The ERC20 token address.
+     * @param amount The allowed amount.
+     * @param deadline The permit deadline.
+     * @param v The permit signature v.
+     * @param r The permit signature r.
+     * @param s The permit signature s.
+     */
+    function tryPermit(
+        address token,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        try
+            IERC20Permit(token).permit(
+                msg.sender,
+                address(this),
+                amount,
+                deadline,
+                v,
+                r,
+                s
+            )
+        {} catch {}
+    }
+
+    /**
+     * @dev Calls a Permit2 permit giving this pool a Permit2 allowance of the caller tokens, ignoring failures.
+     * @param permitSingle The Permit2 permit data (see IPermit2.PermitSingle).
+     * @param signature The Permit2 permit signature.
+     */
+    function tryPermit2(
+        IPermit2.PermitSingle calldata permitSingle,
+        bytes calldata signature
+    ) internal {
+        address _permit2 = permit2;
+        if (_permit2 == address(0)) revert Permit2NotSet();
+        try
+            IPermit2(_permit2).permit(msg.sender, permitSingle, signature)
+        {} catch {}
+    }
+
+    /**
+     * @dev Pulls tokens from the caller, through Permit2 or with the caller ERC20 allowance.
+     * @dev returns the pool balance increase, lower than ´amount´ for fee-on-transfer tokens.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to pull.
+     * @param usePermit2 Boolean indicating whether to pull the tokens through Permit2.
+     * @return received The amount of tokens received by the pool.
+     */
+    function pullTokens(
+        address token,
+        uint256 amount,
+        bool usePermit2
+    ) internal returns (uint256 received) {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        if (usePermit2) {
+            IPermit2(permit2).transferFrom(
+                msg.sender,
+                address(this),
+                SafeCast.toUint160(amount),
+                token
+            );
+        } else {
+            token.transferERC20(msg.sender, address(this), amount);
+        }
+        received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+    }
+
+    /**
+     * @dev Executes a call on a pool module in the context of this contract, bubbling up its revert reason.
+     * @dev module backed functions forward their calldata as is, module functions have the same signature.
+     * @param module The LiquidationManager or PoolConfigurator address.
+     * @param data The encoded module call.
+     */
+    function _delegateTo(
+        address module,
+        bytes memory data
+    ) internal returns (bytes memory result) {
+        bool success;
+        (success, result) = module.delegatecall(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    /**
+     * @dev Executes a read-only call on a pool module in the context of this contract.
+     * @dev goes through a static call to delegateView, so the module cannot modify the pool state.
+     * @param module The LiquidationManager or PoolConfigurator address.
+     * @param data The encoded module view call.
+     * @return result The module call returned data.
+     */
+    function _delegateView(
+        address module,
+        bytes memory data
+    ) internal view returns (bytes memory result) {
+        bool success;
+        (success, result) = address(this).staticcall(
+            abi.encodeCall(this.delegateView, (module, data))
+        );
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    /**
+     * @dev Pulls tokens from the caller and credits the supply shares to an account.
+     * @dev clears the account liquidation warning if the supply makes it solvent again.
+     * @param account The account receiving the supply shares.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to supply.
+     * @param minSharesOut The minimum shares to be receive.
+     * @param usePermit2 Boolean indicating whether to pull the tokens through Permit2.
+     * @return suppliedAmount The amount of tokens actually supplied.
+     */
+    function _supply(
+        address account,
+        address token,
+        uint256 amount,
+        uint256 minSharesOut,
+        bool usePermit2
+    ) internal returns (uint256 suppliedAmount) {
+        WhenNotPaused(token);
+        allowedToken(token);
+        _accrueInterest(token);
+        uint256 supplyCap = vaults[token].supplyCap;
+        if (
+            supplyCap != 0 &&
+            vaults[token].totalAsset.amount + amount > supplyCap
+        ) revert SupplyCapExceeded(supplyCap);
+
+        // only credit the tokens actually received
+        amount = pullTokens(token, amount, usePermit2);
+        uint256 shares = vaults[token].totalAsset.toShares(amount, false);
+        if (shares < minSharesOut) revert TooHighSlippage(shares);
+
+        vaults[token].totalAsset.shares += uint128(shares);
+        vaults[token].totalAsset.amount += uint128(amount);
+        userShares[account][token].collateral += shares;
+
+        _emitShareTransfer(token, address(0), account, shares);
+        emit Deposit(account, token, amount, shares);
+        _clearSolventWarning(account);
+        suppliedAmount = amount;
+    }
+
+    /**
+     * @dev Pulls tokens from the caller to repay an account debt.
+     * @dev clears the account liquidation warning if the repayment makes it solvent again.
+     * @param account The account whose debt is repaid.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to repay, type(uint256).max for full repayment.
+     * @param usePermit2 Boolean indicating whether to pull the tokens through Permit2.
+     * @return repaidAmount The amount of tokens actually repaid.
+     */
+    function _repay(
+        address account,
+        address token,
+        uint256 amount,
+        bool usePermit2
+    ) internal returns (uint256 repaidAmount) {
+        _accrueInterest(token);
+        uint256 userBorrowShare = userShares[account][token].borrow;
+        if (
+            amount == type(uint256).max ||
+            vaults[token].totalBorrow.toShares(amount, true) > userBorrowShare
+        ) amount = vaults[token].totalBorrow.toAmount(userBorrowShare, true);
+
+        // only repay the tokens actually received
+        amount = pullTokens(token, amount, usePermit2);
+        uint256 shares = vaults[token].totalBorrow.toShares(amount, true);
+        if (shares > userBorrowShare) shares = userBorrowShare;
+        unchecked {
+            vaults[token].totalBorrow.shares -= uint128(shares);
+            vaults[token].totalBorrow.amount -= uint128(amount);
+            userShares[account][token].borrow = userBorrowShare - shares;
+        }
+        _emitDebtTransfer(token, account, address(0), amount);
+        emit Repay(account, token, amount, shares);
+        _clearSolventWarning(account);
+        repaidAmount = amount;
+    }
+
+    /**
+     * @dev Borrows tokens against an account collateral and sends them to the caller.
+     * @dev the caller must check the account borrowing power afterwards.
+     * @param account The account charged with the debt.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to borrow.
+     */
+    function _borrow(address account, address token, uint256 amount) internal {
+        WhenNotPaused(token);
+        checkSequencerUptime(false);
+        if (!vaultAboveReserveRatio(token, amount))
+            revert InsufficientBalance();
+        _accrueInterest(token);
+        uint256 borrowCap = vaults[token].borrowCap;
+        if (
+            borrowCap != 0 &&
+            vaults[token].totalBorrow.amount + amount > borrowCap
+        ) revert BorrowCapExceeded(borrowCap);
+
+        uint256 shares = vaults[token].totalBorrow.toShares(amount, false);
+        vaults[token].totalBorrow.shares += uint128(shares);
+        vaults[token].totalBorrow.amount += uint128(amount);
+        userShares[account][token].borrow += shares;
+
+        token.transferERC20(address(this), msg.sender, amount);
+        _emitDebtTransfer(token, address(0), account, amount);
+        emit Borrow(account, token, amount, shares);
+    }
+
+    /**
+     * @dev Withdraws or redeems the caller supplied tokens.
+     * @dev the caller must check the user borrowing power afterwards.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to withdraw, or of shares to redeem.
+     * @param minAmountOutOrMaxShareIn The slippage limit, minimum amount out when redeeming or maximum shares in when withdrawing.
+     * @param share Boolean indicating whether ´amount´ is a shares amount.
+     */
     function _withdraw(
         address token,
         uint256 amount,
         uint256 minAmountOutOrMaxShareIn,
         bool share
     ) internal {
+        checkSequencerUptime(false);
         _accrueInterest(token);
 
         uint256 userCollShares = userShares[msg.sender][token].collateral;
@@ -592,114 +1361,7 @@ contract LendingPool is Pausable, TokenSupport {
         }
 
         token.transferERC20(address(this), msg.sender, amount);
-        if (healthFactor(msg.sender) < MIN_HEALTH_FACTOR)
-            revert BelowHeathFactor();
+        _emitShareTransfer(token, msg.sender, address(0), shares);
         emit Withdraw(msg.sender, token, amount, shares);
     }
-
-    function _accrueInterest(
-        address token
-    )
-        internal
-        returns (
-            uint256 _interestEarned,
-            uint256 _feesAmount,
-            uint256 _feesShare,
-            uint64 newRate
-        )
-    {
-        PoolStructs.TokenVault memory _vault = vaults[token];
-        if (_vault.totalAsset.amount == 0) {
-            return (0, 0, 0, 0);
-        }
-
-        // Add interest only once per block
-        PoolStructs.VaultInfo memory _currentRateInfo = _vault.vaultInfo;
-        if (_currentRateInfo.lastTimestamp == block.timestamp) {
-            newRate = _currentRateInfo.ratePerSec;
-            return (_interestEarned, _feesAmount, _feesShare, newRate);
-        }
-
-        // If there are no borrows or vault or system is paused, no interest accrues
-        if (_vault.totalBorrow.shares == 0 || pausedStatus(token)) {
-            _currentRateInfo.lastTimestamp = uint64(block.timestamp);
-            _currentRateInfo.lastBlock = uint64(block.number);
-            _vault.vaultInfo = _currentRateInfo;
-        } else {
-            uint256 _deltaTime = block.number - _currentRateInfo.lastBlock;
-            uint256 _utilization = (_vault.totalBorrow.amount * PRECISION) /
-                _vault.totalAsset.amount;
-            // Calculate new interest rate
-            uint256 _newRate = _currentRateInfo.calculateInterestRate(
-                _utilization
-            );
-            _currentRateInfo.ratePerSec = uint64(_newRate);
-            _currentRateInfo.lastTimestamp = uint64(block.timestamp);
-            _currentRateInfo.lastBlock = uint64(block.number);
-
-            emit UpdateInterestRate(_deltaTime, uint64(_newRate));
-
-            // Calculate interest accrued
-            _interestEarned =
-                (_deltaTime *
-                    _vault.totalBorrow.amount *
-                    _currentRateInfo.ratePerSec) /
-                (PRECISION * BLOCKS_PER_YEAR);
-
-            // Accumulate interest and fees
-            _vault.totalBorrow.amount += uint128(_interestEarned);
-            _vault.totalAsset.amount += uint128(_interestEarned);
-            _vault.vaultInfo = _currentRateInfo;
-            if (_currentRateInfo.feeToProtocolRate > 0) {
-                _feesAmount =
-                    (_interestEarned * _currentRateInfo.feeToProtocolRate) /
-                    BPS;
-                _feesShare =
-                    (_feesAmount * _vault.totalAsset.shares) /
-                    (_vault.totalAsset.amount - _feesAmount);
-                _vault.totalAsset.shares += uint128(_feesShare);
-
-                // accrue protocol fee shares to this contract
-                userShares[address(this)][token].collateral += _feesShare;
-            }
-            emit AccruedInterest(
-                _currentRateInfo.ratePerSec,
-                _interestEarned,
-                _feesAmount,
-                _feesShare
-            );
-        }
-        // save to storage
-        vaults[token] = _vault;
-    }
-
-    function _setupVault(
-        address token,
-        address priceFeed,
-        PoolStructs.VaultSetupParams memory params,
-        bool addToken
-    ) internal {
-        if (addToken) {
-            addSupportedToken(token, priceFeed);
-        } else {
-            // cannot change vault setup when nor system or vault are paused
-            WhenPaused(token);
-        }
-        
-        if (params.reserveRatio > BPS)
-            revert InvalidReserveRatio(params.reserveRatio);
-        if (params.feeToProtocolRate > MAX_PROTOCOL_FEE)
-            revert InvalidFeeRate(params.feeToProtocolRate);
-
-        PoolStructs.VaultInfo storage _vaultInfo = vaults[token].vaultInfo;
-        _vaultInfo.reserveRatio = params.reserveRatio;
-        _vaultInfo.feeToProtocolRate = params.feeToProtocolRate;
-        _vaultInfo.optimalUtilization = params.optimalUtilization;
-        _vaultInfo.baseRate = params.baseRate;
-        _vaultInfo.slope1 = params.slope1;
-        _vaultInfo.slope2 = params.slope2;
-
-        emit NewVaultSetup(token, params);
-        
-    }
 }
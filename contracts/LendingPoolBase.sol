@@ -0,0 +1,555 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+import {VaultAccounting} from "./libraries/VaultAccounting.sol";
+import {TokenSupport} from "./TokenSupport.sol";
+import {PoolStructs} from "./interfaces/PoolStructs.sol";
+import {InterestRate} from "./libraries/InterestRate.sol";
+import {IInterestRateStrategy} from "./interfaces/IInterestRateStrategy.sol";
+import {IPoolToken} from "./interfaces/IPoolToken.sol";
+import {Pausable} from "./utils/Pausable.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./libraries/TokenHelper.sol";
+
+/**
+ * @title Lending Pool Base
+ * @author Petro1912
+ * @notice Storage, errors, events and account valuation shared by the lending pool and its liquidation manager.
+ * @dev the liquidation manager is executed with delegatecall from the lending pool, both contracts must inherit this one and must not declare any other state variable.
+ */
+abstract contract LendingPoolBase is Pausable, TokenSupport, ReentrancyGuard {
+    using VaultAccounting for PoolStructs.Vault;
+    using TokenHelper for address;
+
+    //--------------------------------------------------------------------
+    /** VARIABLES */
+
+    // ERC20 token => TokenVault
+    mapping(address => PoolStructs.TokenVault) internal vaults;
+    // user => token => (colletral, borrow) shares
+    mapping(address => mapping(address => PoolStructs.AccountShares))
+        internal userShares;
+    // receiver of the protocol fees accrued by the pool
+    address public treasury;
+    // user => token => supplied token not used as collateral
+    mapping(address => mapping(address => bool)) internal collateralDisabled;
+    // borrower => pending liquidation warning
+    mapping(address => PoolStructs.LiquidateWarn) internal liquidationWarnings;
+    // ERC20 token => supply shares receipt token
+    mapping(address => address) public shareTokens;
+    // ERC20 token => variable debt token
+    mapping(address => address) public debtTokens;
+    // delegator => token => delegatee => amount the delegatee can borrow
+    mapping(address => mapping(address => mapping(address => uint256)))
+        internal borrowAllowances;
+    // Permit2 contract used by the permit2 supply and repay functions
+    address public permit2;
+    // USD value (18 decimals) under which a borrower collateral does not block his bad debt settlement
+    uint256 public badDebtCollateralDust = DEFAULT_BAD_DEBT_COLLATERAL_DUST;
+
+    //--------------------------------------------------------------------
+    /** ERRORS */
+
+    error TooHighSlippage(uint256 sharesOutOrAmountIn);
+    error InsufficientBalance();
+    error SupplyCapExceeded(uint256 cap);
+    error BorrowCapExceeded(uint256 cap);
+    error BelowHeathFactor();
+    error InsufficientBorrowingPower();
+    error InsufficientBorrowAllowance(uint256 allowance);
+    error BorrowerIsSolvant();
+    error SelfLiquidation();
+    error CollateralDisabled();
+    error AccountHasCollateral(address token);
+    error InvalidFeeRate(uint256 fee);
+    error InvalidReserveRatio(uint256 ratio);
+    error InvalidLiquidationDelay(uint256 delay);
+    error InvalidMaxLTV(uint256 ltv);
+    error InvalidLiquidationThreshold(uint256 threshold);
+    error InvalidLiquidationBonus(uint256 bonus);
+    error InvalidLiquidationBonusSlope(uint256 slope);
+    error InvalidCloseFactor(uint256 closeFactor);
+    error InvalidBadDebtCollateralDust(uint256 dustValue);
+    error InvalidInterestRateStrategy(address strategy);
+    error NoLiquidateWarn();
+    error LiquidationAlreadyWarned();
+    error LiquidationWarningExpired();
+    error WarningDelayHasNotPassed();
+    error MustRepayMoreDebt();
+    error LiquidatorDelayHasNotPassed();
+    error NotTreasury();
+    error InvalidReceiver();
+    error EmptyArray();
+    error ArrayMismatch();
+    error FlashLoanCallbackFailed();
+    error InsufficientAmountReceived(uint256 received);
+    error Permit2NotSet();
+    error NotShareToken();
+    error InvalidShareToken(address shareToken);
+    error NotDebtToken();
+    error InvalidDebtToken(address debtToken);
+    error NotLendingPool();
+
+    //--------------------------------------------------------------------
+    /** EVENTS */
+
+    event Deposit(address user, address token, uint256 amount, uint256 shares);
+    event SupplyOnBehalfOf(
+        address caller,
+        address onBehalfOf,
+        address token,
+        uint256 amount
+    );
+    event Borrow(address user, address token, uint256 amount, uint256 shares);
+    event BorrowOnBehalfOf(
+        address delegatee,
+        address onBehalfOf,
+        address token,
+        uint256 amount
+    );
+    event Repay(address user, address token, uint256 amount, uint256 shares);
+    event RepayOnBehalfOf(
+        address caller,
+        address onBehalfOf,
+        address token,
+        uint256 amount
+    );
+    event Withdraw(address user, address token, uint256 amount, uint256 shares);
+    event UseAsCollateral(address user, address token, bool enabled);
+    event Liquidated(
+        address borrower,
+        address liquidator,
+        uint256 repaidAmount,
+        uint256 liquidatedCollateral,
+        uint256 reward
+    );
+    event BatchLiquidated(
+        address borrower,
+        address liquidator,
+        uint256 repaidValueUSD,
+        uint256 seizedValueUSD
+    );
+    event LiquidationWarned(
+        address borrower,
+        address liquidator,
+        uint256 timestamp
+    );
+    event LiquidationWarningCleared(address borrower);
+    event BadDebtSettled(
+        address borrower,
+        address token,
+        uint256 debtAmount,
+        uint256 debtShares,
+        uint256 coveredByProtocol,
+        uint256 socializedLoss
+    );
+    event FlashLoan(
+        address receiver,
+        address initiator,
+        address token,
+        uint256 amount,
+        uint256 fee
+    );
+    event UpdateInterestRate(uint256 elapsedTime, uint64 newInterestRate);
+    event AccruedInterest(
+        uint64 interestRatePerSec,
+        uint256 interestEarned,
+        uint256 feesAmount,
+        uint256 feesShare
+    );
+    event NewVaultSetup(address token, PoolStructs.VaultSetupParams params);
+    event InterestRateStrategyUpdated(address token, address strategy);
+    event ShareTokenUpdated(address token, address shareToken);
+    event DebtTokenUpdated(address token, address debtToken);
+    event BorrowAllowanceDelegated(
+        address delegator,
+        address delegatee,
+        address token,
+        uint256 amount
+    );
+    event VaultCapsUpdated(address token, uint256 supplyCap, uint256 borrowCap);
+    event TreasuryUpdated(address treasury);
+    event Permit2Updated(address permit2);
+    event BadDebtCollateralDustUpdated(uint256 dustValue);
+    event ProtocolFeesClaimed(
+        address token,
+        address to,
+        uint256 amount,
+        uint256 shares
+    );
+
+    /*//////////////////////////////////////////////////////////////
+                        Getters functions
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @dev Calculates the total USD value of all tokens collateral for a user.
+     * @dev supplied tokens not used as collateral are excluded.
+     * @param user The address of the user.
+     */
+    function getUserTotalTokenCollateral(
+        address user
+    ) public view returns (uint256 totalValueUSD) {
+        uint256 len = supportedERC20s.length;
+        for (uint256 i; i < len; ) {
+            address token = supportedERC20s[i];
+            uint256 tokenAmount = collateralDisabled[user][token]
+                ? 0
+                : vaults[token].totalAsset.toAmount(
+                    userShares[user][token].collateral,
+                    false
+                );
+            if (tokenAmount != 0) {
+                totalValueUSD += getAmountInUSD(token, tokenAmount);
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Calculates the total USD value of all tokens collateral for a user, weighted by each vault liquidation threshold.
+     * @param user The address of the user.
+     */
+    function getUserLiquidationCollateral(
+        address user
+    ) public view returns (uint256 totalValueUSD) {
+        totalValueUSD = getUserWeightedCollateral(user, false);
+    }
+
+    /**
+     * @dev Calculates the maximum USD value a user can borrow, each collateral is weighted by its vault max LTV.
+     * @param user The address of the user.
+     */
+    function getUserBorrowingPower(
+        address user
+    ) public view returns (uint256 totalValueUSD) {
+        totalValueUSD = getUserWeightedCollateral(user, true);
+    }
+
+    /**
+     * @dev Calculates the total borrowed USD value for a user.
+     * @param user The address of the user.
+     */
+    function getUserTotalBorrow(
+        address user
+    ) public view returns (uint256 totalValueUSD) {
+        uint256 len = supportedERC20s.length;
+        for (uint256 i; i < len; ) {
+            address token = supportedERC20s[i];
+            uint256 tokenAmount = vaults[token].totalBorrow.toAmount(
+                userShares[user][token].borrow,
+                false
+            );
+            if (tokenAmount != 0) {
+                totalValueUSD += getAmountInUSD(token, tokenAmount);
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Calculates the health factor of a user.
+     * @dev each collateral value is weighted by its vault liquidation threshold.
+     * @param user The address of the user.
+     */
+    function healthFactor(address user) public view returns (uint256 factor) {
+        uint256 totalBorrowValue = getUserTotalBorrow(user);
+        if (totalBorrowValue == 0) return 100 * MIN_HEALTH_FACTOR;
+
+        uint256 collateralValueWithThreshold = getUserLiquidationCollateral(
+            user
+        );
+        factor =
+            (collateralValueWithThreshold * MIN_HEALTH_FACTOR) /
+            totalBorrowValue;
+    }
+
+    /**
+     * @dev Converts the given amount of a token to its equivalent value in USD.
+     * @param token The address of the token.
+     * @param amount The amount of the token.
+     */
+    function getAmountInUSD(
+        address token,
+        uint256 amount
+    ) public view returns (uint256 value) {
+        uint256 price = getTokenPrice(token);
+        uint8 decimals = token.tokenDecimals();
+        uint256 amountIn18Decimals = amount * 10 ** (18 - decimals);
+        // return USD value scaled by 18 decimals
+        value = (amountIn18Decimals * price) / PRECISION;
+    }
+
+    //--------------------------------------------------------------------
+    /** INTERNAL FUNCTIONS */
+
+    /**
+     * @dev Calculates the total USD value of all tokens collateral for a user, weighted by each vault max LTV or liquidation threshold.
+     * @param user The address of the user.
+     * @param useMaxLTV Boolean indicating whether to weight by max LTV or liquidation threshold.
+     */
+    function getUserWeightedCollateral(
+        address user,
+        bool useMaxLTV
+    ) internal view returns (uint256 totalValueUSD) {
+        uint256 len = supportedERC20s.length;
+        for (uint256 i; i < len; ) {
+            address token = supportedERC20s[i];
+            uint256 tokenAmount = collateralDisabled[user][token]
+                ? 0
+                : vaults[token].totalAsset.toAmount(
+                    userShares[user][token].collateral,
+                    false
+                );
+            if (tokenAmount != 0) {
+                PoolStructs.VaultInfo storage _vaultInfo = vaults[token]
+                    .vaultInfo;
+                totalValueUSD +=
+                    (getAmountInUSD(token, tokenAmount) *
+                        (
+                            useMaxLTV
+                                ? _vaultInfo.maxLTV
+                                : _vaultInfo.liquidationThreshold
+                        )) /
+                    BPS;
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Returns the liquidation bonus paid on a collateral for a borrower health factor.
+     * @dev in dutch auction mode (vault maxLiquidationBonus set) the bonus grows with the vault liquidationBonusSlope as the health factor falls below 1, up to the max bonus.
+     * @param collateral The collateral asset address.
+     * @param accountHF The borrower health factor, must be below ´MIN_HEALTH_FACTOR´.
+     * @return bonus The liquidation bonus rate (1e5 precision).
+     */
+    function liquidationBonus(
+        address collateral,
+        uint256 accountHF
+    ) internal view returns (uint256 bonus) {
+        PoolStructs.VaultInfo storage _vaultInfo = vaults[collateral].vaultInfo;
+        bonus = _vaultInfo.liquidationBonus;
+        uint256 maxBonus = _vaultInfo.maxLiquidationBonus;
+        if (maxBonus == 0) return bonus;
+
+        bonus +=
+            ((MIN_HEALTH_FACTOR - accountHF) *
+                _vaultInfo.liquidationBonusSlope) /
+            MIN_HEALTH_FACTOR;
+        if (bonus > maxBonus) bonus = maxBonus;
+    }
+
+    function _accrueInterest(
+        address token
+    )
+        internal
+        returns (
+            uint256 _interestEarned,
+            uint256 _feesAmount,
+            uint256 _feesShare,
+            uint64 newRate
+        )
+    {
+        PoolStructs.TokenVault memory _vault = vaults[token];
+        if (_vault.totalAsset.amount == 0) {
+            return (0, 0, 0, 0);
+        }
+
+        // Add interest only once per timestamp
+        PoolStructs.VaultInfo memory _currentRateInfo = _vault.vaultInfo;
+        if (_currentRateInfo.lastTimestamp == block.timestamp) {
+            newRate = _currentRateInfo.ratePerSec;
+            return (_interestEarned, _feesAmount, _feesShare, newRate);
+        }
+
+        // If there are no borrows or vault or system is paused, no interest accrues
+        if (_vault.totalBorrow.shares == 0 || pausedStatus(token)) {
+            // without borrows the vault rate falls back to the default one
+            if (_vault.totalBorrow.shares == 0)
+                _currentRateInfo.ratePerSec = DEFAULT_INTEREST;
+            _currentRateInfo.lastTimestamp = uint64(block.timestamp);
+            _vault.vaultInfo = _currentRateInfo;
+        } else {
+            uint256 _deltaTime = block.timestamp -
+                _currentRateInfo.lastTimestamp;
+            uint256 _utilization = (_vault.totalBorrow.amount * PRECISION) /
+                _vault.totalAsset.amount;
+            // Calculate new interest rate per second from the vault strategy
+            uint256 _newRate = IInterestRateStrategy(
+                _currentRateInfo.interestRateStrategy
+            ).updateInterestRate(token, _utilization) / SECONDS_PER_YEAR;
+            if (_utilization == 0) _newRate = DEFAULT_INTEREST;
+            _currentRateInfo.ratePerSec = uint64(_newRate);
+            _currentRateInfo.lastTimestamp = uint64(block.timestamp);
+
+            emit UpdateInterestRate(_deltaTime, uint64(_newRate));
+
+            // Calculate interest accrued, compounded every second
+            _interestEarned =
+                (_vault.totalBorrow.amount *
+                    InterestRate.calculateCompoundedInterest(
+                        _currentRateInfo.ratePerSec,
+                        _deltaTime
+                    )) /
+                PRECISION;
+
+            // Accumulate interest and fees
+            _vault.totalBorrow.amount += uint128(_interestEarned);
+            _vault.totalAsset.amount += uint128(_interestEarned);
+            _vault.vaultInfo = _currentRateInfo;
+            if (_currentRateInfo.feeToProtocolRate > 0) {
+                _feesAmount =
+                    (_interestEarned * _currentRateInfo.feeToProtocolRate) /
+                    BPS;
+                _feesShare =
+                    (_feesAmount * _vault.totalAsset.shares) /
+                    (_vault.totalAsset.amount - _feesAmount);
+                _vault.totalAsset.shares += uint128(_feesShare);
+
+                // accrue protocol fee shares to this contract
+                userShares[address(this)][token].collateral += _feesShare;
+            }
+            emit AccruedInterest(
+                _currentRateInfo.ratePerSec,
+                _interestEarned,
+                _feesAmount,
+                _feesShare
+            );
+        }
+        // save to storage
+        vaults[token] = _vault;
+        _emitShareTransfer(token, address(0), address(this), _feesShare);
+    }
+
+    /**
+     * @dev Returns a vault as _accrueInterest would store it, with the interest accrued since its last update.
+     * @dev the pending interest uses the rate the vault strategy would set on the next accrual.
+     * @param token The ERC20 token address.
+     */
+    function _accruedVault(
+        address token
+    ) internal view returns (PoolStructs.TokenVault memory _vault) {
+        _vault = vaults[token];
+        PoolStructs.VaultInfo memory _rateInfo = _vault.vaultInfo;
+        if (
+            _vault.totalAsset.amount == 0 ||
+            _vault.totalBorrow.shares == 0 ||
+            _rateInfo.lastTimestamp == block.timestamp ||
+            pausedStatus(token)
+        ) return _vault;
+
+        uint256 _utilization = (_vault.totalBorrow.amount * PRECISION) /
+            _vault.totalAsset.amount;
+        uint256 _rate = _utilization == 0
+            ? DEFAULT_INTEREST
+            : IInterestRateStrategy(_rateInfo.interestRateStrategy)
+                .getInterestRate(token, _utilization) / SECONDS_PER_YEAR;
+        uint256 _interestEarned = (_vault.totalBorrow.amount *
+            InterestRate.calculateCompoundedInterest(
+                _rate,
+                block.timestamp - _rateInfo.lastTimestamp
+            )) / PRECISION;
+
+        _vault.totalBorrow.amount += uint128(_interestEarned);
+        _vault.totalAsset.amount += uint128(_interestEarned);
+        if (_rateInfo.feeToProtocolRate > 0) {
+            uint256 _feesAmount = (_interestEarned *
+                _rateInfo.feeToProtocolRate) / BPS;
+            _vault.totalAsset.shares += uint128(
+                (_feesAmount * _vault.totalAsset.shares) /
+                    (_vault.totalAsset.amount - _feesAmount)
+            );
+        }
+    }
+
+    /**
+     * @dev Pulls an exact amount of tokens into the pool, reverts if less arrives (fee-on-transfer tokens).
+     * @param token The ERC20 token address.
+     * @param from The address the tokens are pulled from.
+     * @param amount The amount of tokens the pool must receive.
+     */
+    function _pullExactTokens(
+        address token,
+        address from,
+        uint256 amount
+    ) internal {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        token.transferERC20(from, address(this), amount);
+        uint256 received = IERC20(token).balanceOf(address(this)) -
+            balanceBefore;
+        if (received < amount) revert InsufficientAmountReceived(received);
+    }
+
+    /**
+     * @dev Removes the liquidation warning of a borrower once he is solvent again.
+     * @dev called after every action that can restore the borrower solvency, so a stale warning cannot be used after a later drop.
+     * @param account The borrower's address.
+     */
+    function _clearSolventWarning(address account) internal {
+        if (
+            liquidationWarnings[account].liquidator != address(0) &&
+            healthFactor(account) >= MIN_HEALTH_FACTOR
+        ) {
+            delete liquidationWarnings[account];
+            emit LiquidationWarningCleared(account);
+        }
+    }
+
+    /**
+     * @dev Notifies the vault share token, if any, of a supply shares movement.
+     * @param token The ERC20 token address.
+     * @param from The shares sender, address(0) for mints.
+     * @param to The shares receiver, address(0) for burns.
+     * @param shares The amount of shares moved.
+     */
+    function _emitShareTransfer(
+        address token,
+        address from,
+        address to,
+        uint256 shares
+    ) internal {
+        notifyPoolToken(shareTokens[token], from, to, shares);
+    }
+
+    /**
+     * @dev Notifies the vault debt token, if any, of a debt change.
+     * @dev interest accrual is not notified, the debt token balances grow with the vault total borrow.
+     * @param token The ERC20 token address.
+     * @param from The borrower on repayments, address(0) on borrows.
+     * @param to The borrower on borrows, address(0) on repayments.
+     * @param amount The amount borrowed or repaid.
+     */
+    function _emitDebtTransfer(
+        address token,
+        address from,
+        address to,
+        uint256 amount
+    ) internal {
+        notifyPoolToken(debtTokens[token], from, to, amount);
+    }
+
+    /**
+     * @dev Emits a pool token Transfer event, skipped if the token is not set.
+     * @param poolToken The IPoolToken contract address.
+     * @param from The sender.
+     * @param to The receiver.
+     * @param amount The amount moved.
+     */
+    function notifyPoolToken(
+        address poolToken,
+        address from,
+        address to,
+        uint256 amount
+    ) private {
+        if (poolToken != address(0) && amount != 0)
+            IPoolToken(poolToken).emitTransfer(from, to, amount);
+    }
+}
@@ -0,0 +1,588 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+import {VaultAccounting} from "./libraries/VaultAccounting.sol";
+import {LendingPoolBase} from "./LendingPoolBase.sol";
+import {PoolStructs} from "./interfaces/PoolStructs.sol";
+import {LiquidationMath} from "./libraries/LiquidationMath.sol";
+import "./libraries/TokenHelper.sol";
+
+/**
+ * @title Lending Pool Liquidation Manager
+ * @author Petro1912
+ * @notice Implements the liquidation and bad debt logic of the lending pool.
+ * @dev deployed once and passed to the lending pool constructor, only executed through delegatecall, it operates on the lending pool storage (see LendingPoolBase).
+ */
+contract LiquidationManager is LendingPoolBase {
+    using VaultAccounting for PoolStructs.Vault;
+    using TokenHelper for address;
+
+    /*//////////////////////////////////////////////////////////////
+                        Liquidation functions
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Warns an unsolvent borrower before liquidating his position.
+     * @dev required before liquidating a collateral whose vault has liquidation delays set.
+     * @dev the borrower can top up his position during the vault ´warningDelay´, then only the warning liquidator can liquidate during the ´liquidatorDelay´, after which anyone can.
+     * @dev a supply or repayment making the borrower solvent again clears the warning (see LendingPoolBase._clearSolventWarning).
+     * @dev the warning expires ´LIQUIDATION_WARNING_VALIDITY´ after the longest delays of the borrower collateral vaults, an expired warning can be replaced.
+     * @dev reverts if the L2 sequencer is down or in its grace period, unless liquidations are allowed during the grace period.
+     * @param account The borrower's address.
+     */
+    function warnLiquidation(address account) external {
+        if (msg.sender == account) revert SelfLiquidation();
+        checkSequencerUptime(true);
+        if (healthFactor(account) >= MIN_HEALTH_FACTOR)
+            revert BorrowerIsSolvant();
+        PoolStructs.LiquidateWarn memory warning = liquidationWarnings[account];
+        if (
+            warning.liquidator != address(0) &&
+            block.timestamp < warning.expirationTimestamp
+        ) revert LiquidationAlreadyWarned();
+
+        liquidationWarnings[account] = PoolStructs.LiquidateWarn({
+            liquidator: msg.sender,
+            liquidationTimestamp: uint64(block.timestamp),
+            expirationTimestamp: uint64(
+                block.timestamp +
+                    _maxLiquidationDelays(account) +
+                    LIQUIDATION_WARNING_VALIDITY
+            )
+        });
+
+        emit LiquidationWarned(account, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @notice Removes the liquidation warning of a borrower who is solvent again.
+     * @param account The borrower's address.
+     */
+    function clearLiquidationWarning(address account) external {
+        if (liquidationWarnings[account].liquidator == address(0))
+            revert NoLiquidateWarn();
+        if (healthFactor(account) < MIN_HEALTH_FACTOR)
+            revert BelowHeathFactor();
+
+        delete liquidationWarnings[account];
+
+        emit LiquidationWarningCleared(account);
+    }
+
+    /**
+     * @notice Allows users to liquidate unsolvent borrower.
+     * @dev borrower must be below min HF.
+     * @dev full liquidation is only allowed if borrower HF is below ´CLOSE_FACTOR_HF_THRESHOLD´ otherwise can only repay up to the borrowed token vault close factor.
+     * @dev the liquidator receives the collateral vault liquidation bonus on top of the seized collateral, if the borrower collateral is too low the repaid amount is lowered (see LiquidationMath).
+     * @dev in dutch auction mode the bonus grows as the borrower HF falls below 1 (see LendingPoolBase.liquidationBonus).
+     * @dev if the collateral vault has liquidation delays set, the borrower must have been warned first (see warnLiquidation).
+     * @dev collateral disabled by the borrower cannot be liquidated.
+     * @dev reverts if the pool receives less than the repaid amount (fee-on-transfer debt tokens).
+     * @dev reverts if the L2 sequencer is down or in its grace period, unless liquidations are allowed during the grace period.
+     * @param account The borrower's address.
+     * @param collateral The collateral asset address.
+     * @param userBorrowToken The token the borrower has borrowed.
+     * @param amountToLiquidate The amount to liquidate.
+     */
+    function liquidate(
+        address account,
+        address collateral,
+        address userBorrowToken,
+        uint256 amountToLiquidate
+    ) external {
+        _liquidate(
+            account,
+            collateral,
+            userBorrowToken,
+            amountToLiquidate,
+            false
+        );
+    }
+
+    /**
+     * @notice Liquidates an unsolvent borrower, the liquidator receives the borrower collateral shares instead of the collateral tokens.
+     * @dev allows liquidating when the collateral vault has no liquidity left, the shares can be redeemed once liquidity is back.
+     * @dev same conditions as liquidate.
+     * @param account The borrower's address.
+     * @param collateral The collateral asset address.
+     * @param userBorrowToken The token the borrower has borrowed.
+     * @param amountToLiquidate The amount to liquidate.
+     */
+    function liquidateToShares(
+        address account,
+        address collateral,
+        address userBorrowToken,
+        uint256 amountToLiquidate
+    ) external {
+        _liquidate(
+            account,
+            collateral,
+            userBorrowToken,
+            amountToLiquidate,
+            true
+        );
+    }
+
+    /**
+     * @notice Liquidates several collateral and borrowed token pairs of an unsolvent borrower in one call.
+     * @dev borrower must be below min HF before the first leg, the legs are then executed in order even if the borrower becomes solvent.
+     * @dev reverts if any leg collateral or borrowed token is not supported.
+     * @dev if borrower HF is above ´CLOSE_FACTOR_HF_THRESHOLD´ the total repaid value is limited by the borrower debt value weighted by each borrowed token vault close factor, the legs past this limit are lowered.
+     * @dev each leg follows the liquidate rules and emits Liquidated, legs without collateral or debt to liquidate are skipped.
+     * @dev dutch auction bonuses are computed from the borrower HF before the first leg.
+     * @dev emits BatchLiquidated with the total repaid and seized USD values.
+     * @param account The borrower's address.
+     * @param legs The liquidations to execute (see PoolStructs.LiquidationLeg).
+     */
+    function liquidateBatch(
+        address account,
+        PoolStructs.LiquidationLeg[] calldata legs
+    ) external {
+        uint256 len = legs.length;
+        if (len == 0) revert EmptyArray();
+        // all the legs tokens must be supported before pricing them
+        for (uint256 i; i < len; ) {
+            allowedToken(legs[i].collateral);
+            allowedToken(legs[i].debtToken);
+            unchecked {
+                ++i;
+            }
+        }
+        uint256 accountHF = _checkLiquidatable(account);
+        bool applyCloseFactor = accountHF >= CLOSE_FACTOR_HF_THRESHOLD;
+        uint256 maxRepaidValue = applyCloseFactor
+            ? _closeFactorDebtValue(account)
+            : 0;
+
+        uint256 repaidValue;
+        uint256 seizedValue;
+        for (uint256 i; i < len; ) {
+            PoolStructs.LiquidationLeg memory leg = legs[i];
+            if (applyCloseFactor) {
+                // convert the remaining USD value to borrowed tokens
+                uint256 maxAmount = ((maxRepaidValue - repaidValue) *
+                    10 ** leg.debtToken.tokenDecimals()) /
+                    getTokenPrice(leg.debtToken);
+                if (leg.amount > maxAmount) leg.amount = maxAmount;
+            }
+            (uint256 repayAmount, uint256 seizedCollateral) = _liquidateLeg(
+                account,
+                leg,
+                accountHF,
+                false
+            );
+            repaidValue += getAmountInUSD(leg.debtToken, repayAmount);
+            seizedValue += getAmountInUSD(leg.collateral, seizedCollateral);
+            unchecked {
+                ++i;
+            }
+        }
+
+        emit BatchLiquidated(account, msg.sender, repaidValue, seizedValue);
+
+        _clearSolventWarning(account);
+    }
+
+    /**
+     * @notice Writes off the remaining debt of an unsolvent borrower who has no collateral left.
+     * @dev can be called by anyone, the borrower must be below min HF and must not have any supplied shares left in any vault.
+     * @dev collateral dust worth less than ´badDebtCollateralDust´ does not block the settlement, so it cannot be left by liquidations or supplied on behalf of the borrower to keep the debt alive.
+     * @dev the dust shares are moved to the protocol fee shares, so the dust tokens stay accounted and first absorb the written off debt of their vault.
+     * @dev each vault loss is first absorbed by the accrued protocol fee shares, the rest is socialized across the vault suppliers.
+     * @param account The borrower's address.
+     */
+    function settleBadDebt(address account) external {
+        if (healthFactor(account) >= MIN_HEALTH_FACTOR)
+            revert BorrowerIsSolvant();
+
+        uint256 len = supportedERC20s.length;
+        for (uint256 i; i < len; ) {
+            address token = supportedERC20s[i];
+            uint256 shares = userShares[account][token].collateral;
+            if (shares != 0) {
+                uint256 amount = vaults[token].totalAsset.toAmount(
+                    shares,
+                    false
+                );
+                if (getAmountInUSD(token, amount) >= badDebtCollateralDust)
+                    revert AccountHasCollateral(token);
+
+                userShares[account][token].collateral = 0;
+                userShares[address(this)][token].collateral += shares;
+                _emitShareTransfer(token, account, address(this), shares);
+            }
+            unchecked {
+                ++i;
+            }
+        }
+
+        for (uint256 i; i < len; ) {
+            address token = supportedERC20s[i];
+            if (userShares[account][token].borrow != 0) {
+                _accrueInterest(token);
+                _writeOffDebt(account, token);
+            }
+            unchecked {
+                ++i;
+            }
+        }
+
+        if (liquidationWarnings[account].liquidator != address(0)) {
+            delete liquidationWarnings[account];
+            emit LiquidationWarningCleared(account);
+        }
+    }
+
+    /**
+     * @notice Simulates the liquidation of a borrower position (see liquidate).
+     * @dev includes the interest the liquidation would accrue on the debt and collateral vaults.
+     * @dev returns zeros if the borrower is solvent or the collateral is disabled, liquidation warnings are not checked.
+     * @param account The borrower's address.
+     * @param collateral The collateral asset address.
+     * @param debtToken The token the borrower has borrowed.
+     * @param amount The amount of borrowed tokens to repay.
+     * @return repayAmount The borrowed token amount the liquidator would repay.
+     * @return seizedCollateral The collateral amount the liquidator would receive, bonus included.
+     * @return bonus The part of the seized collateral paid as liquidation bonus.
+     */
+    function previewLiquidation(
+        address account,
+        address collateral,
+        address debtToken,
+        uint256 amount
+    )
+        external
+        view
+        returns (uint256 repayAmount, uint256 seizedCollateral, uint256 bonus)
+    {
+        uint256 accountHF = healthFactor(account);
+        if (
+            accountHF < MIN_HEALTH_FACTOR &&
+            !collateralDisabled[account][collateral]
+        )
+            return
+                _previewLiquidation(
+                    account,
+                    collateral,
+                    debtToken,
+                    amount,
+                    accountHF,
+                    accountHF >= CLOSE_FACTOR_HF_THRESHOLD
+                );
+    }
+
+    //--------------------------------------------------------------------
+    /** INTERNAL FUNCTIONS */
+
+    /**
+     * @dev Reverts if the caller cannot liquidate the borrower.
+     * @param account The borrower's address.
+     * @return accountHF The borrower health factor.
+     */
+    function _checkLiquidatable(
+        address account
+    ) internal view returns (uint256 accountHF) {
+        if (msg.sender == account) revert SelfLiquidation();
+        checkSequencerUptime(true);
+        accountHF = healthFactor(account);
+        if (accountHF >= MIN_HEALTH_FACTOR) revert BorrowerIsSolvant();
+    }
+
+    /**
+     * @dev Liquidates a single collateral and borrowed token pair of a borrower, shared by liquidate and liquidateToShares.
+     * @param account The borrower's address.
+     * @param collateral The collateral asset address.
+     * @param userBorrowToken The token the borrower has borrowed.
+     * @param amountToLiquidate The amount to liquidate.
+     * @param receiveShares Whether the liquidator receives the borrower collateral shares instead of the collateral tokens.
+     */
+    function _liquidate(
+        address account,
+        address collateral,
+        address userBorrowToken,
+        uint256 amountToLiquidate,
+        bool receiveShares
+    ) internal {
+        uint256 accountHF = _checkLiquidatable(account);
+        _liquidateLeg(
+            account,
+            PoolStructs.LiquidationLeg({
+                collateral: collateral,
+                debtToken: userBorrowToken,
+                amount: amountToLiquidate,
+                receiveShares: receiveShares
+            }),
+            accountHF,
+            accountHF >= CLOSE_FACTOR_HF_THRESHOLD
+        );
+        _clearSolventWarning(account);
+    }
+
+    /**
+     * @dev Liquidates a collateral and borrowed token pair of a borrower, shared by the single and batch liquidations.
+     * @param account The borrower's address.
+     * @param leg The liquidated pair, amount to repay and collateral receipt option.
+     * @param accountHF The borrower health factor, sets the dutch auction bonus.
+     * @param applyCloseFactor Whether the repaid debt is limited by the borrowed token vault close factor.
+     * @return repayAmount The borrowed token amount repaid by the liquidator.
+     * @return seizedCollateral The collateral amount seized by the liquidator, bonus included.
+     */
+    function _liquidateLeg(
+        address account,
+        PoolStructs.LiquidationLeg memory leg,
+        uint256 accountHF,
+        bool applyCloseFactor
+    ) internal returns (uint256 repayAmount, uint256 seizedCollateral) {
+        if (collateralDisabled[account][leg.collateral])
+            revert CollateralDisabled();
+        checkLiquidationWarning(account, leg.collateral);
+        _accrueInterest(leg.debtToken);
+        _accrueInterest(leg.collateral);
+
+        uint256 bonus;
+        (repayAmount, seizedCollateral, bonus) = _previewLiquidation(
+            account,
+            leg.collateral,
+            leg.debtToken,
+            leg.amount,
+            accountHF,
+            applyCloseFactor
+        );
+        if (seizedCollateral == 0) return (0, 0);
+
+        // Update borrow vault and borrower borrow shares
+        PoolStructs.Vault storage totalBorrow = vaults[leg.debtToken]
+            .totalBorrow;
+        uint256 repaidBorrowShares = totalBorrow.toShares(repayAmount, false);
+        totalBorrow.shares -= uint128(repaidBorrowShares);
+        totalBorrow.amount -= uint128(repayAmount);
+        userShares[account][leg.debtToken].borrow -= repaidBorrowShares;
+
+        _emitDebtTransfer(leg.debtToken, account, address(0), repayAmount);
+
+        // Repay borrowed amount
+        _pullExactTokens(leg.debtToken, msg.sender, repayAmount);
+
+        // Update borrower collateral shares
+        PoolStructs.Vault storage totalAsset = vaults[leg.collateral]
+            .totalAsset;
+        uint256 collateralShares = userShares[account][leg.collateral]
+            .collateral;
+        uint256 seizedShares = collateralShares;
+        // burn all the borrower shares on full seizure so no dust is left, otherwise round up in favor of the pool
+        if (seizedCollateral != totalAsset.toAmount(collateralShares, false)) {
+            seizedShares = totalAsset.toShares(seizedCollateral, true);
+            if (seizedShares > collateralShares)
+                seizedShares = collateralShares;
+        }
+        userShares[account][leg.collateral].collateral -= seizedShares;
+        if (leg.receiveShares) {
+            // seized collateral stays supplied in the vault, credited to the liquidator
+            userShares[msg.sender][leg.collateral].collateral += seizedShares;
+            _emitShareTransfer(
+                leg.collateral,
+                account,
+                msg.sender,
+                seizedShares
+            );
+        } else {
+            totalAsset.shares -= uint128(seizedShares);
+            totalAsset.amount -= uint128(seizedCollateral);
+            _emitShareTransfer(
+                leg.collateral,
+                account,
+                address(0),
+                seizedShares
+            );
+
+            // Transfer collateral & liquidation reward to liquidator
+            leg.collateral.transferERC20(
+                address(this),
+                msg.sender,
+                seizedCollateral
+            );
+        }
+
+        emit Liquidated(
+            account,
+            msg.sender,
+            repayAmount,
+            seizedCollateral,
+            bonus
+        );
+    }
+
+    /**
+     * @dev Calculates the borrower debt USD value weighted by each borrowed token vault close factor.
+     * @param account The borrower's address.
+     */
+    function _closeFactorDebtValue(
+        address account
+    ) internal view returns (uint256 totalValueUSD) {
+        uint256 len = supportedERC20s.length;
+        for (uint256 i; i < len; ) {
+            address token = supportedERC20s[i];
+            uint256 tokenAmount = vaults[token].totalBorrow.toAmount(
+                userShares[account][token].borrow,
+                true
+            );
+            if (tokenAmount != 0) {
+                totalValueUSD +=
+                    (getAmountInUSD(token, tokenAmount) *
+                        vaults[token].vaultInfo.closeFactor) /
+                    BPS;
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Computes the outcome of a borrower liquidation, shared by liquidate and previewLiquidation.
+     * @dev the vault totals include the interest accrued since their last update, liquidations accrue both vaults first.
+     * @param account The borrower's address.
+     * @param collateral The collateral asset address.
+     * @param debtToken The token the borrower has borrowed.
+     * @param amount The amount of borrowed tokens to repay.
+     * @param accountHF The borrower health factor, sets the dutch auction bonus.
+     * @param applyCloseFactor Whether the repaid debt is limited by the borrowed token vault close factor.
+     * @return repayAmount The borrowed token amount repaid by the liquidator.
+     * @return seizedCollateral The collateral amount sent to the liquidator, bonus included.
+     * @return bonus The part of the seized collateral paid as liquidation bonus.
+     */
+    function _previewLiquidation(
+        address account,
+        address collateral,
+        address debtToken,
+        uint256 amount,
+        uint256 accountHF,
+        bool applyCloseFactor
+    )
+        internal
+        view
+        returns (uint256 repayAmount, uint256 seizedCollateral, uint256 bonus)
+    {
+        uint256 collateralShares = userShares[account][collateral].collateral;
+        uint256 borrowShares = userShares[account][debtToken].borrow;
+        if (collateralShares == 0 || borrowShares == 0) return (0, 0, 0);
+
+        LiquidationMath.Params memory params;
+        PoolStructs.TokenVault memory debtVault = _accruedVault(debtToken);
+        params.debtToCover = debtVault.totalBorrow.toAmount(borrowShares, true);
+        if (applyCloseFactor)
+            params.debtToCover =
+                (params.debtToCover * debtVault.vaultInfo.closeFactor) /
+                BPS;
+        if (amount < params.debtToCover) params.debtToCover = amount;
+
+        params.userCollateral = _accruedVault(collateral).totalAsset.toAmount(
+            collateralShares,
+            false
+        );
+        params.debtPrice = getTokenPrice(debtToken);
+        params.collateralPrice = getTokenPrice(collateral);
+        params.debtDecimals = debtToken.tokenDecimals();
+        params.collateralDecimals = collateral.tokenDecimals();
+        params.liquidationBonus = liquidationBonus(collateral, accountHF);
+        (repayAmount, seizedCollateral, bonus) = LiquidationMath
+            .computeLiquidation(params);
+        // collateral dust too small to cover any debt cannot be seized
+        if (repayAmount == 0) return (0, 0, 0);
+    }
+
+    /**
+     * @dev Checks that the liquidation warning delays of the collateral vault have passed for the caller and that the warning has not expired.
+     * @param account The borrower's address.
+     * @param collateral The collateral asset address.
+     */
+    function checkLiquidationWarning(
+        address account,
+        address collateral
+    ) internal view {
+        PoolStructs.VaultInfo storage _vaultInfo = vaults[collateral].vaultInfo;
+        uint256 warningDelay = _vaultInfo.warningDelay;
+        uint256 liquidatorDelay = _vaultInfo.liquidatorDelay;
+        if (warningDelay == 0 && liquidatorDelay == 0) return;
+
+        PoolStructs.LiquidateWarn memory warning = liquidationWarnings[account];
+        if (warning.liquidator == address(0)) revert NoLiquidateWarn();
+        // a new warning and grace window are required once expired
+        if (block.timestamp >= warning.expirationTimestamp)
+            revert LiquidationWarningExpired();
+        uint256 warningEnd = warning.liquidationTimestamp + warningDelay;
+        if (block.timestamp < warningEnd) revert WarningDelayHasNotPassed();
+        if (
+            msg.sender != warning.liquidator &&
+            block.timestamp < warningEnd + liquidatorDelay
+        ) revert LiquidatorDelayHasNotPassed();
+    }
+
+    /**
+     * @dev Returns the longest warning and liquidator delays of the borrower collateral vaults.
+     * @param account The borrower's address.
+     */
+    function _maxLiquidationDelays(
+        address account
+    ) internal view returns (uint256 maxDelays) {
+        uint256 len = supportedERC20s.length;
+        for (uint256 i; i < len; ) {
+            address token = supportedERC20s[i];
+            if (userShares[account][token].collateral != 0) {
+                PoolStructs.VaultInfo storage _vaultInfo = vaults[token]
+                    .vaultInfo;
+                uint256 delays = _vaultInfo.warningDelay +
+                    _vaultInfo.liquidatorDelay;
+                if (delays > maxDelays) maxDelays = delays;
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Removes a borrower debt from the token vault, the loss is taken from the protocol fee shares then from the vault assets.
+     * @param account The borrower's address.
+     * @param token The borrowed token address.
+     */
+    function _writeOffDebt(address account, address token) internal {
+        PoolStructs.TokenVault storage _vault = vaults[token];
+        uint256 debtShares = userShares[account][token].borrow;
+        uint256 debtAmount = _vault.totalBorrow.toAmount(debtShares, true);
+        if (debtAmount > _vault.totalBorrow.amount)
+            debtAmount = _vault.totalBorrow.amount;
+
+        _vault.totalBorrow.shares -= uint128(debtShares);
+        _vault.totalBorrow.amount -= uint128(debtAmount);
+        userShares[account][token].borrow = 0;
+        _emitDebtTransfer(token, account, address(0), debtAmount);
+
+        // burn the protocol fee shares first
+        uint256 feeShares = userShares[address(this)][token].collateral;
+        uint256 coveredAmount = _vault.totalAsset.toAmount(feeShares, false);
+        uint256 coveredShares = feeShares;
+        if (coveredAmount > debtAmount) {
+            coveredAmount = debtAmount;
+            coveredShares = _vault.totalAsset.toShares(coveredAmount, true);
+            if (coveredShares > feeShares) coveredShares = feeShares;
+        }
+        userShares[address(this)][token].collateral = feeShares - coveredShares;
+        _vault.totalAsset.shares -= uint128(coveredShares);
+        _emitShareTransfer(token, address(this), address(0), coveredShares);
+
+        // the remaining loss lowers every supplier shares value
+        uint256 socializedLoss = debtAmount - coveredAmount;
+        _vault.totalAsset.amount -= uint128(debtAmount);
+
+        emit BadDebtSettled(
+            account,
+            token,
+            debtAmount,
+            debtShares,
+            coveredAmount,
+            socializedLoss
+        );
+    }
+}
@@ -0,0 +1,596 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+import {VaultAccounting} from "./libraries/VaultAccounting.sol";
+import {LendingPoolBase} from "./LendingPoolBase.sol";
+import {PoolStructs} from "./interfaces/PoolStructs.sol";
+import {IPoolToken} from "./interfaces/IPoolToken.sol";
+import {IInterestRateStrategy} from "./interfaces/IInterestRateStrategy.sol";
+import {InterestRate} from "./libraries/InterestRate.sol";
+import "./libraries/TokenHelper.sol";
+
+/**
+ * @title Lending Pool Configurator
+ * @author Petro1912
+ * @notice Implements the owner and treasury functions and the vault rate getters of the lending pool.
+ * @dev deployed once and passed to the lending pool constructor, only executed through delegatecall, it operates on the lending pool storage (see LendingPoolBase).
+ */
+contract PoolConfigurator is LendingPoolBase {
+    using VaultAccounting for PoolStructs.Vault;
+    using TokenHelper for address;
+
+    /*//////////////////////////////////////////////////////////////
+                            Treasury functions
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Redeems the protocol fee shares accrued in the given vaults.
+     * @dev only called by the treasury.
+     * @dev claims at most the vault liquidity above its reserve ratio, the remaining shares stay accrued.
+     * @param tokens The ERC20 token vaults to claim the fees from.
+     * @param to The address receiving the claimed tokens.
+     */
+    function claimProtocolFees(address[] calldata tokens, address to) external {
+        if (msg.sender != treasury) revert NotTreasury();
+        if (to == address(0)) revert InvalidReceiver();
+        uint256 len = tokens.length;
+        if (len == 0) revert EmptyArray();
+        for (uint256 i; i < len; ) {
+            address token = tokens[i];
+            allowedToken(token);
+            _accrueInterest(token);
+
+            uint256 feeShares = userShares[address(this)][token].collateral;
+            if (feeShares != 0) {
+                PoolStructs.Vault memory totalAsset = vaults[token].totalAsset;
+                uint256 amount = totalAsset.toAmount(feeShares, false);
+                uint256 shares = feeShares;
+
+                // only claim the liquidity above the vault reserve
+                uint256 minVaultReserve = (totalAsset.amount *
+                    vaults[token].vaultInfo.reserveRatio) / BPS;
+                uint256 balance = IERC20(token).balanceOf(address(this));
+                uint256 available = balance > minVaultReserve
+                    ? balance - minVaultReserve
+                    : 0;
+                if (amount > available) {
+                    amount = available;
+                    shares = totalAsset.toShares(amount, true);
+                    if (shares > feeShares) shares = feeShares;
+                }
+
+                if (amount != 0) {
+                    vaults[token].totalAsset.shares -= uint128(shares);
+                    vaults[token].totalAsset.amount -= uint128(amount);
+                    userShares[address(this)][token].collateral =
+                        feeShares -
+                        shares;
+
+                    token.transferERC20(address(this), to, amount);
+                    _emitShareTransfer(
+                        token,
+                        address(this),
+                        address(0),
+                        shares
+                    );
+                    emit ProtocolFeesClaimed(token, to, amount, shares);
+                }
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Returns the protocol fees accrued in every vault, in tokens and USD value.
+     * @dev only executed through the LendingPool getProtocolFees view.
+     */
+    function getProtocolFees()
+        external
+        view
+        returns (
+            address[] memory tokens,
+            uint256[] memory amounts,
+            uint256[] memory valuesUSD
+        )
+    {
+        uint256 len = supportedERC20s.length;
+        tokens = new address[](len);
+        amounts = new uint256[](len);
+        valuesUSD = new uint256[](len);
+        for (uint256 i; i < len; ) {
+            address token = supportedERC20s[i];
+            tokens[i] = token;
+            amounts[i] = vaults[token].totalAsset.toAmount(
+                userShares[address(this)][token].collateral,
+                false
+            );
+            if (amounts[i] != 0) {
+                valuesUSD[i] = getAmountInUSD(token, amounts[i]);
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            Getters functions
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @dev Returns the token vault with the interest accrued since its last update.
+     * @dev only executed through the LendingPool getAccruedTokenVault view.
+     * @param token The address of the token.
+     */
+    function getAccruedTokenVault(
+        address token
+    ) external view returns (PoolStructs.TokenVault memory) {
+        return _accruedVault(token);
+    }
+
+    /**
+     * @dev Returns the amounts that can still be supplied to and borrowed from a vault before reaching its caps.
+     * @dev only executed through the LendingPool getVaultCapsHeadroom view.
+     * @param token The address of the token.
+     */
+    function getVaultCapsHeadroom(
+        address token
+    ) external view returns (uint256 supplyHeadroom, uint256 borrowHeadroom) {
+        PoolStructs.TokenVault memory _vault = _accruedVault(token);
+        supplyHeadroom = capHeadroom(
+            _vault.supplyCap,
+            _vault.totalAsset.amount
+        );
+        borrowHeadroom = capHeadroom(
+            _vault.borrowCap,
+            _vault.totalBorrow.amount
+        );
+    }
+
+    /**
+     * @dev Returns the current borrow and supply APYs of a vault (1e18 precision).
+     * @dev uses the rate applied since the last interest accrual, or the default rate if the vault has no borrows.
+     * @dev only executed through the LendingPool getVaultAPY view.
+     * @param token The address of the token.
+     */
+    function getVaultAPY(
+        address token
+    ) external view returns (uint256 borrowAPY, uint256 supplyAPY) {
+        uint256 utilization = getUtilization(token);
+        (borrowAPY, supplyAPY) = computeAPYs(
+            token,
+            currentRatePerSec(token, utilization),
+            utilization
+        );
+    }
+
+    /**
+     * @dev Returns the projected borrow and supply APYs of a vault after hypothetical supply and borrow changes (1e18 precision).
+     * @dev pass zero deltas to get the APYs the vault strategy will set on the next interest accrual.
+     * @dev only executed through the LendingPool previewVaultAPY view.
+     * @param token The address of the token.
+     * @param supplyDelta The amount added to (or removed from if negative) the vault total supplied.
+     * @param borrowDelta The amount added to (or removed from if negative) the vault total borrowed.
+     */
+    function previewVaultAPY(
+        address token,
+        int256 supplyDelta,
+        int256 borrowDelta
+    ) external view returns (uint256 borrowAPY, uint256 supplyAPY) {
+        PoolStructs.TokenVault storage _vault = vaults[token];
+        uint256 utilization = vaultUtilization(
+            applyDelta(_vault.totalAsset.amount, supplyDelta),
+            applyDelta(_vault.totalBorrow.amount, borrowDelta)
+        );
+        (borrowAPY, supplyAPY) = computeAPYs(
+            token,
+            borrowRatePerSec(token, utilization),
+            utilization
+        );
+    }
+
+    /**
+     * @dev Returns the borrowed share of a vault supplied assets (1e18 precision).
+     * @dev only executed through the LendingPool getUtilization view.
+     * @param token The address of the token.
+     */
+    function getUtilization(
+        address token
+    ) public view returns (uint256 utilization) {
+        PoolStructs.TokenVault storage _vault = vaults[token];
+        utilization = vaultUtilization(
+            _vault.totalAsset.amount,
+            _vault.totalBorrow.amount
+        );
+    }
+
+    /**
+     * @dev Returns the current annual borrow rate of a vault, without compounding (1e18 precision).
+     * @dev only executed through the LendingPool getBorrowRate view.
+     * @param token The address of the token.
+     */
+    function getBorrowRate(
+        address token
+    ) external view returns (uint256 ratePerYear) {
+        ratePerYear =
+            currentRatePerSec(token, getUtilization(token)) *
+            SECONDS_PER_YEAR;
+    }
+
+    /**
+     * @dev Returns the current annual rate earned by a vault suppliers, without compounding (1e18 precision).
+     * @dev the borrow interest is spread over all supplied assets, including the idle reserve, after the protocol fee.
+     * @dev only executed through the LendingPool getSupplyRate view.
+     * @param token The address of the token.
+     */
+    function getSupplyRate(
+        address token
+    ) external view returns (uint256 ratePerYear) {
+        uint256 utilization = getUtilization(token);
+        ratePerYear =
+            supplyRatePerSec(
+                token,
+                currentRatePerSec(token, utilization),
+                utilization
+            ) *
+            SECONDS_PER_YEAR;
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            Owner functions
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Sets the treasury address allowed to claim the protocol fees.
+     * @dev only called by the owner.
+     * @param newTreasury The new treasury address.
+     */
+    function setTreasury(address newTreasury) external onlyOwner {
+        treasury = newTreasury;
+        emit TreasuryUpdated(newTreasury);
+    }
+
+    /**
+     * @notice Sets the Permit2 contract used to pull tokens in supplyWithPermit2 and repayWithPermit2.
+     * @dev only called by the owner.
+     * @dev set it to address(0) to disable the Permit2 functions.
+     * @param newPermit2 The Permit2 contract address.
+     */
+    function setPermit2(address newPermit2) external onlyOwner {
+        permit2 = newPermit2;
+        emit Permit2Updated(newPermit2);
+    }
+
+    /**
+     * @notice Sets up the vault for a specified ERC20 token.
+     * @dev only called by the owner.
+     * @param token The ERC20 token address.
+     * @param priceFeed The address of the price feed contract for the token.
+     * @param params The parameters for vault setup (see PoolStructs.VaultSetupParams).
+     * @param addToken Boolean indicating whether to add a new supported token or just change the setup of an already added token.
+     */
+    function setupVault(
+        address token,
+        address priceFeed,
+        PoolStructs.VaultSetupParams memory params,
+        bool addToken
+    ) external onlyOwner {
+        _setupVault(token, priceFeed, params, addToken);
+    }
+
+    /**
+     * @notice Sets the maximum amounts that can be supplied to and borrowed from a vault.
+     * @dev only called by the owner.
+     * @dev caps are checked after interest accrual, set a cap to 0 to disable it.
+     * @param token The ERC20 token address.
+     * @param supplyCap The maximum total supplied amount.
+     * @param borrowCap The maximum total borrowed amount.
+     */
+    function setVaultCaps(
+        address token,
+        uint128 supplyCap,
+        uint128 borrowCap
+    ) external onlyOwner {
+        allowedToken(token);
+        vaults[token].supplyCap = supplyCap;
+        vaults[token].borrowCap = borrowCap;
+
+        emit VaultCapsUpdated(token, supplyCap, borrowCap);
+    }
+
+    /**
+     * @notice Sets the USD value under which a borrower collateral does not block his bad debt settlement (see LiquidationManager.settleBadDebt).
+     * @dev only called by the owner.
+     * @dev will revert if the value is above ´MAX_BAD_DEBT_COLLATERAL_DUST´.
+     * @param dustValue The collateral dust USD value (18 decimals).
+     */
+    function setBadDebtCollateralDust(uint256 dustValue) external onlyOwner {
+        if (dustValue > MAX_BAD_DEBT_COLLATERAL_DUST)
+            revert InvalidBadDebtCollateralDust(dustValue);
+        badDebtCollateralDust = dustValue;
+        emit BadDebtCollateralDustUpdated(dustValue);
+    }
+
+    /**
+     * @notice Sets the receipt token representing a vault supply shares.
+     * @dev only called by the owner.
+     * @dev the share token must be bound to this pool and token, set it before the first supply so wallets see every mint.
+     * @dev set the share token to address(0) to remove it, shares stay in the pool.
+     * @param token The ERC20 token address.
+     * @param shareToken The SupplyShareToken contract address.
+     */
+    function setShareToken(
+        address token,
+        address shareToken
+    ) external onlyOwner {
+        allowedToken(token);
+        if (!isPoolTokenOf(token, shareToken))
+            revert InvalidShareToken(shareToken);
+        shareTokens[token] = shareToken;
+
+        emit ShareTokenUpdated(token, shareToken);
+    }
+
+    /**
+     * @notice Sets the non-transferable token representing a vault debt.
+     * @dev only called by the owner.
+     * @dev the debt token must be bound to this pool and token, set it to address(0) to remove it.
+     * @param token The ERC20 token address.
+     * @param debtToken The VariableDebtToken contract address.
+     */
+    function setDebtToken(address token, address debtToken) external onlyOwner {
+        allowedToken(token);
+        if (!isPoolTokenOf(token, debtToken))
+            revert InvalidDebtToken(debtToken);
+        debtTokens[token] = debtToken;
+
+        emit DebtTokenUpdated(token, debtToken);
+    }
+
+    /**
+     * @notice Sets the interest rate strategy used to compute a vault borrow rate.
+     * @dev only called by the owner.
+     * @dev the vault or the pool must be paused, no interest accrues while paused.
+     * @param token The ERC20 token address.
+     * @param strategy The IInterestRateStrategy contract address.
+     */
+    function setInterestRateStrategy(
+        address token,
+        address strategy
+    ) external onlyOwner {
+        allowedToken(token);
+        WhenPaused(token);
+        if (strategy.code.length == 0)
+            revert InvalidInterestRateStrategy(strategy);
+        vaults[token].vaultInfo.interestRateStrategy = strategy;
+
+        emit InterestRateStrategyUpdated(token, strategy);
+    }
+
+    /**
+     * @notice Sets the L2 sequencer uptime feed checked before borrows, withdrawals and liquidations.
+     * @dev only called by the owner.
+     * @dev set the uptime feed to address(0) to disable the check.
+     * @param config The sequencer uptime check configuration (see PoolStructs.SequencerConfig).
+     */
+    function setSequencerConfig(
+        PoolStructs.SequencerConfig memory config
+    ) external onlyOwner {
+        _setSequencerConfig(config);
+    }
+
+    /**
+     * @notice Sets the price feeds used to price a supported token.
+     * @dev only called by the owner.
+     * @dev can be changed without pausing the vault, so a failing feed can be replaced right away.
+     * @param token The ERC20 token address.
+     * @param config The price feeds configuration (see PoolStructs.OracleConfig).
+     */
+    function setOracleConfig(
+        address token,
+        PoolStructs.OracleConfig memory config
+    ) external onlyOwner {
+        allowedToken(token);
+        _setOracleConfig(token, config);
+    }
+
+    //--------------------------------------------------------------------
+    /** INTERNAL FUNCTIONS */
+
+    /**
+     * @dev Returns whether a vault receipt token is bound to this pool and the vault token, address(0) is accepted to remove the receipt token.
+     * @param token The ERC20 token address.
+     * @param poolToken The IPoolToken contract address.
+     */
+    function isPoolTokenOf(
+        address token,
+        address poolToken
+    ) internal view returns (bool) {
+        return
+            poolToken == address(0) ||
+            (IPoolToken(poolToken).pool() == address(this) &&
+                IPoolToken(poolToken).asset() == token);
+    }
+
+    /**
+     * @dev Returns the borrow rate per second of a vault for the given utilization, the default rate if it is zero.
+     * @param token The ERC20 token address.
+     * @param utilization The vault utilization (1e18 precision).
+     */
+    function borrowRatePerSec(
+        address token,
+        uint256 utilization
+    ) internal view returns (uint256) {
+        if (utilization == 0) return DEFAULT_INTEREST;
+        return
+            IInterestRateStrategy(vaults[token].vaultInfo.interestRateStrategy)
+                .getInterestRate(token, utilization) / SECONDS_PER_YEAR;
+    }
+
+    /**
+     * @dev Returns the vault borrow rate per second applied since the last interest accrual, or the default rate if the vault has no borrows.
+     * @param token The ERC20 token address.
+     * @param utilization The vault utilization (1e18 precision).
+     */
+    function currentRatePerSec(
+        address token,
+        uint256 utilization
+    ) internal view returns (uint256) {
+        if (utilization == 0) return DEFAULT_INTEREST;
+        return vaults[token].vaultInfo.ratePerSec;
+    }
+
+    /**
+     * @dev Returns the rate per second earned by the vault suppliers for a given borrow rate (1e18 precision).
+     * @dev suppliers earn the borrow interest minus the protocol fee.
+     * @param token The ERC20 token address.
+     * @param ratePerSec The vault borrow rate per second (1e18 precision).
+     * @param utilization The vault utilization (1e18 precision).
+     */
+    function supplyRatePerSec(
+        address token,
+        uint256 ratePerSec,
+        uint256 utilization
+    ) internal view returns (uint256) {
+        return
+            (ratePerSec *
+                utilization *
+                (BPS - vaults[token].vaultInfo.feeToProtocolRate)) /
+            (PRECISION * BPS);
+    }
+
+    /**
+     * @dev Compounds a vault borrow rate and the resulting suppliers rate over a year.
+     * @param token The ERC20 token address.
+     * @param ratePerSec The vault borrow rate per second (1e18 precision).
+     * @param utilization The vault utilization (1e18 precision).
+     */
+    function computeAPYs(
+        address token,
+        uint256 ratePerSec,
+        uint256 utilization
+    ) internal view returns (uint256 borrowAPY, uint256 supplyAPY) {
+        borrowAPY = InterestRate.calculateCompoundedInterest(
+            ratePerSec,
+            SECONDS_PER_YEAR
+        );
+        supplyAPY = InterestRate.calculateCompoundedInterest(
+            supplyRatePerSec(token, ratePerSec, utilization),
+            SECONDS_PER_YEAR
+        );
+    }
+
+    /**
+     * @dev Returns the borrowed share of a vault assets (1e18 precision), capped to 100%.
+     * @param totalAsset The vault total supplied amount.
+     * @param totalBorrow The vault total borrowed amount.
+     */
+    function vaultUtilization(
+        uint256 totalAsset,
+        uint256 totalBorrow
+    ) internal pure returns (uint256) {
+        if (totalAsset == 0) return 0;
+        if (totalBorrow >= totalAsset) return PRECISION;
+        return (totalBorrow * PRECISION) / totalAsset;
+    }
+
+    /**
+     * @dev Adds a signed delta to an amount, floored at zero.
+     * @param amount The amount to change.
+     * @param delta The signed change.
+     */
+    function applyDelta(
+        uint256 amount,
+        int256 delta
+    ) internal pure returns (uint256) {
+        if (delta >= 0) return amount + uint256(delta);
+        uint256 decrease = uint256(-delta);
+        return decrease >= amount ? 0 : amount - decrease;
+    }
+
+    /**
+     * @dev Returns the amount left before reaching a vault cap, type(uint256).max if the cap is not set.
+     * @param cap The vault supply or borrow cap.
+     * @param totalAmount The vault total supplied or borrowed amount.
+     */
+    function capHeadroom(
+        uint256 cap,
+        uint256 totalAmount
+    ) internal pure returns (uint256) {
+        if (cap == 0) return type(uint256).max;
+        return cap > totalAmount ? cap - totalAmount : 0;
+    }
+
+    /**
+     * @dev Validates and stores a vault setup, adding the token to the supported tokens if needed.
+     * @param token The ERC20 token address.
+     * @param priceFeed The address of the price feed contract for the token.
+     * @param params The parameters for vault setup (see PoolStructs.VaultSetupParams).
+     * @param addToken Boolean indicating whether to add a new supported token or just change the setup of an already added token.
+     */
+    function _setupVault(
+        address token,
+        address priceFeed,
+        PoolStructs.VaultSetupParams memory params,
+        bool addToken
+    ) internal {
+        if (addToken) {
+            addSupportedToken(token, priceFeed);
+        } else {
+            // cannot change vault setup when nor system or vault are paused
+            WhenPaused(token);
+        }
+
+        if (params.reserveRatio > BPS)
+            revert InvalidReserveRatio(params.reserveRatio);
+        if (params.feeToProtocolRate > MAX_PROTOCOL_FEE)
+            revert InvalidFeeRate(params.feeToProtocolRate);
+        if (params.flashFeeRate > MAX_FLASH_FEE)
+            revert InvalidFeeRate(params.flashFeeRate);
+        if (params.liquidationThreshold > BPS)
+            revert InvalidLiquidationThreshold(params.liquidationThreshold);
+        if (params.maxLTV > params.liquidationThreshold)
+            revert InvalidMaxLTV(params.maxLTV);
+        // liquidating a position must not lower its health factor, even at the dutch auction max bonus
+        uint256 maxBonus = params.maxLiquidationBonus == 0
+            ? params.liquidationBonus
+            : params.maxLiquidationBonus;
+        if (
+            maxBonus < params.liquidationBonus ||
+            maxBonus > MAX_LIQUIDATION_BONUS ||
+            (params.liquidationThreshold * (BPS + maxBonus)) / BPS > BPS
+        ) revert InvalidLiquidationBonus(maxBonus);
+        if (
+            (params.maxLiquidationBonus != 0 &&
+                params.liquidationBonusSlope == 0) ||
+            params.liquidationBonusSlope > MAX_LIQUIDATION_BONUS_SLOPE
+        ) revert InvalidLiquidationBonusSlope(params.liquidationBonusSlope);
+        if (params.closeFactor == 0 || params.closeFactor > BPS)
+            revert InvalidCloseFactor(params.closeFactor);
+        if (params.warningDelay > MAX_LIQUIDATION_DELAY)
+            revert InvalidLiquidationDelay(params.warningDelay);
+        if (params.liquidatorDelay > MAX_LIQUIDATION_DELAY)
+            revert InvalidLiquidationDelay(params.liquidatorDelay);
+        if (params.interestRateStrategy.code.length == 0)
+            revert InvalidInterestRateStrategy(params.interestRateStrategy);
+
+        PoolStructs.VaultInfo storage _vaultInfo = vaults[token].vaultInfo;
+        _vaultInfo.reserveRatio = params.reserveRatio;
+        _vaultInfo.feeToProtocolRate = params.feeToProtocolRate;
+        _vaultInfo.flashFeeRate = params.flashFeeRate;
+        _vaultInfo.warningDelay = params.warningDelay;
+        _vaultInfo.liquidatorDelay = params.liquidatorDelay;
+        _vaultInfo.maxLTV = params.maxLTV;
+        _vaultInfo.liquidationThreshold = params.liquidationThreshold;
+        _vaultInfo.liquidationBonus = params.liquidationBonus;
+        _vaultInfo.maxLiquidationBonus = params.maxLiquidationBonus;
+        _vaultInfo.liquidationBonusSlope = params.liquidationBonusSlope;
+        _vaultInfo.closeFactor = params.closeFactor;
+        _vaultInfo.interestRateStrategy = params.interestRateStrategy;
+
+        emit NewVaultSetup(token, params);
+    }
+}
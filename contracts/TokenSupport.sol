@@ -10,6 +10,7 @@ import "./interfaces/PoolStructs.sol";
 /**
  * @title Lending Pool Token Support
  * @dev used to add new supported ERC20 or ERC721 tokens to the lending pool, will give access to the chainlink USD price feeds.
+ * @dev each token has its own oracle config: feed heartbeat, optional secondary feed and max deviation between both feeds.
  */
 contract TokenSupport is Constants {
     using ChainlinkOracle for AggregatorV3Interface;
@@ -21,17 +22,28 @@ contract TokenSupport is Constants {
     address[] internal supportedERC20s;
     // token => SupportedToken
     mapping(address => PoolStructs.SupportedToken) internal supportedTokens;
+    // L2 sequencer uptime check, disabled by default
+    PoolStructs.SequencerConfig internal sequencerConfig;
 
     //--------------------------------------------------------------------
     /** ERRORS */
 
     error TokenNotSupported();
     error AlreadySupported(address token);
+    error InvalidPriceFeed();
+    error InvalidHeartbeat(uint256 heartbeat);
+    error InvalidMaxDeviation(uint256 deviation);
+    error PriceDeviationTooHigh(uint256 price, uint256 secondaryPrice);
+    error SequencerDown();
+    error SequencerGracePeriodNotOver();
+    error InvalidGracePeriod(uint256 gracePeriod);
 
     //--------------------------------------------------------------------
     /** EVENTS */
 
     event AddSupportedToken(address token);
+    event OracleConfigUpdated(address token, PoolStructs.OracleConfig config);
+    event SequencerConfigUpdated(PoolStructs.SequencerConfig config);
 
     //--------------------------------------------------------------------
     /** FUNCTIONS */
@@ -47,24 +59,79 @@ contract TokenSupport is Constants {
     ) internal {
         if (supportedTokens[token].supported) revert AlreadySupported(token);
 
-        supportedTokens[token].usdPriceFeed = priceFeed;
         supportedTokens[token].supported = true;
-
         supportedERC20s.push(token);
 
         emit AddSupportedToken(token);
+
+        _setOracleConfig(
+            token,
+            PoolStructs.OracleConfig({
+                priceFeed: priceFeed,
+                secondaryPriceFeed: address(0),
+                heartbeat: DEFAULT_ORACLE_HEARTBEAT,
+                secondaryHeartbeat: 0,
+                maxDeviation: 0
+            })
+        );
     }
 
     /**
      * @dev Gets the USD price of a supported token using Chainlink Oracle.
+     * @dev the secondary feed price is used when the primary one is stale or invalid.
+     * @dev reverts if both feeds prices are valid but deviate more than the token max deviation.
      * @param token The address of the token.
      */
     function getTokenPrice(address token) public view returns (uint256 price) {
         if (!supportedTokens[token].supported) return 0;
-        AggregatorV3Interface priceFeed = AggregatorV3Interface(
-            supportedTokens[token].usdPriceFeed
+        PoolStructs.OracleConfig memory config = supportedTokens[token].oracle;
+        if (config.secondaryPriceFeed == address(0)) {
+            return
+                AggregatorV3Interface(config.priceFeed).getPrice(
+                    config.heartbeat
+                );
+        }
+
+        bool isValid;
+        (isValid, price) = AggregatorV3Interface(config.priceFeed).tryGetPrice(
+            config.heartbeat
         );
-        price = priceFeed.getPrice();
+        (bool isSecondaryValid, uint256 secondaryPrice) = AggregatorV3Interface(
+            config.secondaryPriceFeed
+        ).tryGetPrice(config.secondaryHeartbeat);
+
+        if (!isValid) {
+            if (!isSecondaryValid) revert ChainlinkOracle.InvalidPrice();
+            return secondaryPrice;
+        }
+        if (isSecondaryValid && config.maxDeviation != 0) {
+            uint256 delta = price > secondaryPrice
+                ? price - secondaryPrice
+                : secondaryPrice - price;
+            if (delta * BPS > price * config.maxDeviation)
+                revert PriceDeviationTooHigh(price, secondaryPrice);
+        }
+    }
+
+    /**
+     * @dev Returns the price feeds configuration of a token.
+     * @param token The address of the token.
+     */
+    function getOracleConfig(
+        address token
+    ) external view returns (PoolStructs.OracleConfig memory config) {
+        config = supportedTokens[token].oracle;
+    }
+
+    /**
+     * @dev Returns the L2 sequencer uptime check configuration.
+     */
+    function getSequencerConfig()
+        external
+        view
+        returns (PoolStructs.SequencerConfig memory config)
+    {
+        config = sequencerConfig;
     }
 
     //--------------------------------------------------------------------
@@ -77,4 +144,67 @@ contract TokenSupport is Constants {
     function allowedToken(address token) internal view {
         if (!supportedTokens[token].supported) revert TokenNotSupported();
     }
+
+    /**
+     * @dev Reverts if the L2 sequencer is down or restarted less than the grace period ago.
+     * @dev does nothing if no sequencer uptime feed is set.
+     * @param isLiquidation Boolean indicating whether the check is done for a liquidation, which can be allowed during the grace period.
+     */
+    function checkSequencerUptime(bool isLiquidation) internal view {
+        PoolStructs.SequencerConfig memory config = sequencerConfig;
+        if (config.uptimeFeed == address(0)) return;
+
+        // answer == 0: sequencer is up, answer == 1: sequencer is down
+        (, int256 answer, uint256 startedAt, , ) = AggregatorV3Interface(
+            config.uptimeFeed
+        ).latestRoundData();
+        if (answer != 0 || startedAt == 0) revert SequencerDown();
+        if (
+            block.timestamp - startedAt <= config.gracePeriod &&
+            !(isLiquidation && config.allowLiquidationsDuringGracePeriod)
+        ) revert SequencerGracePeriodNotOver();
+    }
+
+    /**
+     * @dev Sets the L2 sequencer uptime feed and grace period.
+     * @param config The sequencer uptime check configuration (see PoolStructs.SequencerConfig).
+     */
+    function _setSequencerConfig(
+        PoolStructs.SequencerConfig memory config
+    ) internal {
+        if (config.gracePeriod > MAX_SEQUENCER_GRACE_PERIOD)
+            revert InvalidGracePeriod(config.gracePeriod);
+
+        sequencerConfig = config;
+
+        emit SequencerConfigUpdated(config);
+    }
+
+    /**
+     * @dev Sets the price feeds used to price a supported token.
+     * @param token The address of the token.
+     * @param config The price feeds configuration (see PoolStructs.OracleConfig).
+     */
+    function _setOracleConfig(
+        address token,
+        PoolStructs.OracleConfig memory config
+    ) internal {
+        if (config.priceFeed == address(0)) revert InvalidPriceFeed();
+        if (config.heartbeat == 0 || config.heartbeat > MAX_ORACLE_HEARTBEAT)
+            revert InvalidHeartbeat(config.heartbeat);
+        if (config.secondaryPriceFeed != address(0)) {
+            if (config.secondaryPriceFeed == config.priceFeed)
+                revert InvalidPriceFeed();
+            if (
+                config.secondaryHeartbeat == 0 ||
+                config.secondaryHeartbeat > MAX_ORACLE_HEARTBEAT
+            ) revert InvalidHeartbeat(config.secondaryHeartbeat);
+        }
+        if (config.maxDeviation > BPS)
+            revert InvalidMaxDeviation(config.maxDeviation);
+
+        supportedTokens[token].oracle = config;
+
+        emit OracleConfigUpdated(token, config);
+    }
 }
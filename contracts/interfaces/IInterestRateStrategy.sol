@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+/**
+ * @title Interest rate strategy interface
+ * @notice Computes the borrow rate of a lending pool vault from its utilization.
+ * @dev rates are annual and utilization is in 1e18 precision, strategies keeping a state must key it by msg.sender (the pool) and token.
+ */
+interface IInterestRateStrategy {
+    /**
+     * @notice Returns the annual borrow rate of a vault for the given utilization, without updating the strategy state.
+     * @param token The vault ERC20 token address.
+     * @param utilization The vault utilization (1e18 precision).
+     * @return ratePerYear The annual borrow rate (1e18 precision).
+     */
+    function getInterestRate(
+        address token,
+        uint256 utilization
+    ) external view returns (uint256 ratePerYear);
+
+    /**
+     * @notice Updates the strategy state of the caller vault and returns its new annual borrow rate.
+     * @dev called by the lending pool on every interest accrual.
+     * @param token The vault ERC20 token address.
+     * @param utilization The vault utilization (1e18 precision).
+     * @return ratePerYear The annual borrow rate (1e18 precision).
+     */
+    function updateInterestRate(
+        address token,
+        uint256 utilization
+    ) external returns (uint256 ratePerYear);
+}
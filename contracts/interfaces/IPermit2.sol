@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+/**
+ * @title Permit2 interface
+ * @notice Subset of the Uniswap Permit2 AllowanceTransfer interface used by the lending pool.
+ * @dev users approve Permit2 once per token, then sign permits giving the pool a Permit2 allowance.
+ */
+interface IPermit2 {
+    struct PermitDetails {
+        address token;
+        uint160 amount;
+        uint48 expiration;
+        uint48 nonce;
+    }
+
+    struct PermitSingle {
+        PermitDetails details;
+        address spender;
+        uint256 sigDeadline;
+    }
+
+    /**
+     * @notice Sets the spender allowance of an owner token from a signed permit.
+     * @param owner The token owner who signed the permit.
+     * @param permitSingle The permit data.
+     * @param signature The owner signature.
+     */
+    function permit(
+        address owner,
+        PermitSingle memory permitSingle,
+        bytes calldata signature
+    ) external;
+
+    /**
+     * @notice Transfers tokens using the caller Permit2 allowance.
+     * @param from The token owner.
+     * @param to The receiver.
+     * @param amount The amount of tokens to transfer.
+     * @param token The ERC20 token address.
+     */
+    function transferFrom(
+        address from,
+        address to,
+        uint160 amount,
+        address token
+    ) external;
+}
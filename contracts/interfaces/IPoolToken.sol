@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+/**
+ * @title Pool token interface
+ * @notice Token mirroring a lending pool vault position, the supply shares (SupplyShareToken) or the debt (VariableDebtToken).
+ * @dev balances are read from the lending pool, which notifies the token of every position change.
+ */
+interface IPoolToken {
+    /**
+     * @notice Returns the lending pool holding the positions.
+     */
+    function pool() external view returns (address);
+
+    /**
+     * @notice Returns the underlying vault ERC20 token.
+     */
+    function asset() external view returns (address);
+
+    /**
+     * @notice Emits the ERC20 Transfer event of a position change.
+     * @dev only called by the lending pool, use address(0) as sender for mints and as receiver for burns.
+     * @param from The sender.
+     * @param to The receiver.
+     * @param amount The amount moved.
+     */
+    function emitTransfer(address from, address to, uint256 amount) external;
+}
@@ -5,10 +5,31 @@ pragma solidity ^0.8.18;
 interface PoolStructs {
     
     struct SupportedToken {
-        address usdPriceFeed;
+        OracleConfig oracle;
         bool supported;
     }
 
+    struct OracleConfig {
+        // chainlink USD price feed
+        address priceFeed;
+        // optional feed used when the primary price is stale
+        address secondaryPriceFeed;
+        // max age of each feed answer in seconds
+        uint32 heartbeat;
+        uint32 secondaryHeartbeat;
+        // max deviation between both feeds prices (1e5 precision), 0 to disable
+        uint32 maxDeviation;
+    }
+
+    struct SequencerConfig {
+        // chainlink L2 sequencer uptime feed, address(0) to disable the check
+        address uptimeFeed;
+        // delay after a sequencer restart before prices are trusted again
+        uint32 gracePeriod;
+        // whether liquidations are allowed during the grace period
+        bool allowLiquidationsDuringGracePeriod;
+    }
+
     struct AccountShares {
         uint256 collateral;
         uint256 borrow;
@@ -23,11 +44,15 @@ interface PoolStructs {
         Vault totalAsset;
         Vault totalBorrow;
         VaultInfo vaultInfo;
+        uint128 supplyCap;
+        uint128 borrowCap;
     }
 
     struct LiquidateWarn {
         address liquidator;
         uint64 liquidationTimestamp;
+        // warning can no longer be used to liquidate after this timestamp
+        uint64 expirationTimestamp;
     }
 
     struct VaultInfo {
@@ -35,20 +60,60 @@ interface PoolStructs {
         uint64 feeToProtocolRate;
         uint64 flashFeeRate;
         uint64 ratePerSec;
-        uint64 lastBlock;
         uint64 lastTimestamp;
-        uint64 baseRate;
-        uint64 slope1;
-        uint64 slope2;
-        uint256 optimalUtilization;
+        uint64 warningDelay;
+        uint64 liquidatorDelay;
+        uint64 maxLTV;
+        uint64 liquidationThreshold;
+        uint64 liquidationBonus;
+        // dutch auction bonus reached as the borrower HF falls, 0 for a fixed bonus
+        uint64 maxLiquidationBonus;
+        // dutch auction bonus added per unit of HF below 1 (1e5 precision, 1e5 = 1% bonus for each 1% of HF)
+        uint64 liquidationBonusSlope;
+        uint64 closeFactor;
+        address interestRateStrategy;
     }
 
     struct VaultSetupParams {
         uint64 reserveRatio;
         uint64 feeToProtocolRate;
-        uint64 baseRate;
-        uint64 slope1;
-        uint64 slope2;
-        uint256 optimalUtilization;
+        uint64 flashFeeRate;
+        uint64 warningDelay;
+        uint64 liquidatorDelay;
+        uint64 maxLTV;
+        uint64 liquidationThreshold;
+        uint64 liquidationBonus;
+        // dutch auction bonus reached as the borrower HF falls, 0 for a fixed bonus
+        uint64 maxLiquidationBonus;
+        // dutch auction bonus added per unit of HF below 1 (1e5 precision, 1e5 = 1% bonus for each 1% of HF)
+        uint64 liquidationBonusSlope;
+        uint64 closeFactor;
+        address interestRateStrategy;
+    }
+
+    enum ActionType {
+        Supply,
+        Borrow,
+        Repay,
+        Withdraw,
+        Redeem
+    }
+
+    struct Action {
+        ActionType actionType;
+        address token;
+        // tokens amount, or shares amount for Redeem
+        uint256 amount;
+        // slippage limit: minSharesOut for Supply, maxSharesIn for Withdraw, minAmountOut for Redeem
+        uint256 limit;
+    }
+
+    struct LiquidationLeg {
+        address collateral;
+        address debtToken;
+        // borrowed tokens amount to repay
+        uint256 amount;
+        // credit the seized collateral shares instead of transferring the tokens
+        bool receiveShares;
     }
 }
@@ -7,40 +7,57 @@ import {AggregatorV3Interface} from "@chainlink/contracts/src/v0.8/interfaces/Ag
 library ChainlinkOracle {
     error InvalidPrice();
 
-    // duration after which returned price is considered outdated
-    uint256 private constant TIMEOUT = 2 hours;
-
-    // chainlink USD feed are in 8 decimals
-    // need to multiply by 10^10 to return price in 18 decimals
-    uint256 private constant USD_ORACLE_DECIMALS = 10;
+    // prices are returned in 18 decimals whatever the feed decimals
+    uint256 private constant PRICE_DECIMALS = 18;
 
     /// @notice Fetch token price using chainlink price feeds
     /// @dev Checks that returned price is positive and not stale
     /// @param priceFeed chainlink aggregator interface
+    /// @param heartbeat duration after which returned price is considered outdated
     /// @return price of the token in USD (scaled by 18 decimals)
     function getPrice(
-        AggregatorV3Interface priceFeed
+        AggregatorV3Interface priceFeed,
+        uint256 heartbeat
     ) internal view returns (uint256 price) {
-        (
+        bool isValid;
+        (isValid, price) = tryGetPrice(priceFeed, heartbeat);
+        if (!isValid) revert InvalidPrice();
+    }
+
+    /// @notice Fetch token price using chainlink price feeds without reverting
+    /// @dev Returns isValid = false if a feed call fails, or if the price is not positive or stale
+    /// @param priceFeed chainlink aggregator interface
+    /// @param heartbeat duration after which returned price is considered outdated
+    /// @return isValid whether the returned price can be used
+    /// @return price of the token in USD (scaled by 18 decimals)
+    function tryGetPrice(
+        AggregatorV3Interface priceFeed,
+        uint256 heartbeat
+    ) internal view returns (bool isValid, uint256 price) {
+        try priceFeed.latestRoundData() returns (
             uint80 roundId,
             int256 answer,
-            ,
+            uint256,
             uint256 updatedAt,
             uint80 answeredInRound
-        ) = priceFeed.latestRoundData();
-
-        if (
-            answer <= 0 ||
-            updatedAt == 0 ||
-            answeredInRound < roundId ||
-            block.timestamp - updatedAt > TIMEOUT
-        ) revert InvalidPrice();
-
-        price = uint256(answer) * 10 ** USD_ORACLE_DECIMALS;
-    }
-
-    /// @notice Get timeout duration after which prices are considered stale
-    function getTimeout(AggregatorV3Interface) public pure returns (uint256) {
-        return TIMEOUT;
+        ) {
+            if (
+                answer <= 0 ||
+                updatedAt == 0 ||
+                answeredInRound < roundId ||
+                block.timestamp - updatedAt > heartbeat
+            ) return (false, 0);
+
+            try priceFeed.decimals() returns (uint8 decimals) {
+                price = decimals <= PRICE_DECIMALS
+                    ? uint256(answer) * 10 ** (PRICE_DECIMALS - decimals)
+                    : uint256(answer) / 10 ** (decimals - PRICE_DECIMALS);
+                isValid = price != 0;
+            } catch {
+                return (false, 0);
+            }
+        } catch {
+            return (false, 0);
+        }
     }
 }
@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+library LiquidationMath {
+    // liquidation bonus precision, same as Constants.BPS
+    uint256 internal constant BPS = 1e5;
+
+    struct Params {
+        // debt the liquidator wants to repay, already limited by the close factor
+        uint256 debtToCover;
+        // borrower collateral amount
+        uint256 userCollateral;
+        // USD prices of the borrowed and collateral tokens (same precision)
+        uint256 debtPrice;
+        uint256 collateralPrice;
+        uint8 debtDecimals;
+        uint8 collateralDecimals;
+        // collateral vault liquidation bonus (1e5 precision)
+        uint256 liquidationBonus;
+    }
+
+    /// @notice Computes the debt repaid and the collateral seized by a liquidation
+    /// @dev the liquidator receives the repaid debt value in collateral plus the liquidation bonus
+    /// @dev if the borrower collateral cannot cover both, all of it is seized and the repaid debt is lowered to the collateral value without the bonus
+    /// @param params the liquidation inputs (see Params)
+    /// @return repayAmount debt amount repaid by the liquidator, never above params.debtToCover
+    /// @return seizedCollateral collateral amount sent to the liquidator, bonus included
+    /// @return bonus part of the seized collateral paid as liquidation bonus
+    function computeLiquidation(
+        Params memory params
+    )
+        internal
+        pure
+        returns (uint256 repayAmount, uint256 seizedCollateral, uint256 bonus)
+    {
+        uint256 baseCollateral = convert(
+            params.debtToCover,
+            params.debtPrice,
+            params.debtDecimals,
+            params.collateralPrice,
+            params.collateralDecimals,
+            false
+        );
+        bonus = (baseCollateral * params.liquidationBonus) / BPS;
+        seizedCollateral = baseCollateral + bonus;
+        if (seizedCollateral <= params.userCollateral)
+            return (params.debtToCover, seizedCollateral, bonus);
+
+        seizedCollateral = params.userCollateral;
+        baseCollateral =
+            (seizedCollateral * BPS) /
+            (BPS + params.liquidationBonus);
+        bonus = seizedCollateral - baseCollateral;
+        // rounded up in favor of the pool, stays below debtToCover as baseCollateral is lower than its value
+        repayAmount = convert(
+            baseCollateral,
+            params.collateralPrice,
+            params.collateralDecimals,
+            params.debtPrice,
+            params.debtDecimals,
+            true
+        );
+    }
+
+    /// @notice Converts a token amount to the amount of another token with the same USD value
+    /// @param amount amount of the token to convert
+    /// @param fromPrice USD price of the converted token
+    /// @param fromDecimals decimals of the converted token
+    /// @param toPrice USD price of the output token (same precision as fromPrice)
+    /// @param toDecimals decimals of the output token
+    /// @param roundUp whether to round the result up
+    /// @return converted amount of the output token
+    function convert(
+        uint256 amount,
+        uint256 fromPrice,
+        uint8 fromDecimals,
+        uint256 toPrice,
+        uint8 toDecimals,
+        bool roundUp
+    ) internal pure returns (uint256 converted) {
+        uint256 numerator = amount * fromPrice * 10 ** toDecimals;
+        uint256 denominator = toPrice * 10 ** fromDecimals;
+        converted = numerator / denominator;
+        if (roundUp && converted * denominator < numerator) converted += 1;
+    }
+}
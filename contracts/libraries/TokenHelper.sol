@@ -13,18 +13,29 @@ library TokenHelper {
         decimals = IERC20Metadata(token).decimals();
     }
 
+    // supports tokens returning no value on transfers (USDT-like), token revert reasons are bubbled up
     function transferERC20(
         address _token,
         address _from,
         address _to,
         uint256 _amount
     ) internal {
-        bool success;
-        if (_from == address(this)) {
-            success = IERC20(_token).transfer(_to, _amount);
-        } else {
-            success = IERC20(_token).transferFrom(_from, _to, _amount);
+        (bool success, bytes memory returndata) = _token.call(
+            _from == address(this)
+                ? abi.encodeCall(IERC20.transfer, (_to, _amount))
+                : abi.encodeCall(IERC20.transferFrom, (_from, _to, _amount))
+        );
+        if (!success) {
+            if (returndata.length == 0) revert TransferFailed();
+            assembly {
+                revert(add(returndata, 32), mload(returndata))
+            }
         }
-        if (!success) revert TransferFailed();
+        // no returned value is only accepted from a contract
+        if (
+            returndata.length == 0
+                ? _token.code.length == 0
+                : !abi.decode(returndata, (bool))
+        ) revert TransferFailed();
     }
 }
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/// @title Price feed mock reverting on decimals
+/// @notice Allows to test the oracle fallback when a feed answers but cannot be scaled
+/// @dev Always answers a fresh price for the current block
+contract AggregatorNoDecimalsMock {
+    int256 public latestAnswer;
+
+    constructor(int256 _answer) {
+        latestAnswer = _answer;
+    }
+
+    function decimals() external pure returns (uint8) {
+        revert("decimals not supported");
+    }
+
+    function latestRoundData()
+        external
+        view
+        returns (
+            uint80 roundId,
+            int256 answer,
+            uint256 startedAt,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        )
+    {
+        return (1, latestAnswer, block.timestamp, block.timestamp, 1);
+    }
+}
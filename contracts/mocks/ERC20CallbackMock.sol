@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import {ERC20DecimalsMock} from "./ERC20DecimalsMock.sol";
+
+/// @title ERC777-like variant of ERC20DecimalsMock
+/// @notice Allows to test reentrancy through token transfer hooks
+/// @dev After the next transfer the token calls the configured target once, failures are bubbled up
+contract ERC20CallbackMock is ERC20DecimalsMock {
+    address public callbackTarget;
+    bytes public callbackData;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 _decimals
+    ) ERC20DecimalsMock(name, symbol, _decimals) {}
+
+    function setCallback(address target, bytes calldata data) public {
+        callbackTarget = target;
+        callbackData = data;
+    }
+
+    function _afterTokenTransfer(address, address, uint256) internal override {
+        address target = callbackTarget;
+        if (target == address(0)) return;
+        delete callbackTarget;
+
+        (bool success, bytes memory returndata) = target.call(callbackData);
+        if (!success) {
+            assembly {
+                revert(add(returndata, 32), mload(returndata))
+            }
+        }
+    }
+}
@@ -37,7 +37,7 @@ contract ERC20DecimalsMock is ERC20 {
         _approve(owner, spender, value);
     }
 
-    function decimals() public view override returns (uint8) {
+    function decimals() public view virtual override returns (uint8) {
         return tokenDecimals;
     }
 }
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import {ERC20DecimalsMock} from "./ERC20DecimalsMock.sol";
+
+/// @title Fee-on-transfer variant of ERC20DecimalsMock
+/// @notice Allows to test the lending pool with tokens taking a fee on every transfer
+/// @dev The fee is burned from the sender, the receiver gets `amount - fee`
+contract ERC20FeeMock is ERC20DecimalsMock {
+    // transfer fee in basis points (100 = 1%)
+    uint256 public feeRate;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 _decimals,
+        uint256 _feeRate
+    ) ERC20DecimalsMock(name, symbol, _decimals) {
+        feeRate = _feeRate;
+    }
+
+    function _transfer(
+        address from,
+        address to,
+        uint256 amount
+    ) internal override {
+        uint256 fee = (amount * feeRate) / 10000;
+        if (fee != 0) _burn(from, fee);
+        super._transfer(from, to, amount - fee);
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {ERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import {ERC20DecimalsMock} from "./ERC20DecimalsMock.sol";
+
+/// @title EIP-2612 variant of ERC20DecimalsMock
+/// @notice Allows to test the permit based pool functions
+/// @dev The permit domain uses the token name and version "1"
+contract ERC20PermitMock is ERC20DecimalsMock, ERC20Permit {
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 _decimals
+    ) ERC20DecimalsMock(name, symbol, _decimals) ERC20Permit(name) {}
+
+    function decimals()
+        public
+        view
+        override(ERC20, ERC20DecimalsMock)
+        returns (uint8)
+    {
+        return super.decimals();
+    }
+}
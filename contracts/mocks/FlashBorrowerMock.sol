@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC3156FlashBorrower} from "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+import {IERC3156FlashLender} from "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+
+/// @title ERC-3156 flash loan borrower mock
+/// @notice Borrows from the lending pool and behaves according to the configured action
+/// @dev Used to test the repay and revert paths of the lending pool flash loans
+contract FlashBorrowerMock is IERC3156FlashBorrower {
+    enum Action {
+        REPAY,
+        NO_REPAY,
+        WRONG_RETURN
+    }
+
+    IERC3156FlashLender public lender;
+    Action public action;
+
+    // values received in the last callback
+    uint256 public lastAmount;
+    uint256 public lastFee;
+    uint256 public lastBalance;
+
+    constructor(address _lender) {
+        lender = IERC3156FlashLender(_lender);
+    }
+
+    function setAction(Action _action) public {
+        action = _action;
+    }
+
+    function flashBorrow(address token, uint256 amount) public {
+        lender.flashLoan(this, token, amount, "");
+    }
+
+    function onFlashLoan(
+        address initiator,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        bytes calldata
+    ) external override returns (bytes32) {
+        require(msg.sender == address(lender), "untrusted lender");
+        require(initiator == address(this), "untrusted initiator");
+
+        lastAmount = amount;
+        lastFee = fee;
+        lastBalance = IERC20(token).balanceOf(address(this));
+
+        if (action == Action.WRONG_RETURN) return bytes32(0);
+        if (action == Action.REPAY) {
+            IERC20(token).approve(msg.sender, amount + fee);
+        }
+        return keccak256("ERC3156FlashBorrower.onFlashLoan");
+    }
+}
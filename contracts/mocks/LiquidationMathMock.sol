@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import {LiquidationMath} from "../libraries/LiquidationMath.sol";
+
+/// @title LiquidationMath library harness
+/// @notice Exposes the liquidation math internal functions for testing
+contract LiquidationMathMock {
+    function computeLiquidation(
+        LiquidationMath.Params memory params
+    )
+        external
+        pure
+        returns (uint256 repayAmount, uint256 seizedCollateral, uint256 bonus)
+    {
+        return LiquidationMath.computeLiquidation(params);
+    }
+
+    function convert(
+        uint256 amount,
+        uint256 fromPrice,
+        uint8 fromDecimals,
+        uint256 toPrice,
+        uint8 toDecimals,
+        bool roundUp
+    ) external pure returns (uint256) {
+        return
+            LiquidationMath.convert(
+                amount,
+                fromPrice,
+                fromDecimals,
+                toPrice,
+                toDecimals,
+                roundUp
+            );
+    }
+}
@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {IPermit2} from "../interfaces/IPermit2.sol";
+
+/// @title Minimal Permit2 AllowanceTransfer mock
+/// @notice Allows to test the Permit2 based pool functions
+/// @dev Permits are signed as an eth signed message of keccak256(abi.encode(permitSingle)) instead of EIP-712 typed data
+contract Permit2Mock is IPermit2 {
+    struct Allowance {
+        uint160 amount;
+        uint48 expiration;
+        uint48 nonce;
+    }
+
+    // owner => token => spender => allowance
+    mapping(address => mapping(address => mapping(address => Allowance)))
+        public allowance;
+
+    error SignatureExpired();
+    error InvalidNonce();
+    error InvalidSigner();
+    error AllowanceExpired();
+    error InsufficientAllowance();
+
+    function permit(
+        address owner,
+        PermitSingle memory permitSingle,
+        bytes calldata signature
+    ) external {
+        if (block.timestamp > permitSingle.sigDeadline)
+            revert SignatureExpired();
+        PermitDetails memory details = permitSingle.details;
+        Allowance storage allowed = allowance[owner][details.token][
+            permitSingle.spender
+        ];
+        if (details.nonce != allowed.nonce) revert InvalidNonce();
+
+        bytes32 hash = ECDSA.toEthSignedMessageHash(
+            keccak256(abi.encode(permitSingle))
+        );
+        if (ECDSA.recover(hash, signature) != owner) revert InvalidSigner();
+
+        allowed.amount = details.amount;
+        allowed.expiration = details.expiration;
+        allowed.nonce++;
+    }
+
+    function transferFrom(
+        address from,
+        address to,
+        uint160 amount,
+        address token
+    ) external {
+        Allowance storage allowed = allowance[from][token][msg.sender];
+        if (block.timestamp > allowed.expiration) revert AllowanceExpired();
+        if (allowed.amount != type(uint160).max) {
+            if (allowed.amount < amount) revert InsufficientAllowance();
+            allowed.amount -= amount;
+        }
+        IERC20(token).transferFrom(from, to, amount);
+    }
+}
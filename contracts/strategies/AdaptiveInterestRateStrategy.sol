@@ -0,0 +1,179 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+import {IInterestRateStrategy} from "../interfaces/IInterestRateStrategy.sol";
+
+/**
+ * @title Adaptive interest rate strategy
+ * @notice PI controller targeting a vault utilization: the rate curve shifts up while the utilization stays above the target and down while it stays below.
+ * @dev rate = rateAtTarget + kp * (utilization - target), where rateAtTarget moves by ki * (utilization - target) every second.
+ * @dev the rate at target moves for at most ´maxElapsedTime´ between two updates, so the rate does not jump after a pause or a long inactivity.
+ * @dev each vault state is keyed by the calling pool and the vault token.
+ */
+contract AdaptiveInterestRateStrategy is IInterestRateStrategy {
+    uint256 internal constant RATE_PRECISION = 1e18;
+
+    struct RateState {
+        uint128 rateAtTarget;
+        uint64 lastUpdate;
+    }
+
+    //--------------------------------------------------------------------
+    /** VARIABLES */
+
+    uint256 public immutable targetUtilization;
+    uint256 public immutable initialRateAtTarget;
+    uint256 public immutable minRate;
+    uint256 public immutable maxRate;
+    // proportional gain, annual rate added per unit of utilization error
+    uint256 public immutable kp;
+    // integral gain, annual rate added to the rate at target per second per unit of utilization error
+    uint256 public immutable ki;
+    // max time the integral term accounts for between two updates
+    uint256 public immutable maxElapsedTime;
+
+    // pool => token => RateState
+    mapping(address => mapping(address => RateState)) internal rateStates;
+
+    //--------------------------------------------------------------------
+    /** ERRORS */
+
+    error InvalidTargetUtilization(uint256 utilization);
+    error InvalidRateBounds();
+
+    //--------------------------------------------------------------------
+    /** EVENTS */
+
+    event RateAtTargetUpdated(
+        address pool,
+        address token,
+        uint256 rateAtTarget
+    );
+
+    /**
+     * @param _targetUtilization The utilization the strategy steers the vault to (1e18 precision).
+     * @param _initialRateAtTarget The annual rate at target utilization before any update (1e18 precision).
+     * @param _minRate The minimum annual rate (1e18 precision).
+     * @param _maxRate The maximum annual rate (1e18 precision).
+     * @param _kp The proportional gain (1e18 precision).
+     * @param _ki The integral gain, per second (1e18 precision).
+     * @param _maxElapsedTime The max time in seconds the rate at target moves for between two updates.
+     */
+    constructor(
+        uint256 _targetUtilization,
+        uint256 _initialRateAtTarget,
+        uint256 _minRate,
+        uint256 _maxRate,
+        uint256 _kp,
+        uint256 _ki,
+        uint256 _maxElapsedTime
+    ) {
+        if (_targetUtilization == 0 || _targetUtilization >= RATE_PRECISION)
+            revert InvalidTargetUtilization(_targetUtilization);
+        if (
+            _minRate > _maxRate ||
+            _initialRateAtTarget < _minRate ||
+            _initialRateAtTarget > _maxRate
+        ) revert InvalidRateBounds();
+        targetUtilization = _targetUtilization;
+        initialRateAtTarget = _initialRateAtTarget;
+        minRate = _minRate;
+        maxRate = _maxRate;
+        kp = _kp;
+        ki = _ki;
+        maxElapsedTime = _maxElapsedTime;
+    }
+
+    /// @inheritdoc IInterestRateStrategy
+    function getInterestRate(
+        address token,
+        uint256 utilization
+    ) external view returns (uint256 ratePerYear) {
+        (, ratePerYear) = computeRates(msg.sender, token, utilization);
+    }
+
+    /// @inheritdoc IInterestRateStrategy
+    function updateInterestRate(
+        address token,
+        uint256 utilization
+    ) external returns (uint256 ratePerYear) {
+        uint256 rateAtTarget;
+        (rateAtTarget, ratePerYear) = computeRates(
+            msg.sender,
+            token,
+            utilization
+        );
+        rateStates[msg.sender][token] = RateState({
+            rateAtTarget: uint128(rateAtTarget),
+            lastUpdate: uint64(block.timestamp)
+        });
+
+        emit RateAtTargetUpdated(msg.sender, token, rateAtTarget);
+    }
+
+    /**
+     * @dev Returns the current rate at target utilization of a pool vault.
+     * @param pool The lending pool address.
+     * @param token The vault ERC20 token address.
+     */
+    function getRateAtTarget(
+        address pool,
+        address token
+    ) external view returns (uint256 rateAtTarget) {
+        RateState memory state = rateStates[pool][token];
+        rateAtTarget = state.lastUpdate == 0
+            ? initialRateAtTarget
+            : state.rateAtTarget;
+    }
+
+    //--------------------------------------------------------------------
+    /** INTERNAL FUNCTIONS */
+
+    /**
+     * @dev Computes the rate at target and the borrow rate of a pool vault at the current timestamp.
+     * @param pool The lending pool address.
+     * @param token The vault ERC20 token address.
+     * @param utilization The vault utilization (1e18 precision).
+     */
+    function computeRates(
+        address pool,
+        address token,
+        uint256 utilization
+    ) internal view returns (uint256 rateAtTarget, uint256 ratePerYear) {
+        RateState memory state = rateStates[pool][token];
+        int256 utilizationError = int256(utilization) -
+            int256(targetUtilization);
+
+        if (state.lastUpdate == 0) {
+            rateAtTarget = initialRateAtTarget;
+        } else {
+            // integral term, the curve keeps moving while the vault is off target
+            // the given utilization is the one since the last pool accrual
+            uint256 elapsed = block.timestamp - state.lastUpdate;
+            if (elapsed > maxElapsedTime) elapsed = maxElapsedTime;
+            int256 drift = (int256(ki) * utilizationError * int256(elapsed)) /
+                int256(RATE_PRECISION);
+            rateAtTarget = boundRate(
+                int256(uint256(state.rateAtTarget)) + drift
+            );
+        }
+
+        // proportional term
+        ratePerYear = boundRate(
+            int256(rateAtTarget) +
+                (int256(kp) * utilizationError) /
+                int256(RATE_PRECISION)
+        );
+    }
+
+    /**
+     * @dev Clamps a rate between the strategy min and max rates.
+     * @param rate The annual rate (1e18 precision).
+     */
+    function boundRate(int256 rate) internal view returns (uint256) {
+        if (rate <= int256(minRate)) return minRate;
+        if (rate >= int256(maxRate)) return maxRate;
+        return uint256(rate);
+    }
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+import {IInterestRateStrategy} from "../interfaces/IInterestRateStrategy.sol";
+
+/**
+ * @title Fixed interest rate strategy
+ * @notice Applies the same borrow rate whatever the vault utilization.
+ */
+contract FixedInterestRateStrategy is IInterestRateStrategy {
+    uint256 public immutable rate;
+
+    /**
+     * @param _rate The annual borrow rate (1e18 precision).
+     */
+    constructor(uint256 _rate) {
+        rate = _rate;
+    }
+
+    /// @inheritdoc IInterestRateStrategy
+    function getInterestRate(
+        address,
+        uint256
+    ) external view returns (uint256 ratePerYear) {
+        ratePerYear = rate;
+    }
+
+    /// @inheritdoc IInterestRateStrategy
+    function updateInterestRate(
+        address,
+        uint256
+    ) external view returns (uint256 ratePerYear) {
+        ratePerYear = rate;
+    }
+}
@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+import {IInterestRateStrategy} from "../interfaces/IInterestRateStrategy.sol";
+
+/**
+ * @title Kink interest rate strategy
+ * @notice Two slopes interest rate model similar to AAVE V2, the default strategy of the lending pool vaults.
+ * @dev the rate increases with slope1 up to the optimal utilization then with the steeper slope2.
+ */
+contract KinkInterestRateStrategy is IInterestRateStrategy {
+    uint256 internal constant RATE_PRECISION = 1e18;
+
+    uint256 public immutable optimalUtilization;
+    uint256 public immutable baseRate;
+    uint256 public immutable slope1;
+    uint256 public immutable slope2;
+
+    error InvalidOptimalUtilization(uint256 utilization);
+
+    /**
+     * @param _optimalUtilization The utilization above which slope2 applies (1e18 precision).
+     * @param _baseRate The annual rate at zero utilization (1e18 precision).
+     * @param _slope1 The annual rate increase up to the optimal utilization (1e18 precision).
+     * @param _slope2 The annual rate increase from the optimal to full utilization (1e18 precision).
+     */
+    constructor(
+        uint256 _optimalUtilization,
+        uint256 _baseRate,
+        uint256 _slope1,
+        uint256 _slope2
+    ) {
+        if (_optimalUtilization == 0 || _optimalUtilization >= RATE_PRECISION)
+            revert InvalidOptimalUtilization(_optimalUtilization);
+        optimalUtilization = _optimalUtilization;
+        baseRate = _baseRate;
+        slope1 = _slope1;
+        slope2 = _slope2;
+    }
+
+    /// @inheritdoc IInterestRateStrategy
+    function getInterestRate(
+        address,
+        uint256 utilization
+    ) public view returns (uint256 ratePerYear) {
+        if (utilization <= optimalUtilization) {
+            uint256 rate = (utilization * slope1) / optimalUtilization;
+            ratePerYear = baseRate + rate;
+        } else {
+            uint256 utilizationDelta = utilization - optimalUtilization;
+            uint256 excessUtilizationRate = (utilizationDelta *
+                RATE_PRECISION) / (RATE_PRECISION - optimalUtilization);
+            ratePerYear =
+                baseRate +
+                slope1 +
+                (excessUtilizationRate * slope2) /
+                RATE_PRECISION;
+        }
+    }
+
+    /// @inheritdoc IInterestRateStrategy
+    function updateInterestRate(
+        address token,
+        uint256 utilization
+    ) external view returns (uint256 ratePerYear) {
+        ratePerYear = getInterestRate(token, utilization);
+    }
+}
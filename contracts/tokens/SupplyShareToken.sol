@@ -0,0 +1,164 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {IPoolToken} from "../interfaces/IPoolToken.sol";
+import {LendingPool} from "../LendingPool.sol";
+
+/**
+ * @title Lending Pool supply share token
+ * @author Petro1912
+ * @notice Transferable ERC20 receipt of a lending pool vault supply shares, one token per share.
+ * @dev the token holds no balance: balances and total supply are the vault shares recorded in the pool, and transfers move them through LendingPool.transferShares.
+ * @dev exposes the ERC-4626 views so integrations can value the shares in vault tokens.
+ */
+contract SupplyShareToken is IERC20Metadata, IPoolToken {
+    //--------------------------------------------------------------------
+    /** VARIABLES */
+
+    address public immutable pool;
+    address public immutable asset;
+    uint8 public immutable decimals;
+
+    string public name;
+    string public symbol;
+
+    // owner => spender => allowance
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    //--------------------------------------------------------------------
+    /** ERRORS */
+
+    error NotPool();
+    error InvalidReceiver();
+    error InsufficientAllowance();
+
+    /**
+     * @param _pool The lending pool address.
+     * @param _asset The vault ERC20 token address.
+     * @param _name The share token name.
+     * @param _symbol The share token symbol.
+     */
+    constructor(
+        address _pool,
+        address _asset,
+        string memory _name,
+        string memory _symbol
+    ) {
+        pool = _pool;
+        asset = _asset;
+        // shares are minted 1:1 with the first supplied tokens
+        decimals = IERC20Metadata(_asset).decimals();
+        name = _name;
+        symbol = _symbol;
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            ERC20 functions
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Returns the total supply shares of the vault.
+     */
+    function totalSupply() external view returns (uint256) {
+        return LendingPool(pool).getTokenVault(asset).totalAsset.shares;
+    }
+
+    /**
+     * @notice Returns the supply shares of an account.
+     * @param account The account address.
+     */
+    function balanceOf(address account) external view returns (uint256) {
+        (uint256 shares, ) = LendingPool(pool).getUserTokenCollateralAndBorrow(
+            account,
+            asset
+        );
+        return shares;
+    }
+
+    /**
+     * @notice Transfers supply shares to another account.
+     * @dev will revert if the sender debt goes above his borrowing power (see LendingPool.transferShares).
+     * @param to The receiver address.
+     * @param amount The amount of shares to transfer.
+     */
+    function transfer(address to, uint256 amount) external returns (bool) {
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    /**
+     * @notice Allows a spender to transfer the caller shares.
+     * @param spender The spender address.
+     * @param amount The amount of shares allowed.
+     */
+    function approve(address spender, uint256 amount) external returns (bool) {
+        allowance[msg.sender][spender] = amount;
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    /**
+     * @notice Transfers supply shares on behalf of another account.
+     * @dev an allowance of type(uint256).max is never decreased.
+     * @param from The sender address.
+     * @param to The receiver address.
+     * @param amount The amount of shares to transfer.
+     */
+    function transferFrom(
+        address from,
+        address to,
+        uint256 amount
+    ) external returns (bool) {
+        uint256 allowed = allowance[from][msg.sender];
+        if (allowed != type(uint256).max) {
+            if (allowed < amount) revert InsufficientAllowance();
+            allowance[from][msg.sender] = allowed - amount;
+        }
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    /// @inheritdoc IPoolToken
+    function emitTransfer(address from, address to, uint256 shares) external {
+        if (msg.sender != pool) revert NotPool();
+        emit Transfer(from, to, shares);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            ERC4626 views
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Returns the vault tokens supplied to the pool, interest included.
+     */
+    function totalAssets() external view returns (uint256) {
+        return LendingPool(pool).getTokenVault(asset).totalAsset.amount;
+    }
+
+    /**
+     * @notice Returns the shares corresponding to an amount of vault tokens.
+     * @param assets The amount of vault tokens.
+     */
+    function convertToShares(uint256 assets) external view returns (uint256) {
+        return LendingPool(pool).amountToShares(asset, assets, true);
+    }
+
+    /**
+     * @notice Returns the vault tokens corresponding to an amount of shares.
+     * @param shares The amount of shares.
+     */
+    function convertToAssets(uint256 shares) external view returns (uint256) {
+        return LendingPool(pool).sharesToAmount(asset, shares, true);
+    }
+
+    //--------------------------------------------------------------------
+    /** INTERNAL FUNCTIONS */
+
+    function _transfer(address from, address to, uint256 amount) internal {
+        if (to == address(0)) revert InvalidReceiver();
+        // the pool emits the Transfer event through emitTransfer
+        LendingPool(pool).transferShares(asset, from, to, amount);
+    }
+}
@@ -0,0 +1,153 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {IPoolToken} from "../interfaces/IPoolToken.sol";
+import {PoolStructs} from "../interfaces/PoolStructs.sol";
+import {VaultAccounting} from "../libraries/VaultAccounting.sol";
+import {LendingPool} from "../LendingPool.sol";
+
+/**
+ * @title Lending Pool variable debt token
+ * @author Petro1912
+ * @notice Non-transferable ERC20 view of a lending pool vault debt, balances are the borrowers debt interest included.
+ * @dev the token holds no balance: balances are the vault borrow shares recorded in the pool valued at the vault total borrow.
+ * @dev Transfer events are emitted on borrows and repayments only, balances also grow with the accrued interest.
+ * @dev borrowers can delegate borrowing allowances through this token, allowances are stored in the pool (see LendingPool.getBorrowAllowance).
+ */
+contract VariableDebtToken is IERC20Metadata, IPoolToken {
+    using VaultAccounting for PoolStructs.Vault;
+
+    //--------------------------------------------------------------------
+    /** VARIABLES */
+
+    address public immutable pool;
+    address public immutable asset;
+    uint8 public immutable decimals;
+
+    string public name;
+    string public symbol;
+
+    //--------------------------------------------------------------------
+    /** ERRORS */
+
+    error NotPool();
+    error OperationNotSupported();
+
+    /**
+     * @param _pool The lending pool address.
+     * @param _asset The vault ERC20 token address.
+     * @param _name The debt token name.
+     * @param _symbol The debt token symbol.
+     */
+    constructor(
+        address _pool,
+        address _asset,
+        string memory _name,
+        string memory _symbol
+    ) {
+        pool = _pool;
+        asset = _asset;
+        decimals = IERC20Metadata(_asset).decimals();
+        name = _name;
+        symbol = _symbol;
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            ERC20 functions
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Returns the vault total borrowed amount, pending interest included.
+     */
+    function totalSupply() external view returns (uint256) {
+        return LendingPool(pool).getAccruedTokenVault(asset).totalBorrow.amount;
+    }
+
+    /**
+     * @notice Returns the debt of an account, pending interest included.
+     * @param account The account address.
+     */
+    function balanceOf(address account) external view returns (uint256) {
+        (, uint256 shares) = LendingPool(pool).getUserTokenCollateralAndBorrow(
+            account,
+            asset
+        );
+        return
+            LendingPool(pool).getAccruedTokenVault(asset).totalBorrow.toAmount(
+                shares,
+                false
+            );
+    }
+
+    /**
+     * @dev debt cannot be transferred.
+     */
+    function transfer(address, uint256) external pure returns (bool) {
+        revert OperationNotSupported();
+    }
+
+    /**
+     * @dev debt cannot be transferred, use approveDelegation to let another account borrow.
+     */
+    function allowance(address, address) external pure returns (uint256) {
+        revert OperationNotSupported();
+    }
+
+    /**
+     * @dev debt cannot be transferred, use approveDelegation to let another account borrow.
+     */
+    function approve(address, uint256) external pure returns (bool) {
+        revert OperationNotSupported();
+    }
+
+    /**
+     * @dev debt cannot be transferred.
+     */
+    function transferFrom(
+        address,
+        address,
+        uint256
+    ) external pure returns (bool) {
+        revert OperationNotSupported();
+    }
+
+    /// @inheritdoc IPoolToken
+    function emitTransfer(address from, address to, uint256 amount) external {
+        if (msg.sender != pool) revert NotPool();
+        emit Transfer(from, to, amount);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            Credit delegation
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Allows a delegatee to borrow vault tokens against the caller collateral.
+     * @dev the pool emits BorrowAllowanceDelegated.
+     * @param delegatee The account allowed to borrow.
+     * @param amount The amount of tokens the delegatee can borrow.
+     */
+    function approveDelegation(address delegatee, uint256 amount) external {
+        LendingPool(pool).delegateBorrowAllowance(
+            asset,
+            msg.sender,
+            delegatee,
+            amount
+        );
+    }
+
+    /**
+     * @notice Returns the amount of vault tokens a delegatee can still borrow against the delegator collateral.
+     * @param delegator The account whose collateral backs the borrows.
+     * @param delegatee The account allowed to borrow.
+     */
+    function borrowAllowance(
+        address delegator,
+        address delegatee
+    ) external view returns (uint256) {
+        return
+            LendingPool(pool).getBorrowAllowance(delegator, delegatee, asset);
+    }
+}
@@ -9,15 +9,35 @@ abstract contract Constants {
     uint256 internal constant MIN_HEALTH_FACTOR = 1e18;
     // if health factor is below 0.9e18 then full liquidation is allowed
     uint256 internal constant CLOSE_FACTOR_HF_THRESHOLD = 0.9e18;
-    uint256 internal constant LIQUIDATION_THRESHOLD = 8e4; // 80%
-    uint256 internal constant DEFAULT_LIQUIDATION_CLOSE_FACTOR = 5e4; // 50%
-    uint256 internal constant LIQUIDATION_REWARD = 5e3; // 5%
+    // max bonus paid to liquidators on top of the seized collateral (1e5 precision)
+    uint256 internal constant MAX_LIQUIDATION_BONUS = 2e4; // 20%
+    // max dutch auction bonus added per unit of health factor below 1 (1e5 precision)
+    uint256 internal constant MAX_LIQUIDATION_BONUS_SLOPE = 1e6; // 10% bonus for each 1% of HF
+    // max duration of the liquidation warning grace window and liquidator exclusive period
+    uint256 internal constant MAX_LIQUIDATION_DELAY = 1 days;
+    // time anyone can liquidate a warned borrower once the liquidation delays have passed
+    uint256 internal constant LIQUIDATION_WARNING_VALIDITY = 1 days;
+    // borrower collateral worth less than this USD value (18 decimals) does not block his bad debt settlement
+    uint256 internal constant DEFAULT_BAD_DEBT_COLLATERAL_DUST = 1e18; // 1$
+    uint256 internal constant MAX_BAD_DEBT_COLLATERAL_DUST = 100e18; // 100$
 
-    // Default Interest Rate (if borrows = 0)
+    // max age of a price feed answer, used by default when adding a new token
+    uint32 internal constant DEFAULT_ORACLE_HEARTBEAT = 2 hours;
+    uint256 internal constant MAX_ORACLE_HEARTBEAT = 2 days;
+    // max delay after a L2 sequencer restart before prices are used again
+    uint256 internal constant MAX_SEQUENCER_GRACE_PERIOD = 1 days;
+
+    // Default Interest Rate per second (if utilization = 0)
     uint64 internal constant DEFAULT_INTEREST = 158247046; // 0.5% annual rate 1e18 precision
 
     // Protocol Fee (1e5 precision)
     uint256 internal constant MAX_PROTOCOL_FEE = 0.5e4; // 5%
 
-    uint256 public constant BLOCKS_PER_YEAR = 2102400; // Average Ethereum blocks per year
+    // Flash loan Fee (1e5 precision)
+    uint256 internal constant MAX_FLASH_FEE = 1e3; // 1%
+    // ERC-3156 value returned by the borrower on a successful flash loan callback
+    bytes32 internal constant FLASH_LOAN_CALLBACK_SUCCESS =
+        keccak256("ERC3156FlashBorrower.onFlashLoan");
+
+    uint256 public constant SECONDS_PER_YEAR = 365 days;
 }
@@ -5,24 +5,52 @@ const { getAmountInWei, developmentChains } = require("../utils/helpers");
 // mumbai addresses
 const DAI = "0xd393b1E02dA9831Ff419e22eA105aAe4c47E1253";
 const daiPriceFeed = "0x0FCAa9c899EC5A91eBc3D5Dd869De833b06fB046";
+// default kink interest rate model
+const kinkStrategyArgs = [
+  getAmountInWei(0.8), // optimal utilization 80%
+  0, // base rate
+  getAmountInWei(0.04), // slope1 4%
+  getAmountInWei(3), // slope2 300%
+];
 const daiVaultParams = {
   reserveRatio: 20000, // 20%
   feeToProtocolRate: 1000, // 1%
   flashFeeRate: 500, // 0.5%
-  optimalUtilization: getAmountInWei(0.8), // 80%
-  baseRate: 0,
-  slope1: getAmountInWei(0.04), // 4%
-  slope2: getAmountInWei(3), // 300%
+  warningDelay: 0, // liquidation warnings disabled
+  liquidatorDelay: 0,
+  maxLTV: 75000, // 75%
+  liquidationThreshold: 80000, // 80%
+  liquidationBonus: 5000, // 5%
+  maxLiquidationBonus: 0, // dutch auction disabled
+  liquidationBonusSlope: 0,
+  closeFactor: 50000, // 50%
 };
 
 async function main() {
   const deployNetwork = hre.network.name;
 
+  // Deploy DAI vault interest rate strategy
+  const strategy = await ethers.deployContract(
+    "KinkInterestRateStrategy",
+    kinkStrategyArgs
+  );
+  await strategy.waitForDeployment();
+  daiVaultParams.interestRateStrategy = strategy.target;
+  console.log("Interest rate strategy deployed at:", strategy.target);
+
+  // Deploy Lending Pool modules
+  const liquidationManager = await ethers.deployContract("LiquidationManager");
+  await liquidationManager.waitForDeployment();
+  const poolConfigurator = await ethers.deployContract("PoolConfigurator");
+  await poolConfigurator.waitForDeployment();
+
   // Deploy Lending Pool contract
   const pool = await ethers.deployContract("LendingPool", [
     DAI,
     daiPriceFeed,
     daiVaultParams,
+    liquidationManager.target,
+    poolConfigurator.target,
   ]);
   await pool.waitForDeployment();
 
@@ -37,7 +65,13 @@ async function main() {
     await pool.deployTransaction.wait(6);
 
     // args represent contract constructor arguments
-    const args = [DAI, daiPriceFeed, daiVaultParams];
+    const args = [
+      DAI,
+      daiPriceFeed,
+      daiVaultParams,
+      liquidationManager.target,
+      poolConfigurator.target,
+    ];
     await verify(pool.address, args);
   }
 }
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers, network } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const {
   getAmountInWei,
   getAmountFromWei,
@@ -14,21 +15,49 @@ const {
   round,
   moveTime
 } = require("../utils/helpers");
+const {
+  rateToNumber,
+  formatRate,
+  getVaultRates,
+  getFormattedVaultRates,
+} = require("../utils/rates");
 
 
 let pool;
 let DAI, WETH, WBTC;
 let daiFeed, wethFeed, wbtcFeed;
 
+// default kink interest rate strategy params
+const kinkStrategyParams = {
+  optimalUtilization: getAmountInWei(0.8), // 80%
+  baseRate: 0,
+  slope1: getAmountInWei(0.04), // 4%
+  slope2: getAmountInWei(3), // 300%
+};
+
+// LendingPool batch action types (see PoolStructs.ActionType)
+const ActionType = {
+  Supply: 0,
+  Borrow: 1,
+  Repay: 2,
+  Withdraw: 3,
+  Redeem: 4,
+};
+
 // use same vault params by default for testing
 let vaultInfoParams = {
   reserveRatio: 20000, // 20%
   feeToProtocolRate: 1000, // 1%
   flashFeeRate: 500, // 0.5%
-  optimalUtilization: getAmountInWei(0.8), // 80%
-  baseRate: 0,
-  slope1: getAmountInWei(0.04), // 4%
-  slope2: getAmountInWei(3), // 300%
+  warningDelay: 0, // liquidation warnings disabled
+  liquidatorDelay: 0,
+  maxLTV: 75000, // 75%
+  liquidationThreshold: 80000, // 80%
+  liquidationBonus: 5000, // 5%
+  maxLiquidationBonus: 0, // dutch auction disabled
+  liquidationBonusSlope: 0,
+  closeFactor: 50000, // 50%
+  interestRateStrategy: ethers.ZeroAddress, // set to the kink strategy before tests
 };
 
 !developmentChains.includes(network.name)
@@ -36,6 +65,9 @@ let vaultInfoParams = {
   : describe("Lending Pool Unit Tests", () => {
       before(async () => {
         [owner, user1, user2, user3, randomUser] = await ethers.getSigners();
+
+        const strategy = await deployKinkStrategy(kinkStrategyParams);
+        vaultInfoParams.interestRateStrategy = strategy.target;
       });
 
       describe("Correct Deployement", () => {
@@ -366,7 +398,10 @@ let vaultInfoParams = {
               // user3 tries to borrow more WETH
               await expect(
                 pool.connect(user3).borrow(WETH.target, getAmountInWei(10))
-              ).to.be.revertedWithCustomError(pool, "BelowHeathFactor");
+              ).to.be.revertedWithCustomError(
+                pool,
+                "InsufficientBorrowingPower"
+              );
             });
             it("should revert if token vault is paused", async () => {
               // pause ETH vault
@@ -376,6 +411,189 @@ let vaultInfoParams = {
               ).to.be.revertedWithCustomError(pool, "isPaused");
             });
           });
+          describe("borrowOnBehalfOf()", () => {
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+
+              // user 1 supplies DAI
+              await mintERC20(user1, DAI.target, getAmountInWei(100000));
+              await supply(user1, DAI.target, getAmountInWei(100000), pool);
+
+              // user 2 supplies 10 WETH = 20000$, borrowing power = 15000$
+              await mintERC20(user2, WETH.target, getAmountInWei(10));
+              await supply(user2, WETH.target, getAmountInWei(10), pool);
+            });
+            it("should allow user to delegate borrow allowance", async () => {
+              const amount = getAmountInWei(3000);
+              await expect(
+                pool
+                  .connect(user2)
+                  .approveDelegation(user3.address, DAI.target, amount)
+              )
+                .to.emit(pool, "BorrowAllowanceDelegated")
+                .withArgs(user2.address, user3.address, DAI.target, amount);
+              expect(
+                await pool.getBorrowAllowance(
+                  user2.address,
+                  user3.address,
+                  DAI.target
+                )
+              ).to.equal(amount);
+            });
+            it("should revert if delegatee has no allowance", async () => {
+              await expect(
+                pool
+                  .connect(randomUser)
+                  .borrowOnBehalfOf(
+                    user2.address,
+                    DAI.target,
+                    getAmountInWei(1)
+                  )
+              )
+                .to.be.revertedWithCustomError(
+                  pool,
+                  "InsufficientBorrowAllowance"
+                )
+                .withArgs(0);
+            });
+            it("should charge delegator and send funds to delegatee", async () => {
+              const amount = getAmountInWei(2000);
+              await expect(
+                pool
+                  .connect(user3)
+                  .borrowOnBehalfOf(user2.address, DAI.target, amount)
+              )
+                .to.emit(pool, "Borrow")
+                .withArgs(user2.address, DAI.target, amount, amount)
+                .and.to.emit(pool, "BorrowOnBehalfOf")
+                .withArgs(user3.address, user2.address, DAI.target, amount);
+
+              expect(await DAI.balanceOf(user3.address)).to.equal(amount);
+              expect(await DAI.balanceOf(user2.address)).to.equal(0);
+              const [, delegatorShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  DAI.target
+                );
+              const [, delegateeShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user3.address,
+                  DAI.target
+                );
+              expect(delegatorShares).to.equal(amount);
+              expect(delegateeShares).to.equal(0);
+            });
+            it("should decrease allowance as it is used", async () => {
+              expect(
+                await pool.getBorrowAllowance(
+                  user2.address,
+                  user3.address,
+                  DAI.target
+                )
+              ).to.equal(getAmountInWei(1000));
+            });
+            it("should revert once allowance is exhausted", async () => {
+              await expect(
+                pool
+                  .connect(user3)
+                  .borrowOnBehalfOf(
+                    user2.address,
+                    DAI.target,
+                    getAmountInWei(1500)
+                  )
+              )
+                .to.be.revertedWithCustomError(
+                  pool,
+                  "InsufficientBorrowAllowance"
+                )
+                .withArgs(getAmountInWei(1000));
+
+              await pool
+                .connect(user3)
+                .borrowOnBehalfOf(
+                  user2.address,
+                  DAI.target,
+                  getAmountInWei(1000)
+                );
+              expect(
+                await pool.getBorrowAllowance(
+                  user2.address,
+                  user3.address,
+                  DAI.target
+                )
+              ).to.equal(0);
+              await expect(
+                pool
+                  .connect(user3)
+                  .borrowOnBehalfOf(user2.address, DAI.target, 1)
+              ).to.be.revertedWithCustomError(
+                pool,
+                "InsufficientBorrowAllowance"
+              );
+            });
+            it("should check delegator borrowing power", async () => {
+              await pool
+                .connect(user2)
+                .approveDelegation(
+                  user3.address,
+                  DAI.target,
+                  getAmountInWei(100000)
+                );
+              // 3000$ already borrowed, 13000$ more goes above 15000$
+              await expect(
+                pool
+                  .connect(user3)
+                  .borrowOnBehalfOf(
+                    user2.address,
+                    DAI.target,
+                    getAmountInWei(13000)
+                  )
+              ).to.be.revertedWithCustomError(
+                pool,
+                "InsufficientBorrowingPower"
+              );
+            });
+            it("should not allow borrowing once delegation is revoked", async () => {
+              await pool
+                .connect(user2)
+                .approveDelegation(user3.address, DAI.target, 0);
+              await expect(
+                pool
+                  .connect(user3)
+                  .borrowOnBehalfOf(
+                    user2.address,
+                    DAI.target,
+                    getAmountInWei(100)
+                  )
+              )
+                .to.be.revertedWithCustomError(
+                  pool,
+                  "InsufficientBorrowAllowance"
+                )
+                .withArgs(0);
+            });
+          });
           describe("repay()", () => {
             before(async () => {
               // Deploy ERC20 and USD price feeds mocks
@@ -458,17 +676,18 @@ let vaultInfoParams = {
               );
               await approveERC20(user2, WETH.target, repaidAmount, pool.target);
 
-              pool.on("Repay", (borrower, token, repayAmount, repayShares) => {
-                expect(borrower).to.equal(user2.address);
-                expect(token).to.equal(WETH.target);
-                actualRepayAmount = repayAmount;
-                actualRepayShares = repayShares;
-              });
-
-              // user2 repays 35 WETH
-              await expect(
-                pool.connect(user2).repay(WETH.target, repaidAmount)
-              ).to.emit(pool, "Repay");
+              // user2 repays 15 WETH
+              const tx = await pool
+                .connect(user2)
+                .repay(WETH.target, repaidAmount);
+              const receipt = await tx.wait(1);
+              const event = receipt.logs
+                .map((log) => pool.interface.parseLog(log))
+                .find((e) => e && e.name === "Repay");
+              const [borrower, token] = event.args;
+              [, , actualRepayAmount, actualRepayShares] = event.args;
+              expect(borrower).to.equal(user2.address);
+              expect(token).to.equal(WETH.target);
               expect(actualRepayAmount).to.equal(repaidAmount);
               expect(actualRepayShares).to.lessThanOrEqual(repaidShares);
             });
@@ -534,17 +753,17 @@ let vaultInfoParams = {
                 pool.target
               );
 
-              pool.on("Repay", (borrower, token, repayAmount, repayShares) => {
-                expect(borrower).to.equal(user2.address);
-                expect(token).to.equal(WETH.target);
-                expect(repayShares).to.equal(repaidShares);
-                expect(repayAmount).to.greaterThanOrEqual(repaidAmount);
-              });
-
               // user2 repays full borrowed amount by inputting a big value
               await expect(
                 pool.connect(user2).repay(WETH.target, getAmountInWei(100000))
-              ).to.emit(pool, "Repay");
+              )
+                .to.emit(pool, "Repay")
+                .withArgs(
+                  user2.address,
+                  WETH.target,
+                  (repayAmount) => repayAmount >= repaidAmount,
+                  repaidShares
+                );
 
               const afterBorrowShares = getAmountFromWei(
                 (
@@ -557,7 +776,7 @@ let vaultInfoParams = {
               expect(round(afterBorrowShares)).to.equal(0);
             });
           });
-          describe("withdraw()", () => {
+          describe("supplyOnBehalfOf()/repayOnBehalfOf()", () => {
             before(async () => {
               // Deploy ERC20 and USD price feeds mocks
               [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
@@ -575,135 +794,439 @@ let vaultInfoParams = {
                 .connect(owner)
                 .setPausedStatus(ethers.ZeroAddress, false);
 
-              // add supported ERC20 tokens
               await setupTokenVault(
                 WETH.target,
                 wethFeed.target,
                 vaultInfoParams,
                 true
               );
-              await setupTokenVault(
-                WBTC.target,
-                wbtcFeed.target,
-                vaultInfoParams,
-                true
-              );
 
-              // user 1 supplies WETH
-              await mintERC20(user1, WETH.target, getAmountInWei(40));
-              await supply(user1, WETH.target, getAmountInWei(40), pool);
+              // user 1 supplies DAI
+              await mintERC20(user1, DAI.target, getAmountInWei(10000));
+              await supply(user1, DAI.target, getAmountInWei(10000), pool);
             });
-            it("should revert if withdraw amount is greater than supply balance", async () => {
+            it("should credit supply shares to beneficiary", async () => {
+              const amount = getAmountInWei(10);
+              // user 3 tops up user 2 collateral
+              await mintAndapproveERC20(
+                user3,
+                WETH.target,
+                amount,
+                pool.target
+              );
               await expect(
                 pool
-                  .connect(user1)
-                  .withdraw(WETH.target, getAmountInWei(50), getAmountInWei(50))
-              ).to.be.revertedWithCustomError(pool, "InsufficientBalance");
-            });
-            let beforeUserbalance,
-              beforePoolAssetShares,
-              beforePoolAssetAmount,
-              beforeUserAssetShares,
-              withdrawAmount,
-              withdrawnShares;
-            it("should allow user to withdraw supplied amount", async () => {
-              // user 2 supplies token2
-              let amount = getAmountInWei(5);
-              await mintERC20(user2, WBTC.target, amount);
-              await supply(user2, WBTC.target, amount, pool);
-
-              // user2 borrows token 1
-              await pool.connect(user2).borrow(WETH.target, getAmountInWei(10));
-
-              // tx stays in mempool for some 10 blocks
-              await hre.network.provider.send("hardhat_mine", ["0xa"]);
+                  .connect(user3)
+                  .supplyOnBehalfOf(user2.address, WETH.target, amount, 0)
+              )
+                .to.emit(pool, "Deposit")
+                .withArgs(user2.address, WETH.target, amount, amount)
+                .and.to.emit(pool, "SupplyOnBehalfOf")
+                .withArgs(user3.address, user2.address, WETH.target, amount);
 
-              const vault = await pool.getTokenVault(WETH.target);
-              beforePoolAssetShares = getAmountFromWei(vault.totalAsset.shares);
-              beforePoolAssetAmount = getAmountFromWei(vault.totalAsset.amount);
-              beforeUserbalance = getAmountFromWei(
-                await WETH.balanceOf(user1.address)
+              const [user2Shares] = await pool.getUserTokenCollateralAndBorrow(
+                user2.address,
+                WETH.target
               );
-              beforeUserAssetShares = getAmountFromWei(
-                (
-                  await pool.getUserTokenCollateralAndBorrow(
-                    user1.address,
-                    WETH.target
-                  )
-                )[0]
+              const [user3Shares] = await pool.getUserTokenCollateralAndBorrow(
+                user3.address,
+                WETH.target
               );
-              withdrawAmount = getAmountInWei(10);
-              withdrawnShares = await pool.amountToShares(
+              expect(user2Shares).to.equal(amount);
+              expect(user3Shares).to.equal(0);
+              expect(await WETH.balanceOf(user3.address)).to.equal(0);
+            });
+            it("should revert if supply slippage is too high", async () => {
+              const amount = getAmountInWei(1);
+              await mintAndapproveERC20(
+                user3,
                 WETH.target,
-                withdrawAmount,
-                false
+                amount,
+                pool.target
               );
-
-              pool.on("Withdraw", (user, token, repayAmount, repayShares) => {
-                expect(user).to.equal(user1.address);
-                expect(token).to.equal(WETH.target);
-                expect(repayAmount).to.equal(withdrawAmount);
-                expect(repayShares).to.lessThanOrEqual(withdrawnShares);
-              });
-
-              // user1 withdraws 10 WETH
               await expect(
                 pool
-                  .connect(user1)
-                  .withdraw(WETH.target, withdrawAmount, withdrawnShares)
-              ).to.emit(pool, "Withdraw");
-            });
-            it("should transfer withdrawn amount to user", async () => {
-              const afterUserbalance = getAmountFromWei(
-                await WETH.balanceOf(user1.address)
-              );
-              expect(afterUserbalance).to.be.equal(
-                getAmountFromWei(withdrawAmount) + beforeUserbalance
-              );
-            });
-            it("should update asset shares/amount in the token vault", async () => {
-              const vault = await pool.getTokenVault(WETH.target);
-              expect(round(getAmountFromWei(vault.totalAsset.amount))).to.equal(
-                beforePoolAssetAmount - getAmountFromWei(withdrawAmount)
-              );
-              expect(round(getAmountFromWei(vault.totalAsset.shares))).to.equal(
-                beforePoolAssetShares - getAmountFromWei(withdrawnShares)
-              );
-            });
-            it("should update user asset balance", async () => {
-              const afterAssetShares = getAmountFromWei(
-                (
-                  await pool.getUserTokenCollateralAndBorrow(
-                    user1.address,
-                    WETH.target
+                  .connect(user3)
+                  .supplyOnBehalfOf(
+                    user2.address,
+                    WETH.target,
+                    amount,
+                    amount + 1n
                   )
-                )[0]
-              );
-              expect(round(afterAssetShares)).to.equal(
-                beforeUserAssetShares - getAmountFromWei(withdrawnShares)
-              );
+              ).to.be.revertedWithCustomError(pool, "TooHighSlippage");
             });
-            it("should revert if user goes below health factor", async () => {
-              // user1 borrows token2
+            it("should repay part of beneficiary debt", async () => {
+              // beneficiary can borrow against supplied collateral
               await pool
-                .connect(user1)
-                .borrow(WBTC.target, scaleAmount(1.5, 8));
+                .connect(user2)
+                .borrow(DAI.target, getAmountInWei(5000));
 
-              const amount = getAmountInWei(10);
-              withdrawnShares = await pool.amountToShares(
-                WETH.target,
-                amount,
-                false
-              );
-              // user1 tries to withdraw supplied WETH
+              const amount = getAmountInWei(1000);
+              await mintAndapproveERC20(user3, DAI.target, amount, pool.target);
+              const [, sharesBefore] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  DAI.target
+                );
               await expect(
                 pool
-                  .connect(user1)
-                  .withdraw(WETH.target, amount, getAmountInWei(10000))
-              ).to.be.revertedWithCustomError(pool, "BelowHeathFactor");
+                  .connect(user3)
+                  .repayOnBehalfOf(user2.address, DAI.target, amount)
+              )
+                .to.emit(pool, "Repay")
+                .withArgs(user2.address, DAI.target, amount, anyValue)
+                .and.to.emit(pool, "RepayOnBehalfOf")
+                .withArgs(user3.address, user2.address, DAI.target, amount);
+
+              const [, sharesAfter] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  DAI.target
+                );
+              expect(sharesAfter).to.be.lessThan(sharesBefore);
+              expect(await DAI.balanceOf(user3.address)).to.equal(0);
+              // borrowed tokens stay with the beneficiary
+              expect(await DAI.balanceOf(user2.address)).to.equal(
+                getAmountInWei(5000)
+              );
+            });
+            it("should fully repay beneficiary debt", async () => {
+              await moveTime(3600);
+              await mintAndapproveERC20(
+                user3,
+                DAI.target,
+                getAmountInWei(4100),
+                pool.target
+              );
+              const tx = await pool
+                .connect(user3)
+                .repayOnBehalfOf(user2.address, DAI.target, ethers.MaxUint256);
+              const [, borrowShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  DAI.target
+                );
+              expect(borrowShares).to.equal(0);
+
+              // only the debt with interest is pulled from the caller
+              const repaid =
+                getAmountInWei(4100) - (await DAI.balanceOf(user3.address));
+              expect(repaid).to.be.greaterThan(getAmountInWei(4000));
+              await expect(tx)
+                .to.emit(pool, "RepayOnBehalfOf")
+                .withArgs(user3.address, user2.address, DAI.target, repaid);
             });
           });
-          describe("redeem()", () => {
+          describe("supplyWithPermit()/repayWithPermit()", () => {
+            let PDAI, permit2;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+              PDAI = await ethers.deployContract("ERC20PermitMock", [
+                "permit dai",
+                "PDAI",
+                18,
+              ]);
+              permit2 = await ethers.deployContract("Permit2Mock");
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              await setupTokenVault(
+                PDAI.target,
+                daiFeed.target,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+            });
+            it("should supply with permit without prior approve", async () => {
+              const amount = getAmountInWei(10000);
+              await mintERC20(user1, PDAI.target, amount);
+              const deadline = (await time()) + 3600;
+              const { v, r, s } = await signPermit(
+                user1,
+                PDAI,
+                pool.target,
+                amount,
+                deadline
+              );
+              await expect(
+                pool
+                  .connect(user1)
+                  .supplyWithPermit(PDAI.target, amount, 0, deadline, v, r, s)
+              )
+                .to.emit(pool, "Deposit")
+                .withArgs(user1.address, PDAI.target, amount, amount);
+
+              const [shares] = await pool.getUserTokenCollateralAndBorrow(
+                user1.address,
+                PDAI.target
+              );
+              expect(shares).to.equal(amount);
+              expect(await PDAI.balanceOf(pool.target)).to.equal(amount);
+              expect(await PDAI.allowance(user1.address, pool.target)).to.equal(
+                0
+              );
+            });
+            it("should supply if permit was front-run", async () => {
+              const amount = getAmountInWei(100);
+              await mintERC20(user3, PDAI.target, amount);
+              const deadline = (await time()) + 3600;
+              const { v, r, s } = await signPermit(
+                user3,
+                PDAI,
+                pool.target,
+                amount,
+                deadline
+              );
+              // permit submitted by someone else before the supply
+              await PDAI.connect(randomUser).permit(
+                user3.address,
+                pool.target,
+                amount,
+                deadline,
+                v,
+                r,
+                s
+              );
+              await expect(
+                pool
+                  .connect(user3)
+                  .supplyWithPermit(PDAI.target, amount, 0, deadline, v, r, s)
+              )
+                .to.emit(pool, "Deposit")
+                .withArgs(user3.address, PDAI.target, amount, anyValue);
+            });
+            it("should revert if permit is invalid and allowance too low", async () => {
+              const amount = getAmountInWei(100);
+              await mintERC20(user3, PDAI.target, amount);
+              const deadline = (await time()) + 3600;
+              // permit signed by another account
+              const { v, r, s } = await signPermit(
+                randomUser,
+                PDAI,
+                pool.target,
+                amount,
+                deadline
+              );
+              await expect(
+                pool
+                  .connect(user3)
+                  .supplyWithPermit(PDAI.target, amount, 0, deadline, v, r, s)
+              ).to.be.revertedWith("ERC20: insufficient allowance");
+            });
+            it("should repay with permit", async () => {
+              // user 2 borrows PDAI against WETH collateral
+              await mintERC20(user2, WETH.target, getAmountInWei(10));
+              await supply(user2, WETH.target, getAmountInWei(10), pool);
+              await pool
+                .connect(user2)
+                .borrow(PDAI.target, getAmountInWei(5000));
+
+              const amount = getAmountInWei(1000);
+              const deadline = (await time()) + 3600;
+              const { v, r, s } = await signPermit(
+                user2,
+                PDAI,
+                pool.target,
+                amount,
+                deadline
+              );
+              const [, sharesBefore] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  PDAI.target
+                );
+              await expect(
+                pool
+                  .connect(user2)
+                  .repayWithPermit(PDAI.target, amount, deadline, v, r, s)
+              )
+                .to.emit(pool, "Repay")
+                .withArgs(user2.address, PDAI.target, amount, anyValue);
+
+              const [, sharesAfter] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  PDAI.target
+                );
+              expect(sharesAfter).to.be.lessThan(sharesBefore);
+              expect(await PDAI.balanceOf(user2.address)).to.equal(
+                getAmountInWei(4000)
+              );
+            });
+            it("should fully repay with permit", async () => {
+              await moveTime(3600);
+              await mintERC20(user2, PDAI.target, getAmountInWei(100));
+              const deadline = (await time()) + 3600;
+              const { v, r, s } = await signPermit(
+                user2,
+                PDAI,
+                pool.target,
+                ethers.MaxUint256,
+                deadline
+              );
+              await pool
+                .connect(user2)
+                .repayWithPermit(
+                  PDAI.target,
+                  ethers.MaxUint256,
+                  deadline,
+                  v,
+                  r,
+                  s
+                );
+              const [, borrowShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  PDAI.target
+                );
+              expect(borrowShares).to.equal(0);
+              // only the debt with interest is pulled
+              expect(await PDAI.balanceOf(user2.address)).to.be.greaterThan(
+                getAmountInWei(99)
+              );
+            });
+            it("should revert Permit2 functions if Permit2 is not set", async () => {
+              const permitSingle = await buildPermitSingle(
+                permit2,
+                user2,
+                WETH.target,
+                pool.target,
+                0
+              );
+              await expect(
+                pool
+                  .connect(user2)
+                  .supplyWithPermit2(WETH.target, 0, 0, permitSingle, "0x")
+              ).to.be.revertedWithCustomError(pool, "Permit2NotSet");
+              await expect(
+                pool
+                  .connect(user2)
+                  .repayWithPermit2(WETH.target, 0, permitSingle, "0x")
+              ).to.be.revertedWithCustomError(pool, "Permit2NotSet");
+            });
+            it("only owner should be allowed to set Permit2", async () => {
+              await expect(
+                pool.connect(randomUser).setPermit2(permit2.target)
+              ).to.be.revertedWith("Ownable: caller is not the owner");
+              await expect(pool.connect(owner).setPermit2(permit2.target))
+                .to.emit(pool, "Permit2Updated")
+                .withArgs(permit2.target);
+              expect(await pool.permit2()).to.equal(permit2.target);
+            });
+            it("should supply through Permit2", async () => {
+              // WETH mock has no EIP-2612 support
+              const amount = getAmountInWei(5);
+              await mintAndapproveERC20(
+                user3,
+                WETH.target,
+                amount,
+                permit2.target
+              );
+              const permitSingle = await buildPermitSingle(
+                permit2,
+                user3,
+                WETH.target,
+                pool.target,
+                amount
+              );
+              const signature = await signPermit2(user3, permitSingle);
+              await expect(
+                pool
+                  .connect(user3)
+                  .supplyWithPermit2(
+                    WETH.target,
+                    amount,
+                    0,
+                    permitSingle,
+                    signature
+                  )
+              )
+                .to.emit(pool, "Deposit")
+                .withArgs(user3.address, WETH.target, amount, amount);
+
+              expect(await WETH.balanceOf(user3.address)).to.equal(0);
+              const [permit2Allowance] = await permit2.allowance(
+                user3.address,
+                WETH.target,
+                pool.target
+              );
+              expect(permit2Allowance).to.equal(0);
+
+              // the signed permit cannot be replayed
+              await mintERC20(user3, WETH.target, amount);
+              await expect(
+                pool
+                  .connect(user3)
+                  .supplyWithPermit2(
+                    WETH.target,
+                    amount,
+                    0,
+                    permitSingle,
+                    signature
+                  )
+              ).to.be.revertedWithCustomError(permit2, "InsufficientAllowance");
+            });
+            it("should repay through Permit2", async () => {
+              await pool
+                .connect(user3)
+                .borrow(PDAI.target, getAmountInWei(1000));
+              await PDAI.connect(user3).approve(
+                permit2.target,
+                ethers.MaxUint256
+              );
+              const permitSingle = await buildPermitSingle(
+                permit2,
+                user3,
+                PDAI.target,
+                pool.target,
+                getAmountInWei(1100)
+              );
+              const signature = await signPermit2(user3, permitSingle);
+              // permit submitted by someone else before the repayment
+              await permit2
+                .connect(randomUser)
+                .permit(user3.address, permitSingle, signature);
+
+              await moveTime(3600);
+              await pool
+                .connect(user3)
+                .repayWithPermit2(
+                  PDAI.target,
+                  ethers.MaxUint256,
+                  permitSingle,
+                  signature
+                );
+              const [, borrowShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user3.address,
+                  PDAI.target
+                );
+              expect(borrowShares).to.equal(0);
+              // user 3 kept 100 PDAI from the failed permit supply
+              expect(await PDAI.balanceOf(user3.address)).to.be.lessThan(
+                getAmountInWei(100)
+              );
+            });
+          });
+          describe("withdraw()", () => {
             before(async () => {
               // Deploy ERC20 and USD price feeds mocks
               [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
@@ -736,30 +1259,23 @@ let vaultInfoParams = {
               );
 
               // user 1 supplies WETH
-              await mintERC20(user1, WETH.target, getAmountInWei(80));
-              await supply(user1, WETH.target, getAmountInWei(80), pool);
+              await mintERC20(user1, WETH.target, getAmountInWei(40));
+              await supply(user1, WETH.target, getAmountInWei(40), pool);
             });
-            it("should revert if withdrawn shares are greater than supplied shares", async () => {
-              const userAssetShares = getAmountFromWei(
-                (
-                  await pool.getUserTokenCollateralAndBorrow(
-                    user1.address,
-                    WETH.target
-                  )
-                )[0]
-              );
-              const redeemShares = getAmountInWei(userAssetShares + 100);
+            it("should revert if withdraw amount is greater than supply balance", async () => {
               await expect(
-                pool.connect(user1).redeem(WETH.target, redeemShares, 0)
+                pool
+                  .connect(user1)
+                  .withdraw(WETH.target, getAmountInWei(50), getAmountInWei(50))
               ).to.be.revertedWithCustomError(pool, "InsufficientBalance");
             });
             let beforeUserbalance,
               beforePoolAssetShares,
               beforePoolAssetAmount,
               beforeUserAssetShares,
-              withdrawnAmount,
+              withdrawAmount,
               withdrawnShares;
-            it("should allow user to redeem shares", async () => {
+            it("should allow user to withdraw supplied amount", async () => {
               // user 2 supplies token2
               let amount = getAmountInWei(5);
               await mintERC20(user2, WBTC.target, amount);
@@ -768,7 +1284,7 @@ let vaultInfoParams = {
               // user2 borrows token 1
               await pool.connect(user2).borrow(WETH.target, getAmountInWei(10));
 
-              // tx stays in mempool for some blocks
+              // tx stays in mempool for some 10 blocks
               await hre.network.provider.send("hardhat_mine", ["0xa"]);
 
               const vault = await pool.getTokenVault(WETH.target);
@@ -785,39 +1301,39 @@ let vaultInfoParams = {
                   )
                 )[0]
               );
-
-              withdrawnShares = getAmountInWei(10);
-              withdrawnAmount = await pool.sharesToAmount(
+              withdrawAmount = getAmountInWei(10);
+              withdrawnShares = await pool.amountToShares(
                 WETH.target,
-                withdrawnShares,
+                withdrawAmount,
                 false
               );
 
-              pool.on("Withdraw", (user, token, repayAmount, repayShares) => {
-                expect(user).to.equal(user1.address);
-                expect(token).to.equal(WETH.target);
-                expect(repayShares).to.equal(withdrawnShares);
-                expect(repayAmount).to.greaterThanOrEqual(withdrawnAmount);
-              });
-
-              // user1 withdraws 10 ETH
+              // user1 withdraws 10 WETH
               await expect(
-                pool.connect(user1).redeem(WETH.target, withdrawnShares, 0)
-              ).to.emit(pool, "Withdraw");
+                pool
+                  .connect(user1)
+                  .withdraw(WETH.target, withdrawAmount, withdrawnShares)
+              )
+                .to.emit(pool, "Withdraw")
+                .withArgs(
+                  user1.address,
+                  WETH.target,
+                  withdrawAmount,
+                  (shares) => shares <= withdrawnShares
+                );
             });
             it("should transfer withdrawn amount to user", async () => {
               const afterUserbalance = getAmountFromWei(
                 await WETH.balanceOf(user1.address)
               );
-              // received amount is greater because of interest accrued
-              expect(afterUserbalance).to.be.greaterThanOrEqual(
-                getAmountFromWei(withdrawnAmount) + beforeUserbalance
+              expect(afterUserbalance).to.be.equal(
+                getAmountFromWei(withdrawAmount) + beforeUserbalance
               );
             });
             it("should update asset shares/amount in the token vault", async () => {
               const vault = await pool.getTokenVault(WETH.target);
               expect(round(getAmountFromWei(vault.totalAsset.amount))).to.equal(
-                beforePoolAssetAmount - getAmountFromWei(withdrawnAmount)
+                beforePoolAssetAmount - getAmountFromWei(withdrawAmount)
               );
               expect(round(getAmountFromWei(vault.totalAsset.shares))).to.equal(
                 beforePoolAssetShares - getAmountFromWei(withdrawnShares)
@@ -836,16 +1352,30 @@ let vaultInfoParams = {
                 beforeUserAssetShares - getAmountFromWei(withdrawnShares)
               );
             });
-            it("should revert if user becomes not solvent", async () => {
+            it("should revert if user goes below health factor", async () => {
               // user1 borrows token2
-              await pool.connect(user1).borrow(WBTC.target, scaleAmount(3, 8));
+              await pool
+                .connect(user1)
+                .borrow(WBTC.target, scaleAmount(1.5, 8));
+
+              const amount = getAmountInWei(10);
+              withdrawnShares = await pool.amountToShares(
+                WETH.target,
+                amount,
+                false
+              );
               // user1 tries to withdraw supplied WETH
               await expect(
-                pool.connect(user1).redeem(WETH.target, getAmountInWei(30), 0)
-              ).to.be.revertedWithCustomError(pool, "BelowHeathFactor");
+                pool
+                  .connect(user1)
+                  .withdraw(WETH.target, amount, getAmountInWei(10000))
+              ).to.be.revertedWithCustomError(
+                pool,
+                "InsufficientBorrowingPower"
+              );
             });
           });
-          describe("liquidate()", () => {
+          describe("redeem()", () => {
             before(async () => {
               // Deploy ERC20 and USD price feeds mocks
               [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
@@ -878,221 +1408,119 @@ let vaultInfoParams = {
               );
 
               // user 1 supplies WETH
-              await mintERC20(user1, WETH.target, getAmountInWei(200));
-              await supply(user1, WETH.target, getAmountInWei(200), pool);
-
-              // user 2 supplies token2
-              const amount = scaleAmount(10, 8);
-              await mintERC20(user2, WBTC.target, amount);
-              await supply(user2, WBTC.target, amount, pool);
-
-              // user2 borrows token 1
-              await pool
-                .connect(user2)
-                .borrow(WETH.target, getAmountInWei(100));
+              await mintERC20(user1, WETH.target, getAmountInWei(80));
+              await supply(user1, WETH.target, getAmountInWei(80), pool);
             });
-            it("should revert if borrower is solvent", async () => {
+            it("should revert if withdrawn shares are greater than supplied shares", async () => {
+              const userAssetShares = getAmountFromWei(
+                (
+                  await pool.getUserTokenCollateralAndBorrow(
+                    user1.address,
+                    WETH.target
+                  )
+                )[0]
+              );
+              const redeemShares = getAmountInWei(userAssetShares + 100);
               await expect(
-                pool
-                  .connect(user1)
-                  .liquidate(
-                    user2.address,
-                    WBTC.target,
-                    WETH.target,
-                    getAmountInWei(40)
-                  )
-              ).to.be.revertedWithCustomError(pool, "BorrowerIsSolvant");
+                pool.connect(user1).redeem(WETH.target, redeemShares, 0)
+              ).to.be.revertedWithCustomError(pool, "InsufficientBalance");
             });
-            let repaidAmount,
-              totalReceivedCollateral,
-              beforePoolbalance1,
+            let beforeUserbalance,
               beforePoolAssetShares,
               beforePoolAssetAmount,
-              beforePoolBorrowShares,
-              beforePoolBorrowAmount,
-              beforeUserBorrowShares1,
-              beforeUserAssetShares2;
-            it("should revert borrower try to liquidate his position", async () => {
-              // simulate decrease in token2 price
-              await wbtcFeed.updateAnswer(scaleAmount(24000, 8)); // 1 BTC = 24000$
-
-              // user2 health factor is less than 1
-              expect(await pool.healthFactor(user2.address)).to.be.lessThan(
-                getAmountInWei(1)
-              );
-              const liquidatedAmount = getAmountInWei(50);
-              await mintAndapproveERC20(
-                user2,
-                WETH.target,
-                liquidatedAmount,
-                pool.target
-              );
-
-              await expect(
-                pool
-                  .connect(user2)
-                  .liquidate(
-                    user2.address,
-                    WBTC.target,
-                    WETH.target,
-                    liquidatedAmount
-                  )
-              ).to.be.revertedWithCustomError(pool, "SelfLiquidation");
-            });
-            it("should allow liquidator to liquidate unsolvant borrower", async () => {
-              // simulate decrease in token2 price
-              await wbtcFeed.updateAnswer(scaleAmount(24000, 8)); // 1 BTC = 24000$
-
-              // user2 health factor is less than 1
-              expect(await pool.healthFactor(user2.address)).to.be.lessThan(
-                getAmountInWei(1)
-              );
-              beforePoolbalance1 = getAmountFromWei(
-                await WETH.balanceOf(pool.target)
-              );
+              beforeUserAssetShares,
+              withdrawnAmount,
+              withdrawnShares;
+            it("should allow user to redeem shares", async () => {
+              // user 2 supplies token2
+              let amount = getAmountInWei(5);
+              await mintERC20(user2, WBTC.target, amount);
+              await supply(user2, WBTC.target, amount, pool);
 
-              let vault = await pool.getTokenVault(WETH.target);
-              beforePoolBorrowAmount = getAmountFromWei(
-                vault.totalBorrow.amount
-              );
-              beforePoolBorrowShares = getAmountFromWei(
-                vault.totalBorrow.shares
-              );
+              // user2 borrows token 1
+              await pool.connect(user2).borrow(WETH.target, getAmountInWei(10));
 
-              vault = await pool.getTokenVault(WBTC.target);
-              beforePoolAssetAmount = normalizeAmount(
-                vault.totalAsset.amount,
-                8
-              );
-              beforePoolAssetShares = normalizeAmount(
-                vault.totalAsset.shares,
-                8
-              );
+              // tx stays in mempool for some blocks
+              await hre.network.provider.send("hardhat_mine", ["0xa"]);
 
-              const userShares1 = await pool.getUserTokenCollateralAndBorrow(
-                user2.address,
-                WETH.target
+              const vault = await pool.getTokenVault(WETH.target);
+              beforePoolAssetShares = getAmountFromWei(vault.totalAsset.shares);
+              beforePoolAssetAmount = getAmountFromWei(vault.totalAsset.amount);
+              beforeUserbalance = getAmountFromWei(
+                await WETH.balanceOf(user1.address)
               );
-              beforeUserBorrowShares1 = getAmountFromWei(userShares1[1]);
-              const userShares2 = await pool.getUserTokenCollateralAndBorrow(
-                user2.address,
-                WBTC.target
+              beforeUserAssetShares = getAmountFromWei(
+                (
+                  await pool.getUserTokenCollateralAndBorrow(
+                    user1.address,
+                    WETH.target
+                  )
+                )[0]
               );
-              beforeUserAssetShares2 = normalizeAmount(userShares2[0], 8);
 
-              const liquidatedAmount = getAmountInWei(50);
-              await mintAndapproveERC20(
-                user3,
+              withdrawnShares = getAmountInWei(10);
+              withdrawnAmount = await pool.sharesToAmount(
                 WETH.target,
-                liquidatedAmount,
-                pool.target
+                withdrawnShares,
+                false
               );
 
-              pool.on(
-                "Liquidated",
-                (
-                  borrower,
-                  liquidator,
-                  actualLiquidationAmount,
-                  liquidatedCollateral
-                ) => {
-                  expect(borrower).to.equal(user2.address);
-                  expect(liquidator).to.equal(user3.address);
-                  expect(actualLiquidationAmount).to.lessThanOrEqual(
-                    liquidatedAmount
-                  );
-                  repaidAmount = Number(actualLiquidationAmount);
-                  totalReceivedCollateral = Number(liquidatedCollateral);
-                }
-              );
+              // user1 withdraws 10 ETH
               await expect(
-                pool
-                  .connect(user3)
-                  .liquidate(
-                    user2.address,
-                    WBTC.target,
-                    WETH.target,
-                    liquidatedAmount
-                  )
-              ).to.emit(pool, "Liquidated");
-            });
-            it("should transfer repaid tokens to pool", async () => {
-              const afterPoolbalance1 = getAmountFromWei(
-                await WETH.balanceOf(pool.target)
-              );
-              expect(afterPoolbalance1).to.be.equal(
-                beforePoolbalance1 + getAmountFromWei(repaidAmount)
-              );
+                pool.connect(user1).redeem(WETH.target, withdrawnShares, 0)
+              )
+                .to.emit(pool, "Withdraw")
+                .withArgs(
+                  user1.address,
+                  WETH.target,
+                  (amount) => amount >= withdrawnAmount,
+                  withdrawnShares
+                );
             });
-            it("should transfer liquidated collateral to liquidator", async () => {
-              const beforeLiquidatorBalance = 0;
-              const afterLiquidatorBalance = normalizeAmount(
-                await WBTC.balanceOf(user3.address),
-                8
-              );
-              expect(afterLiquidatorBalance).to.be.equal(
-                beforeLiquidatorBalance +
-                  normalizeAmount(totalReceivedCollateral, 8)
+            it("should transfer withdrawn amount to user", async () => {
+              const afterUserbalance = getAmountFromWei(
+                await WETH.balanceOf(user1.address)
               );
-            });
-            it("should update asset shares/amount of the token vault", async () => {
-              const vault = await pool.getTokenVault(WBTC.target);
-
-              expect(normalizeAmount(vault.totalAsset.amount, 8)).to.equal(
-                beforePoolAssetAmount -
-                  normalizeAmount(totalReceivedCollateral, 8)
+              // received amount is greater because of interest accrued
+              expect(afterUserbalance).to.be.greaterThanOrEqual(
+                getAmountFromWei(withdrawnAmount) + beforeUserbalance
               );
             });
-            it("should update borrow shares/amount of the token vault", async () => {
+            it("should update asset shares/amount in the token vault", async () => {
               const vault = await pool.getTokenVault(WETH.target);
-
-              expect(
-                round(getAmountFromWei(vault.totalBorrow.amount))
-              ).to.equal(
-                beforePoolBorrowAmount - getAmountFromWei(repaidAmount)
+              expect(round(getAmountFromWei(vault.totalAsset.amount))).to.equal(
+                beforePoolAssetAmount - getAmountFromWei(withdrawnAmount)
+              );
+              expect(round(getAmountFromWei(vault.totalAsset.shares))).to.equal(
+                beforePoolAssetShares - getAmountFromWei(withdrawnShares)
               );
             });
-            it("should update borrower borrow shares", async () => {
-              const afterUserBorrowShares1 = getAmountFromWei(
+            it("should update user asset balance", async () => {
+              const afterAssetShares = getAmountFromWei(
                 (
                   await pool.getUserTokenCollateralAndBorrow(
-                    user2.address,
+                    user1.address,
                     WETH.target
                   )
-                )[1]
+                )[0]
               );
-              const repaidShares =
-                (getAmountFromWei(repaidAmount) * beforePoolBorrowShares) /
-                beforePoolBorrowAmount;
-
-              expect(afterUserBorrowShares1).to.equal(
-                beforeUserBorrowShares1 - repaidShares
+              expect(round(afterAssetShares)).to.equal(
+                beforeUserAssetShares - getAmountFromWei(withdrawnShares)
               );
             });
-            it("should update borrower collateral shares", async () => {
-              const afterUserAssetShares2 = normalizeAmount(
-                (
-                  await pool.getUserTokenCollateralAndBorrow(
-                    user2.address,
-                    WBTC.target
-                  )
-                )[0],
-                8
+            it("should revert if user becomes not solvent", async () => {
+              // user1 borrows token2
+              await pool.connect(user1).borrow(WBTC.target, scaleAmount(3, 8));
+              // user1 tries to withdraw supplied WETH
+              await expect(
+                pool.connect(user1).redeem(WETH.target, getAmountInWei(30), 0)
+              ).to.be.revertedWithCustomError(
+                pool,
+                "InsufficientBorrowingPower"
               );
-              const liquidatedCollShares =
-                (normalizeAmount(totalReceivedCollateral, 8) *
-                  beforePoolAssetShares) /
-                beforePoolAssetAmount;
-              totalReceivedCollateral *
-                expect(afterUserAssetShares2).to.equal(
-                  beforeUserAssetShares2 - liquidatedCollShares
-                );
             });
           });
-        });
-        
-        describe("Getters functions", () => {
-          describe("getUserData()", () => {
+          describe("setUseAsCollateral()", () => {
             before(async () => {
               // Deploy ERC20 and USD price feeds mocks
               [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
@@ -1125,60 +1553,136 @@ let vaultInfoParams = {
               );
 
               // user1 supplies WETH
-              await mintERC20(user1, WETH.target, getAmountInWei(40)); // 40 ETH
-              await supply(user1, WETH.target, getAmountInWei(40), pool);
+              await mintERC20(user1, WETH.target, getAmountInWei(200));
+              await supply(user1, WETH.target, getAmountInWei(200), pool);
 
-              // user2 supplies token2
+              // user2 supplies WBTC and DAI, then borrows WETH
               const amount = scaleAmount(10, 8); // 10 WBTC
               await mintERC20(user2, WBTC.target, amount);
               await supply(user2, WBTC.target, amount, pool);
+              await mintERC20(user2, DAI.target, getAmountInWei(20000));
+              await supply(user2, DAI.target, getAmountInWei(20000), pool);
+              await pool
+                .connect(user2)
+                .borrow(WETH.target, getAmountInWei(100));
+            });
+            it("should use supplied tokens as collateral by default", async () => {
+              expect(
+                await pool.isUsedAsCollateral(user2.address, DAI.target)
+              ).to.equal(true);
+              expect(
+                await pool.isUsedAsCollateral(user2.address, WBTC.target)
+              ).to.equal(true);
+            });
+            it("should revert if ERC20 token is not supported", async () => {
+              const token = await deployERC20Mock("USDT", "USDT", 6);
+              await expect(
+                pool.connect(user2).setUseAsCollateral(token.target, false)
+              ).to.be.revertedWithCustomError(pool, "TokenNotSupported");
+            });
+            it("should revert if disabling collateral leaves debt above borrowing power", async () => {
+              // simulate decrease in WBTC price, DAI keeps the borrowing power above the debt
+              await wbtcFeed.updateAnswer(scaleAmount(26000, 8)); // 1 BTC = 26000$
 
-              // user2 borrows WETH
-              await pool.connect(user2).borrow(WETH.target, getAmountInWei(20));
+              await expect(
+                pool.connect(user2).setUseAsCollateral(DAI.target, false)
+              ).to.be.revertedWithCustomError(
+                pool,
+                "InsufficientBorrowingPower"
+              );
+              // WBTC alone would still keep the health factor above 1, 80% of 260000$
+              expect(
+                await pool.getUserTotalBorrow(user2.address)
+              ).to.be.lessThan(getAmountInWei(208000));
 
-              // virtually mine some blocks
-              await hre.network.provider.send("hardhat_mine", ["0xa"]);
-              await pool.connect(user1).accrueInterest(WETH.target);
+              await wbtcFeed.updateAnswer(scaleAmount(30000, 8));
             });
-            it("should return correct total collateral and borrow value in USD", async () => {
-              // test user2 data
-              const [
-                totalTokenCollateralValue,
-                totalBorrowValue,
-              ] = await pool.getUserData(user2.address);
-
-              // user2 has only wBTC as collateral
-              const [user2BTCCollShares, user2BTCBorrowShares] =
-                await pool.getUserTokenCollateralAndBorrow(
-                  user2.address,
-                  WBTC.target
-                );
-              const user2CollValue = await pool.getAmountInUSD(
-                WBTC.target,
-                user2BTCCollShares
+            it("should allow user to disable a supplied token as collateral", async () => {
+              const beforeCollateral = await pool.getUserTotalTokenCollateral(
+                user2.address
               );
-              expect(user2BTCBorrowShares).to.be.equal(0);
+              const beforeHF = await pool.healthFactor(user2.address);
 
-              // user2 has only borrowed ETH
-              const [user2ETHCollShares, user2ETHBorrowShares] =
-                await pool.getUserTokenCollateralAndBorrow(
-                  user2.address,
-                  WETH.target
-                );
-              const user2BorrowedValue = await pool.getAmountInUSD(
-                WETH.target,
-                user2ETHBorrowShares
+              // the user debt interest is accrued before checking his borrowing power
+              await expect(
+                pool.connect(user2).setUseAsCollateral(DAI.target, false)
+              )
+                .to.emit(pool, "UseAsCollateral")
+                .withArgs(user2.address, DAI.target, false)
+                .and.to.emit(pool, "AccruedInterest");
+              expect(
+                await pool.isUsedAsCollateral(user2.address, DAI.target)
+              ).to.equal(false);
+
+              // DAI is excluded from collateral value and health factor
+              expect(
+                await pool.getUserTotalTokenCollateral(user2.address)
+              ).to.equal(beforeCollateral - getAmountInWei(20000));
+              expect(await pool.healthFactor(user2.address)).to.be.lessThan(
+                beforeHF
               );
-              expect(user2ETHCollShares).to.be.equal(0);
 
-              expect(totalTokenCollateralValue).to.be.equal(user2CollValue);
-              // account for interest accrued
-              expect(totalBorrowValue).to.be.greaterThanOrEqual(
-                user2BorrowedValue
+              // supplied DAI shares are kept
+              const [daiShares] = await pool.getUserTokenCollateralAndBorrow(
+                user2.address,
+                DAI.target
+              );
+              expect(daiShares).to.equal(getAmountInWei(20000));
+            });
+            it("should revert if disabling collateral makes user unsolvent", async () => {
+              await expect(
+                pool.connect(user2).setUseAsCollateral(WBTC.target, false)
+              ).to.be.revertedWithCustomError(
+                pool,
+                "InsufficientBorrowingPower"
+              );
+            });
+            it("should not allow liquidating disabled collateral", async () => {
+              // simulate decrease in WBTC price
+              await wbtcFeed.updateAnswer(scaleAmount(24000, 8)); // 1 BTC = 24000$
+              expect(await pool.healthFactor(user2.address)).to.be.lessThan(
+                getAmountInWei(1)
+              );
+              await mintAndapproveERC20(
+                user3,
+                WETH.target,
+                getAmountInWei(20),
+                pool.target
               );
+
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidate(
+                    user2.address,
+                    DAI.target,
+                    WETH.target,
+                    getAmountInWei(10)
+                  )
+              ).to.be.revertedWithCustomError(pool, "CollateralDisabled");
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidate(
+                    user2.address,
+                    WBTC.target,
+                    WETH.target,
+                    getAmountInWei(10)
+                  )
+              ).to.emit(pool, "Liquidated");
+            });
+            it("should allow user to enable token as collateral again", async () => {
+              await expect(
+                pool.connect(user2).setUseAsCollateral(DAI.target, true)
+              )
+                .to.emit(pool, "UseAsCollateral")
+                .withArgs(user2.address, DAI.target, true);
+              expect(
+                await pool.isUsedAsCollateral(user2.address, DAI.target)
+              ).to.equal(true);
             });
           });
-          describe("healthFactor()", () => {
+          describe("batch()", () => {
             before(async () => {
               // Deploy ERC20 and USD price feeds mocks
               [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
@@ -1196,53 +1700,411 @@ let vaultInfoParams = {
                 .connect(owner)
                 .setPausedStatus(ethers.ZeroAddress, false);
 
-              // add supported ERC20 tokens
               await setupTokenVault(
                 WETH.target,
                 wethFeed.target,
                 vaultInfoParams,
                 true
               );
-              await setupTokenVault(
-                WBTC.target,
-                wbtcFeed.target,
-                vaultInfoParams,
-                true
+
+              // user 1 supplies DAI
+              await mintERC20(user1, DAI.target, getAmountInWei(100000));
+              await supply(user1, DAI.target, getAmountInWei(100000), pool);
+            });
+            it("should revert if no action is given", async () => {
+              await expect(
+                pool.connect(user2).batch([])
+              ).to.be.revertedWithCustomError(pool, "EmptyArray");
+            });
+            it("should supply and borrow in one transaction", async () => {
+              const collateral = getAmountInWei(10); // 20000$
+              const borrowAmount = getAmountInWei(10000);
+              await mintAndapproveERC20(
+                user2,
+                WETH.target,
+                collateral,
+                pool.target
               );
+              const tx = pool
+                .connect(user2)
+                .batch([
+                  action(ActionType.Supply, WETH.target, collateral),
+                  action(ActionType.Borrow, DAI.target, borrowAmount),
+                ]);
+              await expect(tx)
+                .to.emit(pool, "Deposit")
+                .withArgs(user2.address, WETH.target, collateral, collateral)
+                .and.to.emit(pool, "Borrow")
+                .withArgs(user2.address, DAI.target, borrowAmount, anyValue);
 
-              // user1 supplies WETH
-              await mintERC20(user1, WETH.target, getAmountInWei(40)); // 40 ETH
-              await supply(user1, WETH.target, getAmountInWei(40), pool);
+              const [collShares] = await pool.getUserTokenCollateralAndBorrow(
+                user2.address,
+                WETH.target
+              );
+              const [, borrowShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  DAI.target
+                );
+              expect(collShares).to.equal(collateral);
+              expect(borrowShares).to.be.greaterThan(0);
+              expect(await DAI.balanceOf(user2.address)).to.equal(borrowAmount);
+            });
+            it("should check borrowing power after the last action only", async () => {
+              // borrowing before supplying the collateral is allowed
+              const collateral = getAmountInWei(10);
+              await mintAndapproveERC20(
+                user3,
+                WETH.target,
+                collateral,
+                pool.target
+              );
+              await pool
+                .connect(user3)
+                .batch([
+                  action(ActionType.Borrow, DAI.target, getAmountInWei(10000)),
+                  action(ActionType.Supply, WETH.target, collateral),
+                ]);
+              expect(await DAI.balanceOf(user3.address)).to.equal(
+                getAmountInWei(10000)
+              );
+            });
+            it("should revert if final debt is above borrowing power", async () => {
+              // user 3 borrowing power is 15000$ (75% of 20000$)
+              await expect(
+                pool
+                  .connect(user3)
+                  .batch([
+                    action(ActionType.Borrow, DAI.target, getAmountInWei(6000)),
+                  ])
+              ).to.be.revertedWithCustomError(
+                pool,
+                "InsufficientBorrowingPower"
+              );
+            });
+            it("should revert the whole batch if an action fails", async () => {
+              await expect(
+                pool
+                  .connect(user3)
+                  .batch([
+                    action(ActionType.Borrow, DAI.target, getAmountInWei(1000)),
+                    action(
+                      ActionType.Redeem,
+                      WETH.target,
+                      getAmountInWei(1),
+                      getAmountInWei(2)
+                    ),
+                  ])
+              ).to.be.revertedWithCustomError(pool, "TooHighSlippage");
+              expect(await DAI.balanceOf(user3.address)).to.equal(
+                getAmountInWei(10000)
+              );
+            });
+            it("should repay and withdraw in one transaction", async () => {
+              await moveTime(3600);
+              // extra DAI to cover the interest
+              await mintERC20(user2, DAI.target, getAmountInWei(100));
+              await approveERC20(
+                user2,
+                DAI.target,
+                ethers.MaxUint256,
+                pool.target
+              );
+              const collateral = getAmountInWei(10);
+              await expect(
+                pool
+                  .connect(user2)
+                  .batch([
+                    action(ActionType.Repay, DAI.target, ethers.MaxUint256),
+                    action(
+                      ActionType.Withdraw,
+                      WETH.target,
+                      collateral,
+                      ethers.MaxUint256
+                    ),
+                  ])
+              )
+                .to.emit(pool, "Repay")
+                .and.to.emit(pool, "Withdraw")
+                .withArgs(user2.address, WETH.target, collateral, collateral);
 
-              // user2 supplies token2
-              const amount = scaleAmount(10, 8); // 10 WBTC
-              await mintERC20(user2, WBTC.target, amount);
-              await supply(user2, WBTC.target, amount, pool);
+              const [, borrowShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  DAI.target
+                );
+              const [collShares] = await pool.getUserTokenCollateralAndBorrow(
+                user2.address,
+                WETH.target
+              );
+              expect(borrowShares).to.equal(0);
+              expect(collShares).to.equal(0);
+              expect(await WETH.balanceOf(user2.address)).to.equal(collateral);
+            });
+          });
+          describe("non-standard tokens", () => {
+            let USDT, FOT, CBT;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+              USDT = await ethers.deployContract("ERC20NoReturnMock", [
+                "tether",
+                "USDT",
+                6,
+              ]);
+              FOT = await ethers.deployContract("ERC20FeeMock", [
+                "fee token",
+                "FOT",
+                18,
+                100, // 1% fee
+              ]);
+              CBT = await ethers.deployContract("ERC20CallbackMock", [
+                "callback token",
+                "CBT",
+                18,
+              ]);
 
-              // user2 borrows WETH
-              await pool.connect(user2).borrow(WETH.target, getAmountInWei(20));
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
 
-              // virtually mine some blocks
-              await hre.network.provider.send("hardhat_mine", ["0xa"]);
-              await pool.connect(user1).accrueInterest(WETH.target);
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              for (const token of [WETH, USDT, FOT, CBT]) {
+                await setupTokenVault(
+                  token.target,
+                  token == WETH ? wethFeed.target : daiFeed.target,
+                  vaultInfoParams,
+                  true
+                );
+              }
+
+              // user 2 supplies WETH collateral
+              await mintERC20(user2, WETH.target, getAmountInWei(10));
+              await supply(user2, WETH.target, getAmountInWei(10), pool);
             });
-            it("should calculate correct health factor for user", async () => {
-              // test user2 health factor
-              const user2Data = await pool.getUserData(user2.address);
-              const totalCollateralValue = Number(user2Data[0] + user2Data[1]);
-              const totalBorrowValue = Number(user2Data[2]);
-              const expectedHeathFactor =
-                (totalCollateralValue * 80000 * 1e18) /
-                (100000 * totalBorrowValue);
-              let hf = await pool.healthFactor(user2.address);
-              expect(Number(hf)).to.be.equal(expectedHeathFactor);
+            it("should support tokens without transfer return value", async () => {
+              const amount = scaleAmount(10000, 6);
+              await mintAndapproveERC20(
+                user1,
+                USDT.target,
+                amount,
+                pool.target
+              );
+              await expect(
+                pool.connect(user1).supply(USDT.target, amount, 0)
+              ).to.emit(pool, "Deposit");
 
-              // user1 has no borrow so HF = 100*1e18
-              hf = await pool.healthFactor(user1.address);
-              expect(hf).to.be.equal(getAmountInWei(100));
+              const borrowAmount = scaleAmount(1000, 6);
+              await pool.connect(user2).borrow(USDT.target, borrowAmount);
+              expect(await USDT.balanceOf(user2.address)).to.equal(
+                borrowAmount
+              );
+
+              await moveTime(3600);
+              await mintERC20(user2, USDT.target, scaleAmount(10, 6));
+              await approveERC20(
+                user2,
+                USDT.target,
+                ethers.MaxUint256,
+                pool.target
+              );
+              await pool.connect(user2).repay(USDT.target, ethers.MaxUint256);
+              const [, borrowShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  USDT.target
+                );
+              expect(borrowShares).to.equal(0);
+
+              await pool
+                .connect(user1)
+                .redeem(USDT.target, await userCollateral(user1, USDT), 0);
+              expect(await USDT.balanceOf(user1.address)).to.be.greaterThan(
+                amount
+              );
+            });
+            it("should revert if a token without return value transfer fails", async () => {
+              // no allowance given to the pool
+              await USDT.mint(user3.address, scaleAmount(100, 6));
+              await expect(
+                pool.connect(user3).supply(USDT.target, scaleAmount(100, 6), 0)
+              ).to.be.revertedWith("insufficient allowance");
+            });
+            it("should credit the amount received for fee-on-transfer tokens", async () => {
+              const amount = getAmountInWei(1000);
+              const received = getAmountInWei(990);
+              await mintAndapproveERC20(user1, FOT.target, amount, pool.target);
+              await expect(pool.connect(user1).supply(FOT.target, amount, 0))
+                .to.emit(pool, "Deposit")
+                .withArgs(user1.address, FOT.target, received, received);
+
+              const vault = await pool.getTokenVault(FOT.target);
+              expect(vault.totalAsset.amount).to.equal(received);
+              expect(await FOT.balanceOf(pool.target)).to.equal(received);
+              expect(await userCollateral(user1, FOT)).to.equal(received);
+            });
+            it("should check slippage on the amount received", async () => {
+              const amount = getAmountInWei(100);
+              await mintAndapproveERC20(user3, FOT.target, amount, pool.target);
+              await expect(
+                pool.connect(user3).supply(FOT.target, amount, amount)
+              ).to.be.revertedWithCustomError(pool, "TooHighSlippage");
+            });
+            it("should repay the amount received for fee-on-transfer tokens", async () => {
+              await pool.connect(user2).borrow(FOT.target, getAmountInWei(500));
+              // the borrower receives the amount minus the fee
+              expect(await FOT.balanceOf(user2.address)).to.equal(
+                getAmountInWei(495)
+              );
+              const debtBefore = (await pool.getTokenVault(FOT.target))
+                .totalBorrow.amount;
+
+              await approveERC20(
+                user2,
+                FOT.target,
+                getAmountInWei(100),
+                pool.target
+              );
+              await expect(
+                pool.connect(user2).repay(FOT.target, getAmountInWei(100))
+              )
+                .to.emit(pool, "Repay")
+                .withArgs(
+                  user2.address,
+                  FOT.target,
+                  getAmountInWei(99),
+                  anyValue
+                );
+
+              const debtAfter = (await pool.getTokenVault(FOT.target))
+                .totalBorrow.amount;
+              // debt accrued some interest before the repayment
+              expect(debtBefore - debtAfter).to.be.closeTo(
+                getAmountInWei(99),
+                getAmountInWei(0.001)
+              );
+            });
+            it("should revert reentrant calls from token hooks", async () => {
+              const amount = getAmountInWei(1000);
+              await mintAndapproveERC20(user1, CBT.target, amount, pool.target);
+              await supply(user1, CBT.target, amount, pool);
+
+              // the token calls back the pool while sending the withdrawn tokens
+              await CBT.setCallback(
+                pool.target,
+                pool.interface.encodeFunctionData("borrow", [
+                  CBT.target,
+                  getAmountInWei(1),
+                ])
+              );
+              await expect(
+                pool
+                  .connect(user1)
+                  .withdraw(CBT.target, getAmountInWei(10), ethers.MaxUint256)
+              ).to.be.revertedWith("ReentrancyGuard: reentrant call");
+              await CBT.setCallback(ethers.ZeroAddress, "0x");
+
+              // the token calls back the pool while pulling the supplied tokens
+              await mintAndapproveERC20(
+                user1,
+                CBT.target,
+                getAmountInWei(10),
+                pool.target
+              );
+              await CBT.setCallback(
+                pool.target,
+                pool.interface.encodeFunctionData("withdraw", [
+                  CBT.target,
+                  getAmountInWei(1),
+                  ethers.MaxUint256,
+                ])
+              );
+              await expect(
+                pool
+                  .connect(user1)
+                  .batch([
+                    action(ActionType.Supply, CBT.target, getAmountInWei(10)),
+                  ])
+              ).to.be.revertedWith("ReentrancyGuard: reentrant call");
+            });
+            it("should revert reentrant delegation, collateral and liquidation warning calls", async () => {
+              const calls = [
+                pool.interface.encodeFunctionData("approveDelegation", [
+                  user2.address,
+                  CBT.target,
+                  getAmountInWei(1),
+                ]),
+                pool.interface.encodeFunctionData("setUseAsCollateral", [
+                  CBT.target,
+                  false,
+                ]),
+                pool.interface.encodeFunctionData("warnLiquidation", [
+                  user2.address,
+                ]),
+                pool.interface.encodeFunctionData("clearLiquidationWarning", [
+                  user2.address,
+                ]),
+              ];
+              for (const data of calls) {
+                // the token calls back the pool while sending the withdrawn tokens
+                await CBT.setCallback(pool.target, data);
+                await expect(
+                  pool
+                    .connect(user1)
+                    .withdraw(CBT.target, getAmountInWei(1), ethers.MaxUint256)
+                ).to.be.revertedWith("ReentrancyGuard: reentrant call");
+              }
+              await CBT.setCallback(ethers.ZeroAddress, "0x");
+            });
+            it("should revert flash loans repaid with fee-on-transfer tokens", async () => {
+              const borrower = await ethers.deployContract(
+                "FlashBorrowerMock",
+                [pool.target]
+              );
+              // the borrower holds enough tokens to pay the flash loan fee
+              await FOT.mint(borrower.target, getAmountInWei(10));
+
+              // the pool receives `amount + fee` minus the transfer fee
+              const amount = getAmountInWei(100);
+              const fee = await pool.flashFee(FOT.target, amount);
+              const received = ((amount + fee) * 99n) / 100n;
+              await expect(borrower.flashBorrow(FOT.target, amount))
+                .to.be.revertedWithCustomError(
+                  pool,
+                  "InsufficientAmountReceived"
+                )
+                .withArgs(received);
+            });
+            it("should revert liquidations repaid with fee-on-transfer tokens", async () => {
+              // user2 position becomes unsolvent, 10 WETH worth 400$
+              await wethFeed.updateAnswer(scaleAmount(40, 8));
+              expect(await pool.healthFactor(user2.address)).to.be.lessThan(
+                getAmountInWei(1)
+              );
+
+              const amount = getAmountInWei(10);
+              await mintAndapproveERC20(user3, FOT.target, amount, pool.target);
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidate(user2.address, WETH.target, FOT.target, amount)
+              )
+                .to.be.revertedWithCustomError(
+                  pool,
+                  "InsufficientAmountReceived"
+                )
+                .withArgs(getAmountInWei(9.9));
             });
           });
-          describe("amountToShares()/sharesToAmount()", () => {
+          describe("liquidate()", () => {
             before(async () => {
               // Deploy ERC20 and USD price feeds mocks
               [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
@@ -1269,231 +2131,4284 @@ let vaultInfoParams = {
               );
               await setupTokenVault(
                 WBTC.target,
-                wbtcFeed.target,                
+                wbtcFeed.target,
                 vaultInfoParams,
                 true
               );
 
-              // user1 supplies WETH
-              await mintERC20(user1, WETH.target, getAmountInWei(40)); // 40 ETH
-              await supply(user1, WETH.target, getAmountInWei(40), pool);
+              // user 1 supplies WETH
+              await mintERC20(user1, WETH.target, getAmountInWei(200));
+              await supply(user1, WETH.target, getAmountInWei(200), pool);
 
-              // user2 supplies token2
-              const amount = scaleAmount(10, 8); // 10 WBTC
+              // user 2 supplies token2
+              const amount = scaleAmount(10, 8);
               await mintERC20(user2, WBTC.target, amount);
               await supply(user2, WBTC.target, amount, pool);
 
-              // user2 borrows WETH
-              await pool.connect(user2).borrow(WETH.target, getAmountInWei(20));
+              // user2 borrows token 1
+              await pool
+                .connect(user2)
+                .borrow(WETH.target, getAmountInWei(100));
             });
-            it("should return correct shares given token amount", async () => {
-              // virtually mine some blocks
-              await hre.network.provider.send("hardhat_mine", ["0xa"]);
-              await pool.connect(user1).accrueInterest(WETH.target);
-
-              // test for ETH asset vault shares
-              const ethamount = getAmountInWei(5);
-              const vault = await pool.getTokenVault(WETH.target);
-              const expectedAssetShares =
-                (ethamount * vault.totalAsset.shares) / vault.totalAsset.amount;
-              let shares = await pool.amountToShares(
-                WETH.target,
-                ethamount,
-                true // asset
-              );
-              expect(shares).to.be.equal(expectedAssetShares);
-
-              // test for ETH borrow vault shares
-              const expectedBorrowShares =
-                (ethamount * vault.totalBorrow.shares) /
-                vault.totalBorrow.amount;
-              shares = await pool.amountToShares(WETH.target, ethamount, false);
-              expect(shares).to.be.equal(expectedBorrowShares);
+            it("should revert if borrower is solvent", async () => {
+              await expect(
+                pool
+                  .connect(user1)
+                  .liquidate(
+                    user2.address,
+                    WBTC.target,
+                    WETH.target,
+                    getAmountInWei(40)
+                  )
+              ).to.be.revertedWithCustomError(pool, "BorrowerIsSolvant");
+            });
+            let repaidAmount,
+              totalReceivedCollateral,
+              beforePoolbalance1,
+              beforePoolAssetShares,
+              beforePoolAssetAmount,
+              beforePoolBorrowShares,
+              beforePoolBorrowAmount,
+              beforeUserBorrowShares1,
+              beforeUserAssetShares2;
+            it("should revert borrower try to liquidate his position", async () => {
+              // simulate decrease in token2 price
+              await wbtcFeed.updateAnswer(scaleAmount(24000, 8)); // 1 BTC = 24000$
 
-              // test for BTC asset vault shares
-              const btcamount = scaleAmount(5, 8); // 5 WBTC
-              const vaultBTC = await pool.getTokenVault(WETH.target);
-              const expectedBTCAssetShares =
-                (btcamount * Number(vaultBTC.totalAsset.shares)) /
-                Number(vaultBTC.totalAsset.amount);
-              shares = await pool.amountToShares(
+              // user2 health factor is less than 1
+              expect(await pool.healthFactor(user2.address)).to.be.lessThan(
+                getAmountInWei(1)
+              );
+              const liquidatedAmount = getAmountInWei(50);
+              await mintAndapproveERC20(
+                user2,
                 WETH.target,
-                btcamount,
-                true // asset
+                liquidatedAmount,
+                pool.target
               );
-              expect(Number(shares)).to.be.equal(
-                Math.floor(expectedBTCAssetShares)
+
+              await expect(
+                pool
+                  .connect(user2)
+                  .liquidate(
+                    user2.address,
+                    WBTC.target,
+                    WETH.target,
+                    liquidatedAmount
+                  )
+              ).to.be.revertedWithCustomError(pool, "SelfLiquidation");
+            });
+            it("should allow liquidator to liquidate unsolvant borrower", async () => {
+              // simulate decrease in token2 price
+              await wbtcFeed.updateAnswer(scaleAmount(24000, 8)); // 1 BTC = 24000$
+
+              // user2 health factor is less than 1
+              expect(await pool.healthFactor(user2.address)).to.be.lessThan(
+                getAmountInWei(1)
+              );
+              beforePoolbalance1 = getAmountFromWei(
+                await WETH.balanceOf(pool.target)
+              );
+
+              let vault = await pool.getTokenVault(WETH.target);
+              beforePoolBorrowAmount = getAmountFromWei(
+                vault.totalBorrow.amount
+              );
+              beforePoolBorrowShares = getAmountFromWei(
+                vault.totalBorrow.shares
+              );
+
+              vault = await pool.getTokenVault(WBTC.target);
+              beforePoolAssetAmount = normalizeAmount(
+                vault.totalAsset.amount,
+                8
+              );
+              beforePoolAssetShares = normalizeAmount(
+                vault.totalAsset.shares,
+                8
+              );
+
+              const userShares1 = await pool.getUserTokenCollateralAndBorrow(
+                user2.address,
+                WETH.target
+              );
+              beforeUserBorrowShares1 = getAmountFromWei(userShares1[1]);
+              const userShares2 = await pool.getUserTokenCollateralAndBorrow(
+                user2.address,
+                WBTC.target
+              );
+              beforeUserAssetShares2 = normalizeAmount(userShares2[0], 8);
+
+              const liquidatedAmount = getAmountInWei(50);
+              await mintAndapproveERC20(
+                user3,
+                WETH.target,
+                liquidatedAmount,
+                pool.target
+              );
+
+              const tx = await pool
+                .connect(user3)
+                .liquidate(
+                  user2.address,
+                  WBTC.target,
+                  WETH.target,
+                  liquidatedAmount
+                );
+              const receipt = await tx.wait(1);
+              const event = receipt.logs
+                .map((log) => pool.interface.parseLog(log))
+                .find((e) => e && e.name === "Liquidated");
+              const [borrower, liquidator, repaid, liquidatedCollateral] =
+                event.args;
+              expect(borrower).to.equal(user2.address);
+              expect(liquidator).to.equal(user3.address);
+              expect(repaid).to.lessThanOrEqual(liquidatedAmount);
+              repaidAmount = repaid;
+              totalReceivedCollateral = liquidatedCollateral;
+            });
+            it("should transfer repaid tokens to pool", async () => {
+              const afterPoolbalance1 = getAmountFromWei(
+                await WETH.balanceOf(pool.target)
+              );
+              expect(afterPoolbalance1).to.be.equal(
+                beforePoolbalance1 + getAmountFromWei(repaidAmount)
               );
             });
-            it("should return correct amount given vault shares", async () => {
-              // test for ETH asset vault amount
-              const ethShares = getAmountInWei(10);
+            it("should transfer liquidated collateral to liquidator", async () => {
+              const beforeLiquidatorBalance = 0;
+              const afterLiquidatorBalance = normalizeAmount(
+                await WBTC.balanceOf(user3.address),
+                8
+              );
+              expect(afterLiquidatorBalance).to.be.equal(
+                beforeLiquidatorBalance +
+                  normalizeAmount(totalReceivedCollateral, 8)
+              );
+            });
+            it("should update asset shares/amount of the token vault", async () => {
+              const vault = await pool.getTokenVault(WBTC.target);
+
+              expect(normalizeAmount(vault.totalAsset.amount, 8)).to.equal(
+                beforePoolAssetAmount -
+                  normalizeAmount(totalReceivedCollateral, 8)
+              );
+            });
+            it("should update borrow shares/amount of the token vault", async () => {
               const vault = await pool.getTokenVault(WETH.target);
-              const expectedAssetAmount =
-                (ethShares * vault.totalAsset.amount) / vault.totalAsset.shares;
-              let amount = await pool.sharesToAmount(
-                WETH.target,
-                ethShares,
-                true // asset
+
+              expect(
+                round(getAmountFromWei(vault.totalBorrow.amount))
+              ).to.equal(
+                beforePoolBorrowAmount - getAmountFromWei(repaidAmount)
               );
-              expect(amount).to.be.equal(expectedAssetAmount);
+            });
+            it("should update borrower borrow shares", async () => {
+              const afterUserBorrowShares1 = getAmountFromWei(
+                (
+                  await pool.getUserTokenCollateralAndBorrow(
+                    user2.address,
+                    WETH.target
+                  )
+                )[1]
+              );
+              // repaid shares are valued at the borrow vault totals accrued by the liquidation
+              const vault = await pool.getTokenVault(WETH.target);
+              const accruedBorrowAmount =
+                getAmountFromWei(vault.totalBorrow.amount) +
+                getAmountFromWei(repaidAmount);
+              const repaidShares =
+                (getAmountFromWei(repaidAmount) * beforePoolBorrowShares) /
+                accruedBorrowAmount;
 
-              // test for ETH borrow vault amount
-              const expectedBorrowAmount =
-                (ethShares * vault.totalBorrow.amount) /
-                vault.totalBorrow.shares;
-              amount = await pool.sharesToAmount(WETH.target, ethShares, false);
-              expect(amount).to.be.equal(expectedBorrowAmount);
+              expect(afterUserBorrowShares1).to.be.closeTo(
+                beforeUserBorrowShares1 - repaidShares,
+                1e-12
+              );
+            });
+            it("should update borrower collateral shares", async () => {
+              const afterUserAssetShares2 = normalizeAmount(
+                (
+                  await pool.getUserTokenCollateralAndBorrow(
+                    user2.address,
+                    WBTC.target
+                  )
+                )[0],
+                8
+              );
+              const liquidatedCollShares =
+                (normalizeAmount(totalReceivedCollateral, 8) *
+                  beforePoolAssetShares) /
+                beforePoolAssetAmount;
+              expect(afterUserAssetShares2).to.equal(
+                beforeUserAssetShares2 - liquidatedCollShares
+              );
+            });
+          });
+          describe("liquidate() vault risk parameters", () => {
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
 
-              // test for BTC asset vault amount
-              const btcShares = scaleAmount(5, 8); // 5 WBTC
-              const vaultBTC = await pool.getTokenVault(WETH.target);
-              const expectedBTCAmount =
-                (btcShares * Number(vaultBTC.totalAsset.amount)) /
-                Number(vaultBTC.totalAsset.shares);
-              amount = await pool.sharesToAmount(
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // WETH debt has 20% close factor, WBTC collateral has 10% bonus
+              await setupTokenVault(
                 WETH.target,
-                btcShares,
-                true // asset
+                wethFeed.target,
+                { ...vaultInfoParams, closeFactor: 20000 },
+                true
               );
-              expect(Number(amount)).to.be.equal(Math.floor(expectedBTCAmount));
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                { ...vaultInfoParams, liquidationBonus: 10000 },
+                true
+              );
+
+              // user 1 supplies WETH
+              await mintERC20(user1, WETH.target, getAmountInWei(200));
+              await supply(user1, WETH.target, getAmountInWei(200), pool);
+
+              // user 2 supplies WBTC and borrows WETH
+              const amount = scaleAmount(10, 8);
+              await mintERC20(user2, WBTC.target, amount);
+              await supply(user2, WBTC.target, amount, pool);
+              await pool
+                .connect(user2)
+                .borrow(WETH.target, getAmountInWei(100));
             });
+            it("should use borrowed token close factor and collateral bonus", async () => {
+              // simulate decrease in WBTC price, HF = 0.96
+              await wbtcFeed.updateAnswer(scaleAmount(24000, 8)); // 1 BTC = 24000$
+
+              const liquidatedAmount = getAmountInWei(50);
+              await mintAndapproveERC20(
+                user3,
+                WETH.target,
+                liquidatedAmount,
+                pool.target
+              );
+              const [, borrowShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  WETH.target
+                );
+              const debt = await pool.sharesToAmount(
+                WETH.target,
+                borrowShares,
+                false
+              );
+
+              const tx = await pool
+                .connect(user3)
+                .liquidate(
+                  user2.address,
+                  WBTC.target,
+                  WETH.target,
+                  liquidatedAmount
+                );
+              const receipt = await tx.wait(1);
+              const event = receipt.logs
+                .map((log) => pool.interface.parseLog(log))
+                .find((e) => e && e.name === "Liquidated");
+              const [, , repaid, liquidatedCollateral, reward] = event.args;
+
+              // only 20% of the debt can be repaid
+              expect(round(getAmountFromWei(repaid))).to.equal(
+                round(getAmountFromWei(debt) * 0.2)
+              );
+              // 10% bonus on top of the seized collateral
+              const seized = liquidatedCollateral - reward;
+              expect(reward).to.equal((seized * 10000n) / 100000n);
+              expect(await WBTC.balanceOf(user3.address)).to.equal(
+                liquidatedCollateral
+              );
+            });
+          });
+          describe("previewLiquidation()", () => {
+            let USDC, usdcFeed;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // 6 decimals debt token and 8 decimals collateral
+              USDC = await deployERC20Mock("USD coinbase", "USDC", 6);
+              usdcFeed = await deployAggregatorMock(scaleAmount(1, 8), 8); // 1USDC = 1$
+              // no interest so previews and liquidations see the same debt
+              const zeroRate = await ethers.deployContract(
+                "FixedInterestRateStrategy",
+                [0]
+              );
+              await setupTokenVault(
+                USDC.target,
+                usdcFeed.target,
+                { ...vaultInfoParams, interestRateStrategy: zeroRate.target },
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                vaultInfoParams,
+                true
+              );
+
+              // user 1 supplies USDC
+              await mintERC20(user1, USDC.target, scaleAmount(100000, 6));
+              await supply(user1, USDC.target, scaleAmount(100000, 6), pool);
+
+              // user 2 supplies 1 WBTC and borrows 20000 USDC
+              await mintERC20(user2, WBTC.target, scaleAmount(1, 8));
+              await supply(user2, WBTC.target, scaleAmount(1, 8), pool);
+              await pool
+                .connect(user2)
+                .borrow(USDC.target, scaleAmount(20000, 6));
+            });
+            async function liquidateAndGetEvent(amount) {
+              await mintAndapproveERC20(
+                user3,
+                USDC.target,
+                amount,
+                pool.target
+              );
+              const tx = await pool
+                .connect(user3)
+                .liquidate(user2.address, WBTC.target, USDC.target, amount);
+              const receipt = await tx.wait(1);
+              return receipt.logs
+                .map((log) => pool.interface.parseLog(log))
+                .find((e) => e && e.name === "Liquidated");
+            }
+            it("should return zero amounts if borrower is solvent", async () => {
+              const [repayAmount, seizedCollateral, bonus] =
+                await pool.previewLiquidation(
+                  user2.address,
+                  WBTC.target,
+                  USDC.target,
+                  scaleAmount(10000, 6)
+                );
+              expect(repayAmount).to.equal(0);
+              expect(seizedCollateral).to.equal(0);
+              expect(bonus).to.equal(0);
+            });
+            it("should match liquidation amounts with the close factor applied", async () => {
+              // simulate decrease in WBTC price, HF = 0.96
+              await wbtcFeed.updateAnswer(scaleAmount(24000, 8)); // 1 BTC = 24000$
+
+              // only 50% of the 20000 USDC debt can be repaid
+              const [repayAmount, seizedCollateral, bonus] =
+                await pool.previewLiquidation(
+                  user2.address,
+                  WBTC.target,
+                  USDC.target,
+                  scaleAmount(15000, 6)
+                );
+              expect(repayAmount).to.equal(scaleAmount(10000, 6));
+              // 10000$ of WBTC plus 5% bonus, rounded down
+              expect(seizedCollateral).to.equal(43749999n);
+              expect(bonus).to.equal(2083333n);
+
+              const event = await liquidateAndGetEvent(scaleAmount(15000, 6));
+              const [, , repaid, liquidatedCollateral, reward] = event.args;
+              expect(repaid).to.equal(repayAmount);
+              expect(liquidatedCollateral).to.equal(seizedCollateral);
+              expect(reward).to.equal(bonus);
+              expect(await WBTC.balanceOf(user3.address)).to.equal(
+                seizedCollateral
+              );
+            });
+            it("should lower repaid debt when collateral cannot cover the bonus", async () => {
+              // simulate crash in WBTC price, HF < 0.9 so no close factor
+              await wbtcFeed.updateAnswer(scaleAmount(15000, 8)); // 1 BTC = 15000$
+              const collateral = await userCollateral(user2, WBTC);
+
+              const [repayAmount, seizedCollateral, bonus] =
+                await pool.previewLiquidation(
+                  user2.address,
+                  WBTC.target,
+                  USDC.target,
+                  ethers.MaxUint256
+                );
+              // all the collateral is seized, bonus included
+              expect(seizedCollateral).to.equal(collateral);
+              expect(bonus).to.equal(
+                collateral - (collateral * 100000n) / 105000n
+              );
+              // debt repaid is the seized collateral value without the bonus, rounded up
+              const seizedValue = (collateral - bonus) * 15000n;
+              expect(repayAmount).to.equal((seizedValue + 99n) / 100n);
+
+              const event = await liquidateAndGetEvent(scaleAmount(10000, 6));
+              const [, , repaid, liquidatedCollateral, reward] = event.args;
+              expect(repaid).to.equal(repayAmount);
+              expect(liquidatedCollateral).to.equal(seizedCollateral);
+              expect(reward).to.equal(bonus);
+              expect(await userCollateral(user2, WBTC)).to.equal(0);
+            });
+          });
+          describe("liquidate() collateral dust", () => {
+            let vaultBefore;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                vaultInfoParams,
+                true
+              );
+
+              // user 1 supplies WETH and WBTC
+              await mintERC20(user1, WETH.target, getAmountInWei(200));
+              await supply(user1, WETH.target, getAmountInWei(200), pool);
+              await mintERC20(user1, WBTC.target, scaleAmount(10, 8));
+              await supply(user1, WBTC.target, scaleAmount(10, 8), pool);
+
+              // random user borrows WBTC so the vault accrues interest
+              await mintERC20(randomUser, DAI.target, getAmountInWei(1000000));
+              await supply(
+                randomUser,
+                DAI.target,
+                getAmountInWei(1000000),
+                pool
+              );
+              await pool
+                .connect(randomUser)
+                .borrow(WBTC.target, scaleAmount(5, 8));
+              await moveTime(3600);
+              await pool.accrueInterest(WBTC.target);
+
+              // user 2 supplies 1 WBTC and borrows 10 WETH
+              await mintERC20(user2, WBTC.target, scaleAmount(1, 8));
+              await supply(user2, WBTC.target, scaleAmount(1, 8), pool);
+              await pool.connect(user2).borrow(WETH.target, getAmountInWei(10));
+
+              await mintAndapproveERC20(
+                user3,
+                WETH.target,
+                getAmountInWei(10),
+                pool.target
+              );
+            });
+            it("should burn all borrower shares when collateral is exhausted", async () => {
+              vaultBefore = await pool.getTokenVault(WBTC.target);
+              // shares are no longer 1:1 with the vault tokens
+              expect(vaultBefore.totalAsset.amount).to.be.greaterThan(
+                vaultBefore.totalAsset.shares
+              );
+
+              // simulate crash in WBTC price, collateral cannot cover the debt
+              await wbtcFeed.updateAnswer(scaleAmount(15000, 8)); // 1 BTC = 15000$
+              const shares = await userCollateral(user2, WBTC);
+              const tx = await pool
+                .connect(user3)
+                .liquidate(
+                  user2.address,
+                  WBTC.target,
+                  WETH.target,
+                  ethers.MaxUint256
+                );
+              const receipt = await tx.wait(1);
+              const event = receipt.logs
+                .map((log) => pool.interface.parseLog(log))
+                .find((e) => e && e.name === "Liquidated");
+              const seizedCollateral = event.args.liquidatedCollateral;
+              const accrued = collateralAccrual(receipt);
+
+              expect(await userCollateral(user2, WBTC)).to.equal(0);
+              const vaultAfter = await pool.getTokenVault(WBTC.target);
+              expect(vaultAfter.totalAsset.shares).to.equal(
+                vaultBefore.totalAsset.shares + accrued.feesShare - shares
+              );
+              expect(vaultAfter.totalAsset.amount).to.equal(
+                vaultBefore.totalAsset.amount +
+                  accrued.interestEarned -
+                  seizedCollateral
+              );
+              vaultBefore = vaultAfter;
+            });
+            it("should not pay anything once borrower collateral is seized", async () => {
+              const [repayAmount, seizedCollateral, bonus] =
+                await pool.previewLiquidation(
+                  user2.address,
+                  WBTC.target,
+                  WETH.target,
+                  ethers.MaxUint256
+                );
+              expect(repayAmount).to.equal(0);
+              expect(seizedCollateral).to.equal(0);
+              expect(bonus).to.equal(0);
+
+              const balance = await WBTC.balanceOf(user3.address);
+              const tx = pool
+                .connect(user3)
+                .liquidate(
+                  user2.address,
+                  WBTC.target,
+                  WETH.target,
+                  ethers.MaxUint256
+                );
+              await expect(tx).to.not.emit(pool, "Liquidated");
+              const accrued = collateralAccrual(await (await tx).wait(1));
+              expect(await WBTC.balanceOf(user3.address)).to.equal(balance);
+              // only the accrued interest is added to the vault
+              const vaultAfter = await pool.getTokenVault(WBTC.target);
+              expect(vaultAfter.totalAsset.amount).to.equal(
+                vaultBefore.totalAsset.amount + accrued.interestEarned
+              );
+            });
+            it("should not seize collateral dust that cannot cover any debt", async () => {
+              // 2 wei supplied on behalf of the borrower give him 1 share
+              await mintAndapproveERC20(user1, WBTC.target, 2, pool.target);
+              await pool
+                .connect(user1)
+                .supplyOnBehalfOf(user2.address, WBTC.target, 2, 0);
+              expect(await userCollateral(user2, WBTC)).to.equal(1);
+
+              const [repayAmount, seizedCollateral] =
+                await pool.previewLiquidation(
+                  user2.address,
+                  WBTC.target,
+                  WETH.target,
+                  ethers.MaxUint256
+                );
+              expect(repayAmount).to.equal(0);
+              expect(seizedCollateral).to.equal(0);
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidate(
+                    user2.address,
+                    WBTC.target,
+                    WETH.target,
+                    ethers.MaxUint256
+                  )
+              ).to.not.emit(pool, "Liquidated");
+              expect(await userCollateral(user2, WBTC)).to.equal(1);
+            });
+          });
+          describe("liquidate() receiving shares", () => {
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // WBTC vault can be fully borrowed
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                { ...vaultInfoParams, reserveRatio: 0 },
+                true
+              );
+
+              // user 1 supplies WETH
+              await mintERC20(user1, WETH.target, getAmountInWei(100));
+              await supply(user1, WETH.target, getAmountInWei(100), pool);
+
+              // user 2 supplies 1 WBTC and borrows 10 WETH
+              await mintERC20(user2, WBTC.target, scaleAmount(1, 8));
+              await supply(user2, WBTC.target, scaleAmount(1, 8), pool);
+              await pool.connect(user2).borrow(WETH.target, getAmountInWei(10));
+
+              // random user borrows all the WBTC supplied by user 2
+              await mintERC20(randomUser, DAI.target, getAmountInWei(100000));
+              await supply(
+                randomUser,
+                DAI.target,
+                getAmountInWei(100000),
+                pool
+              );
+              await pool
+                .connect(randomUser)
+                .borrow(WBTC.target, scaleAmount(1, 8));
+
+              // simulate decrease in WBTC price, HF = 0.96
+              await wbtcFeed.updateAnswer(scaleAmount(24000, 8)); // 1 BTC = 24000$
+              await mintAndapproveERC20(
+                user3,
+                WETH.target,
+                getAmountInWei(5),
+                pool.target
+              );
+            });
+            it("should revert receiving collateral tokens if vault has no liquidity", async () => {
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidate(
+                    user2.address,
+                    WBTC.target,
+                    WETH.target,
+                    getAmountInWei(5)
+                  )
+              ).to.be.revertedWith("ERC20: transfer amount exceeds balance");
+            });
+            it("should keep the liquidate signature for token liquidations", async () => {
+              expect(pool.interface.getFunction("liquidate").selector).to.equal(
+                ethers
+                  .id("liquidate(address,address,address,uint256)")
+                  .slice(0, 10)
+              );
+            });
+            it("should credit borrower collateral shares to the liquidator", async () => {
+              const [, seizedCollateral] = await pool.previewLiquidation(
+                user2.address,
+                WBTC.target,
+                WETH.target,
+                getAmountInWei(5)
+              );
+              const borrowerShares = await userCollateral(user2, WBTC);
+              const vaultBefore = await pool.getTokenVault(WBTC.target);
+              const poolBalance = await WBTC.balanceOf(pool.target);
+
+              const tx = pool
+                .connect(user3)
+                .liquidateToShares(
+                  user2.address,
+                  WBTC.target,
+                  WETH.target,
+                  getAmountInWei(5)
+                );
+              await expect(tx)
+                .to.emit(pool, "Liquidated")
+                .withArgs(
+                  user2.address,
+                  user3.address,
+                  getAmountInWei(5),
+                  seizedCollateral,
+                  anyValue
+                );
+              const accrued = collateralAccrual(await (await tx).wait(1));
+
+              // seized shares are valued at the accrued vault totals, rounded up
+              const vaultAfter = await pool.getTokenVault(WBTC.target);
+              const { amount, shares } = vaultAfter.totalAsset;
+              const seizedShares =
+                (seizedCollateral * shares + amount - 1n) / amount;
+              expect(await userCollateral(user3, WBTC)).to.equal(seizedShares);
+              expect(await userCollateral(user2, WBTC)).to.equal(
+                borrowerShares - seizedShares
+              );
+              // seized collateral stays in the vault
+              expect(vaultAfter.totalAsset.shares).to.equal(
+                vaultBefore.totalAsset.shares + accrued.feesShare
+              );
+              expect(vaultAfter.totalAsset.amount).to.equal(
+                vaultBefore.totalAsset.amount + accrued.interestEarned
+              );
+              expect(await WBTC.balanceOf(pool.target)).to.equal(poolBalance);
+              expect(await WBTC.balanceOf(user3.address)).to.equal(0);
+              expect(await WETH.balanceOf(user3.address)).to.equal(0);
+            });
+            it("should allow liquidator to redeem received shares once liquidity is back", async () => {
+              // user 1 supplies WBTC
+              await mintERC20(user1, WBTC.target, scaleAmount(1, 8));
+              await supply(user1, WBTC.target, scaleAmount(1, 8), pool);
+
+              const shares = await userCollateral(user3, WBTC);
+              const amount = await pool.sharesToAmount(
+                WBTC.target,
+                shares,
+                true
+              );
+              await pool.connect(user3).redeem(WBTC.target, shares, 0);
+              expect(await userCollateral(user3, WBTC)).to.equal(0);
+              expect(await WBTC.balanceOf(user3.address)).to.equal(amount);
+            });
+          });
+          describe("liquidateBatch()", () => {
+            let USDC, usdcFeed;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              USDC = await deployERC20Mock("USD coinbase", "USDC", 6);
+              usdcFeed = await deployAggregatorMock(scaleAmount(1, 8), 8); // 1USDC = 1$
+              // no interest so the debts keep their borrowed amounts
+              const zeroRate = await ethers.deployContract(
+                "FixedInterestRateStrategy",
+                [0]
+              );
+              const debtVaultParams = {
+                ...vaultInfoParams,
+                interestRateStrategy: zeroRate.target,
+              };
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                debtVaultParams,
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                USDC.target,
+                usdcFeed.target,
+                debtVaultParams,
+                true
+              );
+
+              // user 1 supplies WETH and USDC
+              await mintERC20(user1, WETH.target, getAmountInWei(100));
+              await supply(user1, WETH.target, getAmountInWei(100), pool);
+              await mintERC20(user1, USDC.target, scaleAmount(100000, 6));
+              await supply(user1, USDC.target, scaleAmount(100000, 6), pool);
+
+              // user 2 supplies 1 WBTC and 20000 DAI, borrows 10 WETH and 15000 USDC
+              await mintERC20(user2, WBTC.target, scaleAmount(1, 8));
+              await supply(user2, WBTC.target, scaleAmount(1, 8), pool);
+              await mintERC20(user2, DAI.target, getAmountInWei(20000));
+              await supply(user2, DAI.target, getAmountInWei(20000), pool);
+              await pool.connect(user2).borrow(WETH.target, getAmountInWei(10));
+              await pool
+                .connect(user2)
+                .borrow(USDC.target, scaleAmount(15000, 6));
+
+              // liquidator approves enough to repay all the debts
+              await mintAndapproveERC20(
+                user3,
+                WETH.target,
+                getAmountInWei(10),
+                pool.target
+              );
+              await mintAndapproveERC20(
+                user3,
+                USDC.target,
+                scaleAmount(15000, 6),
+                pool.target
+              );
+            });
+            async function liquidateBatchEvents(legs) {
+              const tx = await pool
+                .connect(user3)
+                .liquidateBatch(user2.address, legs);
+              const receipt = await tx.wait(1);
+              const events = receipt.logs
+                .map((log) => pool.interface.parseLog(log))
+                .filter((e) => e);
+              return [
+                events.filter((e) => e.name === "Liquidated"),
+                events.find((e) => e.name === "BatchLiquidated"),
+              ];
+            }
+            async function userDebt(user, token) {
+              const [, shares] = await pool.getUserTokenCollateralAndBorrow(
+                user.address,
+                token.target
+              );
+              return pool.sharesToAmount(token.target, shares, false);
+            }
+            it("should revert if no leg is given", async () => {
+              await expect(
+                pool.connect(user3).liquidateBatch(user2.address, [])
+              ).to.be.revertedWithCustomError(pool, "EmptyArray");
+            });
+            it("should revert if borrower is solvent", async () => {
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidateBatch(user2.address, [
+                    leg(WBTC, WETH, getAmountInWei(1)),
+                  ])
+              ).to.be.revertedWithCustomError(pool, "BorrowerIsSolvant");
+            });
+            it("should revert if borrower tries to liquidate his position", async () => {
+              await expect(
+                pool
+                  .connect(user2)
+                  .liquidateBatch(user2.address, [
+                    leg(WBTC, WETH, getAmountInWei(1)),
+                  ])
+              ).to.be.revertedWithCustomError(pool, "SelfLiquidation");
+            });
+            it("should revert if a leg token is not supported", async () => {
+              const unsupported = await deployERC20Mock(
+                "unsupported token",
+                "UNS",
+                18
+              );
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidateBatch(user2.address, [
+                    leg(WBTC, WETH, getAmountInWei(1)),
+                    leg(WBTC, unsupported, getAmountInWei(1)),
+                  ])
+              ).to.be.revertedWithCustomError(pool, "TokenNotSupported");
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidateBatch(user2.address, [
+                    leg(unsupported, WETH, getAmountInWei(1)),
+                  ])
+              ).to.be.revertedWithCustomError(pool, "TokenNotSupported");
+            });
+            it("should limit total repaid value by the aggregate close factor", async () => {
+              // simulate decrease in WBTC price, HF = 0.914
+              await wbtcFeed.updateAnswer(scaleAmount(20000, 8)); // 1 BTC = 20000$
+
+              // 50% of the 35000$ debt can be repaid across all legs
+              const [liquidations, summary] = await liquidateBatchEvents([
+                leg(WBTC, USDC, scaleAmount(15000, 6)),
+                leg(DAI, WETH, getAmountInWei(10)),
+              ]);
+
+              expect(liquidations.length).to.equal(2);
+              // first leg repays the full USDC debt
+              expect(liquidations[0].args.repaidAmount).to.equal(
+                scaleAmount(15000, 6)
+              );
+              // 15000$ of WBTC plus 5% bonus = 0.7875 BTC
+              expect(liquidations[0].args.liquidatedCollateral).to.equal(
+                78750000n
+              );
+              // second leg is lowered to the remaining 2500$
+              expect(liquidations[1].args.repaidAmount).to.equal(
+                getAmountInWei(1.25)
+              );
+              expect(liquidations[1].args.liquidatedCollateral).to.equal(
+                getAmountInWei(2625)
+              );
+
+              expect(summary.args.borrower).to.equal(user2.address);
+              expect(summary.args.liquidator).to.equal(user3.address);
+              expect(summary.args.repaidValueUSD).to.equal(
+                getAmountInWei(17500)
+              );
+              expect(summary.args.seizedValueUSD).to.equal(
+                getAmountInWei(18375)
+              );
+
+              expect(await userDebt(user2, USDC)).to.equal(0);
+              expect(await userDebt(user2, WETH)).to.equal(
+                getAmountInWei(8.75)
+              );
+            });
+            it("should repay full debt across legs below close factor HF threshold", async () => {
+              // simulate crash in WBTC price, HF = 0.89
+              await wbtcFeed.updateAnswer(scaleAmount(10000, 8)); // 1 BTC = 10000$
+              const daiShares = await userCollateral(user2, DAI);
+              const wbtcBalance = await WBTC.balanceOf(user3.address);
+
+              // DAI collateral cannot cover the WETH debt, the second leg repays the rest
+              const [liquidations, summary] = await liquidateBatchEvents([
+                leg(DAI, WETH, ethers.MaxUint256, true),
+                leg(WBTC, WETH, ethers.MaxUint256),
+              ]);
+
+              expect(liquidations.length).to.equal(2);
+              expect(
+                liquidations[0].args.repaidAmount +
+                  liquidations[1].args.repaidAmount
+              ).to.equal(getAmountInWei(8.75));
+              expect(
+                getAmountFromWei(summary.args.repaidValueUSD)
+              ).to.be.closeTo(17500, 0.01);
+
+              expect(await userDebt(user2, WETH)).to.equal(0);
+              // first leg seized all DAI collateral as shares
+              expect(await userCollateral(user2, DAI)).to.equal(0);
+              expect(await userCollateral(user3, DAI)).to.equal(daiShares);
+              expect(await WBTC.balanceOf(user3.address)).to.equal(
+                wbtcBalance + liquidations[1].args.liquidatedCollateral
+              );
+            });
+          });
+          describe("liquidate() dutch auction bonus", () => {
+            // WBTC collateral bonus goes from 2% to 15%
+            const minBonus = 2000n;
+            const maxBonus = 15000n;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                {
+                  ...vaultInfoParams,
+                  liquidationBonus: minBonus,
+                  maxLiquidationBonus: maxBonus,
+                  liquidationBonusSlope: 100000, // 1% bonus for each 1% of HF
+                },
+                true
+              );
+
+              // user 1 supplies WETH
+              await mintERC20(user1, WETH.target, getAmountInWei(200));
+              await supply(user1, WETH.target, getAmountInWei(200), pool);
+
+              // user 2 supplies 1 WBTC and borrows 10 WETH, HF = 1.2
+              await mintERC20(user2, WBTC.target, scaleAmount(1, 8));
+              await supply(user2, WBTC.target, scaleAmount(1, 8), pool);
+              await pool.connect(user2).borrow(WETH.target, getAmountInWei(10));
+            });
+            it("should not pay any bonus while borrower is solvent", async () => {
+              expect(
+                await pool.getLiquidationBonus(user2.address, WBTC.target)
+              ).to.equal(0);
+              const [, seizedCollateral, bonus] = await pool.previewLiquidation(
+                user2.address,
+                WBTC.target,
+                WETH.target,
+                ethers.MaxUint256
+              );
+              expect(seizedCollateral).to.equal(0);
+              expect(bonus).to.equal(0);
+            });
+            it("should scale bonus between min and max as health factor falls", async () => {
+              // 1% bonus added for each 1% of health factor below 1
+              // repaying 4 WETH (8000$) seizes 8000$ of WBTC rounded down, plus the bonus rounded down
+              const sweep = [
+                // [HF, WBTC price, bonus rate, seized WBTC, bonus WBTC]
+                [0.99, 24750, 3000n, 33292928n, 969696n],
+                [0.95, 23750, 7000n, 36042104n, 2357894n],
+                [0.9, 22500, 12000n, 39822221n, 4266666n],
+                [0.88, 22000, 14000n, 41454545n, 5090909n],
+                [0.85, 21250, maxBonus, 43294116n, 5647058n],
+                [0.5, 12500, maxBonus, 73600000n, 9600000n],
+              ];
+              for (const [
+                targetHF,
+                wbtcPrice,
+                expectedBonus,
+                expectedSeized,
+                expectedBonusAmount,
+              ] of sweep) {
+                // HF = WBTC price * 80% / 20000$
+                await wbtcFeed.updateAnswer(scaleAmount(wbtcPrice, 8));
+                expect(await pool.healthFactor(user2.address)).to.equal(
+                  getAmountInWei(targetHF)
+                );
+
+                expect(
+                  await pool.getLiquidationBonus(user2.address, WBTC.target)
+                ).to.equal(expectedBonus);
+                // DAI vault keeps its fixed 5% bonus
+                expect(
+                  await pool.getLiquidationBonus(user2.address, DAI.target)
+                ).to.equal(5000);
+
+                // preview applies the scaled bonus
+                const [repayAmount, seizedCollateral, bonus] =
+                  await pool.previewLiquidation(
+                    user2.address,
+                    WBTC.target,
+                    WETH.target,
+                    getAmountInWei(4)
+                  );
+                expect(repayAmount).to.equal(getAmountInWei(4));
+                expect(seizedCollateral).to.equal(expectedSeized);
+                expect(bonus).to.equal(expectedBonusAmount);
+              }
+
+              // the whole debt plus 15% exceeds the 12500$ collateral, all of it is seized
+              // 0.86956521 WBTC without bonus, repaid 0.86956521 * 12500$ / 2000$ = 5.4347825625 WETH
+              const [repayAmount, seizedCollateral, bonus] =
+                await pool.previewLiquidation(
+                  user2.address,
+                  WBTC.target,
+                  WETH.target,
+                  ethers.MaxUint256
+                );
+              expect(repayAmount).to.equal(5434782562500000000n);
+              expect(seizedCollateral).to.equal(scaleAmount(1, 8));
+              expect(bonus).to.equal(13043479n);
+            });
+            it("should pay the scaled bonus on liquidation", async () => {
+              // simulate decrease in WBTC price, HF = 0.95
+              await wbtcFeed.updateAnswer(scaleAmount(23750, 8)); // 1 BTC = 23750$
+
+              const [repayAmount, seizedCollateral, bonus] =
+                await pool.previewLiquidation(
+                  user2.address,
+                  WBTC.target,
+                  WETH.target,
+                  getAmountInWei(5)
+                );
+              // 7% bonus on top of the seized collateral
+              expect(bonus).to.equal(
+                ((seizedCollateral - bonus) * 7000n) / 100000n
+              );
+
+              await mintAndapproveERC20(
+                user3,
+                WETH.target,
+                getAmountInWei(5),
+                pool.target
+              );
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidate(
+                    user2.address,
+                    WBTC.target,
+                    WETH.target,
+                    getAmountInWei(5)
+                  )
+              )
+                .to.emit(pool, "Liquidated")
+                .withArgs(
+                  user2.address,
+                  user3.address,
+                  repayAmount,
+                  seizedCollateral,
+                  bonus
+                );
+            });
+            it("should scale bonus with the vault bonus slope", async () => {
+              // 2% bonus added for each 1% of health factor below 1
+              await pool.connect(owner).setPausedStatus(WBTC.target, true);
+              await pool.connect(owner).setupVault(
+                WBTC.target,
+                wbtcFeed.target,
+                {
+                  ...vaultInfoParams,
+                  liquidationBonus: minBonus,
+                  maxLiquidationBonus: maxBonus,
+                  liquidationBonusSlope: 200000,
+                },
+                false
+              );
+              await pool.connect(owner).setPausedStatus(WBTC.target, false);
+
+              // simulate decrease in WBTC price, HF = 0.989
+              await wbtcFeed.updateAnswer(scaleAmount(22500, 8)); // 1 BTC = 22500$
+              const hf = await pool.healthFactor(user2.address);
+              expect(hf).to.be.lessThan(getAmountInWei(1));
+              expect(
+                await pool.getLiquidationBonus(user2.address, WBTC.target)
+              ).to.equal(
+                minBonus + ((getAmountInWei(1) - hf) * 200000n) / BigInt(1e18)
+              );
+
+              // HF = 0.879, would be a 14.1% bonus with a 1% slope
+              await wbtcFeed.updateAnswer(scaleAmount(20000, 8)); // 1 BTC = 20000$
+              expect(
+                await pool.getLiquidationBonus(user2.address, WBTC.target)
+              ).to.equal(maxBonus);
+            });
+            it("should accrue the debt interest before liquidating", async () => {
+              // simulate increase in WBTC price, HF = 0.92 so the close factor applies
+              await wbtcFeed.updateAnswer(scaleAmount(21000, 8)); // 1 BTC = 21000$
+              await mintAndapproveERC20(
+                user3,
+                WETH.target,
+                getAmountInWei(5),
+                pool.target
+              );
+              // user 2 is the only WETH borrower
+              const storedDebt = (await pool.getTokenVault(WETH.target))
+                .totalBorrow.amount;
+
+              // preview includes the interest pending since the last accrual
+              const [previewRepay] = await pool.previewLiquidation(
+                user2.address,
+                WBTC.target,
+                WETH.target,
+                ethers.MaxUint256
+              );
+              expect(previewRepay).to.be.greaterThan(storedDebt / 2n);
+
+              const tx = await pool
+                .connect(user3)
+                .liquidate(
+                  user2.address,
+                  WBTC.target,
+                  WETH.target,
+                  ethers.MaxUint256
+                );
+              const receipt = await tx.wait(1);
+              const events = receipt.logs
+                .map((log) => pool.interface.parseLog(log))
+                .filter((event) => event);
+              expect(events.map((event) => event.name)).to.include(
+                "AccruedInterest"
+              );
+              // half of the debt, interest accrued in the liquidation block included
+              const liquidated = events.find(
+                (event) => event.name === "Liquidated"
+              );
+              expect(liquidated.args.repaidAmount).to.be.greaterThan(
+                previewRepay
+              );
+              const debt = (await pool.getTokenVault(WETH.target)).totalBorrow
+                .amount;
+              expect(liquidated.args.repaidAmount).to.be.closeTo(debt, 1n);
+            });
+          });
+          describe("warnLiquidation()", () => {
+            const warningDelay = 3600; // 1h
+            const liquidatorDelay = 1800; // 30min
+            const liquidatedAmount = getAmountInWei(10);
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add supported ERC20 tokens, WBTC collateral requires liquidation warnings
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                { ...vaultInfoParams, warningDelay, liquidatorDelay },
+                true
+              );
+
+              // user 1 supplies WETH
+              await mintERC20(user1, WETH.target, getAmountInWei(200));
+              await supply(user1, WETH.target, getAmountInWei(200), pool);
+
+              // user 2 supplies WBTC and borrows WETH
+              const amount = scaleAmount(10, 8);
+              await mintERC20(user2, WBTC.target, amount);
+              await supply(user2, WBTC.target, amount, pool);
+              await pool
+                .connect(user2)
+                .borrow(WETH.target, getAmountInWei(100));
+
+              await mintAndapproveERC20(
+                user1,
+                WETH.target,
+                getAmountInWei(100),
+                pool.target
+              );
+              await mintAndapproveERC20(
+                user3,
+                WETH.target,
+                getAmountInWei(100),
+                pool.target
+              );
+            });
+            it("should revert if warning delays are above max", async () => {
+              const token = await deployERC20Mock("USD coinbase", "USDC", 6);
+              const tokenFeed = await deployAggregatorMock(
+                scaleAmount(1, 8),
+                8
+              );
+              await expect(
+                setupTokenVault(
+                  token.target,
+                  tokenFeed.target,
+                  { ...vaultInfoParams, warningDelay: 2 * 24 * 3600 },
+                  true
+                )
+              ).to.be.revertedWithCustomError(pool, "InvalidLiquidationDelay");
+              await expect(
+                setupTokenVault(
+                  token.target,
+                  tokenFeed.target,
+                  { ...vaultInfoParams, liquidatorDelay: 2 * 24 * 3600 },
+                  true
+                )
+              ).to.be.revertedWithCustomError(pool, "InvalidLiquidationDelay");
+            });
+            it("should revert if borrower is solvent", async () => {
+              await expect(
+                pool.connect(user3).warnLiquidation(user2.address)
+              ).to.be.revertedWithCustomError(pool, "BorrowerIsSolvant");
+            });
+            it("should revert if borrower tries to warn his position", async () => {
+              // simulate decrease in WBTC price
+              await wbtcFeed.updateAnswer(scaleAmount(24000, 8)); // 1 BTC = 24000$
+              expect(await pool.healthFactor(user2.address)).to.be.lessThan(
+                getAmountInWei(1)
+              );
+
+              await expect(
+                pool.connect(user2).warnLiquidation(user2.address)
+              ).to.be.revertedWithCustomError(pool, "SelfLiquidation");
+            });
+            it("should revert liquidation if borrower was not warned", async () => {
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidate(
+                    user2.address,
+                    WBTC.target,
+                    WETH.target,
+                    liquidatedAmount
+                  )
+              ).to.be.revertedWithCustomError(pool, "NoLiquidateWarn");
+            });
+            it("should allow liquidator to warn unsolvent borrower", async () => {
+              await expect(pool.connect(user3).warnLiquidation(user2.address))
+                .to.emit(pool, "LiquidationWarned")
+                .withArgs(user2.address, user3.address, anyValue);
+
+              const warning = await pool.getLiquidationWarning(user2.address);
+              expect(warning.liquidator).to.equal(user3.address);
+              const block = await ethers.provider.getBlock("latest");
+              expect(warning.liquidationTimestamp).to.equal(block.timestamp);
+            });
+            it("should revert if borrower is already warned", async () => {
+              await expect(
+                pool.connect(user1).warnLiquidation(user2.address)
+              ).to.be.revertedWithCustomError(pool, "LiquidationAlreadyWarned");
+            });
+            it("should not clear warning while borrower is unsolvent", async () => {
+              await expect(
+                pool.connect(user2).clearLiquidationWarning(user2.address)
+              ).to.be.revertedWithCustomError(pool, "BelowHeathFactor");
+            });
+            it("should revert liquidation before warning delay has passed", async () => {
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidate(
+                    user2.address,
+                    WBTC.target,
+                    WETH.target,
+                    liquidatedAmount
+                  )
+              ).to.be.revertedWithCustomError(pool, "WarningDelayHasNotPassed");
+            });
+            it("should revert if other liquidator liquidates before liquidator delay has passed", async () => {
+              await moveTime(warningDelay);
+              await wethFeed.updateAnswer(scaleAmount(2000, 8));
+              await wbtcFeed.updateAnswer(scaleAmount(24000, 8));
+
+              await expect(
+                pool
+                  .connect(user1)
+                  .liquidate(
+                    user2.address,
+                    WBTC.target,
+                    WETH.target,
+                    liquidatedAmount
+                  )
+              ).to.be.revertedWithCustomError(
+                pool,
+                "LiquidatorDelayHasNotPassed"
+              );
+            });
+            it("should allow warning liquidator to liquidate during liquidator delay", async () => {
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidate(
+                    user2.address,
+                    WBTC.target,
+                    WETH.target,
+                    liquidatedAmount
+                  )
+              ).to.emit(pool, "Liquidated");
+            });
+            it("should allow anyone to liquidate after liquidator delay", async () => {
+              await moveTime(liquidatorDelay);
+              await wethFeed.updateAnswer(scaleAmount(2000, 8));
+              await wbtcFeed.updateAnswer(scaleAmount(24000, 8));
+
+              await expect(
+                pool
+                  .connect(user1)
+                  .liquidate(
+                    user2.address,
+                    WBTC.target,
+                    WETH.target,
+                    liquidatedAmount
+                  )
+              ).to.emit(pool, "Liquidated");
+            });
+            it("should clear warning once borrower tops up his collateral", async () => {
+              const amount = scaleAmount(5, 8);
+              await mintERC20(user2, WBTC.target, amount);
+              await approveERC20(user2, WBTC.target, amount, pool.target);
+              await expect(pool.connect(user2).supply(WBTC.target, amount, 0))
+                .to.emit(pool, "LiquidationWarningCleared")
+                .withArgs(user2.address);
+              expect(
+                await pool.healthFactor(user2.address)
+              ).to.be.greaterThanOrEqual(getAmountInWei(1));
+              const warning = await pool.getLiquidationWarning(user2.address);
+              expect(warning.liquidator).to.equal(ethers.ZeroAddress);
+            });
+            it("should revert clearing if borrower has no warning", async () => {
+              await expect(
+                pool.connect(user3).clearLiquidationWarning(user2.address)
+              ).to.be.revertedWithCustomError(pool, "NoLiquidateWarn");
+            });
+            it("should not liquidate with a warning issued before borrower was solvent again", async () => {
+              // simulate decrease in WBTC price, borrower is unsolvent again
+              await wbtcFeed.updateAnswer(scaleAmount(15000, 8)); // 1 BTC = 15000$
+              await pool.connect(user3).warnLiquidation(user2.address);
+
+              // borrower tops up his collateral
+              const amount = scaleAmount(1, 8);
+              await mintERC20(user2, WBTC.target, amount);
+              await supply(user2, WBTC.target, amount, pool);
+              expect(
+                await pool.healthFactor(user2.address)
+              ).to.be.greaterThanOrEqual(getAmountInWei(1));
+
+              // borrower is unsolvent again after the warning delays
+              await moveTime(warningDelay + liquidatorDelay);
+              await wethFeed.updateAnswer(scaleAmount(2000, 8));
+              await wbtcFeed.updateAnswer(scaleAmount(14000, 8)); // 1 BTC = 14000$
+              expect(await pool.healthFactor(user2.address)).to.be.lessThan(
+                getAmountInWei(1)
+              );
+
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidate(
+                    user2.address,
+                    WBTC.target,
+                    WETH.target,
+                    liquidatedAmount
+                  )
+              ).to.be.revertedWithCustomError(pool, "NoLiquidateWarn");
+            });
+            it("should allow to clear warning once borrower is solvent", async () => {
+              await pool.connect(user3).warnLiquidation(user2.address);
+
+              // simulate increase in WBTC price
+              await wbtcFeed.updateAnswer(scaleAmount(16000, 8)); // 1 BTC = 16000$
+              expect(
+                await pool.healthFactor(user2.address)
+              ).to.be.greaterThanOrEqual(getAmountInWei(1));
+
+              await expect(
+                pool.connect(user3).clearLiquidationWarning(user2.address)
+              )
+                .to.emit(pool, "LiquidationWarningCleared")
+                .withArgs(user2.address);
+              const warning = await pool.getLiquidationWarning(user2.address);
+              expect(warning.liquidator).to.equal(ethers.ZeroAddress);
+            });
+            it("should expire warning after liquidation delays and validity window", async () => {
+              // simulate decrease in WBTC price, borrower is unsolvent again
+              await wbtcFeed.updateAnswer(scaleAmount(14000, 8)); // 1 BTC = 14000$
+              await pool.connect(user3).warnLiquidation(user2.address);
+              const warning = await pool.getLiquidationWarning(user2.address);
+              // one day after the WBTC vault warning and liquidator delays
+              expect(warning.expirationTimestamp).to.equal(
+                warning.liquidationTimestamp +
+                  BigInt(warningDelay + liquidatorDelay + 24 * 3600)
+              );
+
+              // borrower is solvent again without clearing the warning
+              await wbtcFeed.updateAnswer(scaleAmount(16000, 8)); // 1 BTC = 16000$
+              expect(
+                await pool.healthFactor(user2.address)
+              ).to.be.greaterThanOrEqual(getAmountInWei(1));
+
+              // borrower is unsolvent again 10 days later
+              await moveTime(10 * 24 * 3600);
+              await wethFeed.updateAnswer(scaleAmount(2000, 8));
+              await wbtcFeed.updateAnswer(scaleAmount(14000, 8)); // 1 BTC = 14000$
+              expect(await pool.healthFactor(user2.address)).to.be.lessThan(
+                getAmountInWei(1)
+              );
+
+              await expect(
+                pool
+                  .connect(user1)
+                  .liquidate(
+                    user2.address,
+                    WBTC.target,
+                    WETH.target,
+                    liquidatedAmount
+                  )
+              ).to.be.revertedWithCustomError(
+                pool,
+                "LiquidationWarningExpired"
+              );
+            });
+            it("should allow to replace an expired warning", async () => {
+              await expect(pool.connect(user1).warnLiquidation(user2.address))
+                .to.emit(pool, "LiquidationWarned")
+                .withArgs(user2.address, user1.address, anyValue);
+              const warning = await pool.getLiquidationWarning(user2.address);
+              expect(warning.liquidator).to.equal(user1.address);
+
+              // a new grace window starts
+              await expect(
+                pool
+                  .connect(user1)
+                  .liquidate(
+                    user2.address,
+                    WBTC.target,
+                    WETH.target,
+                    liquidatedAmount
+                  )
+              ).to.be.revertedWithCustomError(pool, "WarningDelayHasNotPassed");
+            });
+          });
+          describe("settleBadDebt()", () => {
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+
+              // user 1 supplies DAI
+              await mintERC20(user1, DAI.target, getAmountInWei(10000));
+              await supply(user1, DAI.target, getAmountInWei(10000), pool);
+
+              // user 2 supplies 1 WETH and borrows DAI
+              await mintERC20(user2, WETH.target, getAmountInWei(1));
+              await supply(user2, WETH.target, getAmountInWei(1), pool);
+              await pool
+                .connect(user2)
+                .borrow(DAI.target, getAmountInWei(1400));
+
+              // accrue some protocol fees
+              await moveTime(3600);
+              await pool.accrueInterest(DAI.target);
+            });
+            it("should revert if borrower is solvent", async () => {
+              await expect(
+                pool.connect(user3).settleBadDebt(user2.address)
+              ).to.be.revertedWithCustomError(pool, "BorrowerIsSolvant");
+            });
+            it("should revert if account has no debt", async () => {
+              await expect(
+                pool.connect(user3).settleBadDebt(user3.address)
+              ).to.be.revertedWithCustomError(pool, "BorrowerIsSolvant");
+            });
+            it("should revert if borrower still has collateral", async () => {
+              // simulate WETH price crash, collateral worth less than the debt
+              await daiFeed.updateAnswer(scaleAmount(1, 8));
+              await wethFeed.updateAnswer(scaleAmount(1000, 8)); // 1 ETH = 1000$
+              expect(await pool.healthFactor(user2.address)).to.be.lessThan(
+                getAmountInWei(1)
+              );
+
+              await expect(pool.connect(user3).settleBadDebt(user2.address))
+                .to.be.revertedWithCustomError(pool, "AccountHasCollateral")
+                .withArgs(WETH.target);
+            });
+            it("should write off remaining debt once collateral is exhausted", async () => {
+              // seize all the borrower collateral
+              const liquidatedAmount = getAmountInWei(1000);
+              await mintAndapproveERC20(
+                user3,
+                DAI.target,
+                liquidatedAmount,
+                pool.target
+              );
+              await pool
+                .connect(user3)
+                .liquidate(
+                  user2.address,
+                  WETH.target,
+                  DAI.target,
+                  liquidatedAmount
+                );
+              const [collateralShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  WETH.target
+                );
+              expect(collateralShares).to.equal(0);
+              const [, remainingBorrowShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  DAI.target
+                );
+              expect(remainingBorrowShares).to.be.greaterThan(0);
+              const [feeShares] = await pool.getUserTokenCollateralAndBorrow(
+                pool.target,
+                DAI.target
+              );
+              expect(feeShares).to.be.greaterThan(0);
+
+              const tx = await pool.connect(user3).settleBadDebt(user2.address);
+              const receipt = await tx.wait(1);
+              const event = receipt.logs
+                .map((log) => pool.interface.parseLog(log))
+                .find((e) => e && e.name === "BadDebtSettled");
+              const [
+                borrower,
+                token,
+                debtAmount,
+                debtShares,
+                coveredByProtocol,
+                socializedLoss,
+              ] = event.args;
+
+              expect(borrower).to.equal(user2.address);
+              expect(token).to.equal(DAI.target);
+              expect(debtShares).to.equal(remainingBorrowShares);
+              expect(coveredByProtocol).to.be.greaterThan(0);
+              expect(coveredByProtocol + socializedLoss).to.equal(debtAmount);
+              // the seized collateral includes the 5% bonus: 1400 - 1000 / 1.05
+              expect(round(getAmountFromWei(debtAmount))).to.equal(447.6);
+            });
+            it("should absorb the loss with protocol fees then vault assets", async () => {
+              const [, borrowShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  DAI.target
+                );
+              expect(borrowShares).to.equal(0);
+              // protocol fee shares were burned first
+              const [feeShares] = await pool.getUserTokenCollateralAndBorrow(
+                pool.target,
+                DAI.target
+              );
+              expect(feeShares).to.equal(0);
+
+              const vault = await pool.getTokenVault(DAI.target);
+              expect(vault.totalBorrow.amount).to.equal(0);
+              expect(vault.totalBorrow.shares).to.equal(0);
+              // without any borrow left, the vault assets match its balance
+              expect(vault.totalAsset.amount).to.equal(
+                await DAI.balanceOf(pool.target)
+              );
+              const [supplierShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user1.address,
+                  DAI.target
+                );
+              expect(supplierShares).to.equal(vault.totalAsset.shares);
+            });
+          });
+          describe("settleBadDebt() collateral dust", () => {
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+
+              // user 1 supplies DAI
+              await mintERC20(user1, DAI.target, getAmountInWei(10000));
+              await supply(user1, DAI.target, getAmountInWei(10000), pool);
+
+              // user 2 and random user supply 1 WETH and borrow DAI
+              for (const borrower of [user2, randomUser]) {
+                await mintERC20(borrower, WETH.target, getAmountInWei(1));
+                await supply(borrower, WETH.target, getAmountInWei(1), pool);
+                await pool
+                  .connect(borrower)
+                  .borrow(DAI.target, getAmountInWei(1400));
+              }
+
+              // simulate WETH price crash, collateral worth less than the debt
+              await wethFeed.updateAnswer(scaleAmount(1000, 8)); // 1 ETH = 1000$
+              await mintAndapproveERC20(
+                user3,
+                DAI.target,
+                getAmountInWei(2000),
+                pool.target
+              );
+            });
+            it("only owner should be allowed to set the collateral dust value", async () => {
+              expect(await pool.badDebtCollateralDust()).to.equal(
+                getAmountInWei(1)
+              );
+              await expect(
+                pool
+                  .connect(randomUser)
+                  .setBadDebtCollateralDust(getAmountInWei(0.5))
+              ).to.be.revertedWith("Ownable: caller is not the owner");
+              await expect(
+                pool
+                  .connect(owner)
+                  .setBadDebtCollateralDust(getAmountInWei(101))
+              )
+                .to.be.revertedWithCustomError(
+                  pool,
+                  "InvalidBadDebtCollateralDust"
+                )
+                .withArgs(getAmountInWei(101));
+
+              await expect(
+                pool
+                  .connect(owner)
+                  .setBadDebtCollateralDust(getAmountInWei(0.5))
+              )
+                .to.emit(pool, "BadDebtCollateralDustUpdated")
+                .withArgs(getAmountInWei(0.5));
+              expect(await pool.badDebtCollateralDust()).to.equal(
+                getAmountInWei(0.5)
+              );
+            });
+            it("should credit collateral dust left by liquidation to the protocol", async () => {
+              // seize 0.999075 WETH, leaving 0.000925 WETH = 0.925$
+              await pool
+                .connect(user3)
+                .liquidate(
+                  user2.address,
+                  WETH.target,
+                  DAI.target,
+                  getAmountInWei(951.5)
+                );
+              const dustShares = await userCollateral(user2, WETH);
+              expect(dustShares).to.be.greaterThan(0);
+
+              // the dust is above the 0.5$ limit
+              await expect(pool.connect(user3).settleBadDebt(user2.address))
+                .to.be.revertedWithCustomError(pool, "AccountHasCollateral")
+                .withArgs(WETH.target);
+              await pool
+                .connect(owner)
+                .setBadDebtCollateralDust(getAmountInWei(1));
+
+              const vaultBefore = await pool.getTokenVault(WETH.target);
+              const [feeSharesBefore] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  pool.target,
+                  WETH.target
+                );
+              await expect(
+                pool.connect(user3).settleBadDebt(user2.address)
+              ).to.emit(pool, "BadDebtSettled");
+
+              // the dust tokens stay in the vault, owned by the protocol
+              expect(await userCollateral(user2, WETH)).to.equal(0);
+              const [feeShares] = await pool.getUserTokenCollateralAndBorrow(
+                pool.target,
+                WETH.target
+              );
+              expect(feeShares).to.equal(feeSharesBefore + dustShares);
+              const vaultAfter = await pool.getTokenVault(WETH.target);
+              expect(vaultAfter.totalAsset.shares).to.equal(
+                vaultBefore.totalAsset.shares
+              );
+              expect(vaultAfter.totalAsset.amount).to.equal(
+                vaultBefore.totalAsset.amount
+              );
+              const [, borrowShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  DAI.target
+                );
+              expect(borrowShares).to.equal(0);
+            });
+            it("should not block settlement with collateral supplied on behalf of the borrower", async () => {
+              // seize all random user collateral
+              await pool
+                .connect(user3)
+                .liquidate(
+                  randomUser.address,
+                  WETH.target,
+                  DAI.target,
+                  ethers.MaxUint256
+                );
+              expect(await userCollateral(randomUser, WETH)).to.equal(0);
+
+              // anyone can supply on behalf of the borrower
+              await mintAndapproveERC20(user1, WETH.target, 1, pool.target);
+              await pool
+                .connect(user1)
+                .supplyOnBehalfOf(randomUser.address, WETH.target, 1, 0);
+              expect(await userCollateral(randomUser, WETH)).to.equal(1);
+
+              await expect(
+                pool.connect(user3).settleBadDebt(randomUser.address)
+              ).to.emit(pool, "BadDebtSettled");
+              expect(await userCollateral(randomUser, WETH)).to.equal(0);
+            });
+          });
+          describe("setVaultCaps()", () => {
+            const supplyCap = getAmountInWei(50); // 50 ETH
+            const borrowCap = getAmountInWei(10); // 10 ETH
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                vaultInfoParams,
+                true
+              );
+
+              // user2 supplies WBTC
+              const amount = scaleAmount(10, 8); // 10 WBTC
+              await mintERC20(user2, WBTC.target, amount);
+              await supply(user2, WBTC.target, amount, pool);
+            });
+            it("should have no caps by default", async () => {
+              const [supplyHeadroom, borrowHeadroom] =
+                await pool.getVaultCapsHeadroom(WETH.target);
+              expect(supplyHeadroom).to.equal(ethers.MaxUint256);
+              expect(borrowHeadroom).to.equal(ethers.MaxUint256);
+            });
+            it("only owner should be allowed to set vault caps", async () => {
+              await expect(
+                pool
+                  .connect(randomUser)
+                  .setVaultCaps(WETH.target, supplyCap, borrowCap)
+              ).to.be.revertedWith("Ownable: caller is not the owner");
+              const token = await deployERC20Mock("USDT", "USDT", 6);
+              await expect(
+                pool.connect(owner).setVaultCaps(token.target, 1, 1)
+              ).to.be.revertedWithCustomError(pool, "TokenNotSupported");
+
+              await expect(
+                pool
+                  .connect(owner)
+                  .setVaultCaps(WETH.target, supplyCap, borrowCap)
+              )
+                .to.emit(pool, "VaultCapsUpdated")
+                .withArgs(WETH.target, supplyCap, borrowCap);
+              const vault = await pool.getTokenVault(WETH.target);
+              expect(vault.supplyCap).to.equal(supplyCap);
+              expect(vault.borrowCap).to.equal(borrowCap);
+            });
+            it("should revert if supply cap is exceeded", async () => {
+              await mintERC20(user1, WETH.target, getAmountInWei(60));
+              await supply(user1, WETH.target, getAmountInWei(40), pool);
+
+              const [supplyHeadroom] = await pool.getVaultCapsHeadroom(
+                WETH.target
+              );
+              expect(supplyHeadroom).to.equal(getAmountInWei(10));
+
+              await approveERC20(
+                user1,
+                WETH.target,
+                getAmountInWei(20),
+                pool.target
+              );
+              await expect(
+                pool.connect(user1).supply(WETH.target, getAmountInWei(20), 0)
+              )
+                .to.be.revertedWithCustomError(pool, "SupplyCapExceeded")
+                .withArgs(supplyCap);
+            });
+            it("should revert if borrow cap is exceeded", async () => {
+              await pool.connect(user2).borrow(WETH.target, getAmountInWei(8));
+              const [, borrowHeadroom] = await pool.getVaultCapsHeadroom(
+                WETH.target
+              );
+              expect(borrowHeadroom).to.equal(getAmountInWei(2));
+
+              await expect(
+                pool.connect(user2).borrow(WETH.target, getAmountInWei(3))
+              )
+                .to.be.revertedWithCustomError(pool, "BorrowCapExceeded")
+                .withArgs(borrowCap);
+            });
+            it("should check caps after interest accrual", async () => {
+              // virtually mine some blocks
+              await hre.network.provider.send("hardhat_mine", ["0x4e20"]);
+              await wethFeed.updateAnswer(scaleAmount(2000, 8));
+              await wbtcFeed.updateAnswer(scaleAmount(30000, 8));
+
+              // headroom includes the interest pending since the last accrual
+              const [supplyHeadroom, borrowHeadroom] =
+                await pool.getVaultCapsHeadroom(WETH.target);
+              expect(borrowHeadroom).to.be.lt(getAmountInWei(2));
+              expect(supplyHeadroom).to.be.lt(getAmountInWei(10));
+
+              await pool.accrueInterest(WETH.target);
+              const vault = await pool.getTokenVault(WETH.target);
+              const [accruedSupplyHeadroom, accruedBorrowHeadroom] =
+                await pool.getVaultCapsHeadroom(WETH.target);
+              expect(accruedBorrowHeadroom).to.equal(
+                borrowCap - vault.totalBorrow.amount
+              );
+              expect(accruedSupplyHeadroom).to.equal(
+                supplyCap - vault.totalAsset.amount
+              );
+              await expect(
+                pool.connect(user2).borrow(WETH.target, accruedBorrowHeadroom)
+              ).to.be.revertedWithCustomError(pool, "BorrowCapExceeded");
+            });
+            it("should allow supply and borrow once caps are removed", async () => {
+              await pool.connect(owner).setVaultCaps(WETH.target, 0, 0);
+              await expect(
+                pool.connect(user1).supply(WETH.target, getAmountInWei(20), 0)
+              ).to.emit(pool, "Deposit");
+              await expect(
+                pool.connect(user2).borrow(WETH.target, getAmountInWei(3))
+              ).to.emit(pool, "Borrow");
+            });
+          });
+          describe("flashLoan()", () => {
+            let borrower;
+            const suppliedAmount = getAmountInWei(100); // 100 ETH
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // add supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+
+              // Deploy flash loan borrower mock
+              borrower = await ethers.deployContract("FlashBorrowerMock", [
+                pool.target,
+              ]);
+              await borrower.waitForDeployment();
+            });
+            it("should revert if pool is paused", async () => {
+              await expect(
+                borrower.flashBorrow(WETH.target, getAmountInWei(1))
+              ).to.be.revertedWithCustomError(pool, "isPaused");
+            });
+            it("should revert if ERC20 token is not supported", async () => {
+              // unpause lending pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              await expect(
+                borrower.flashBorrow(WBTC.target, scaleAmount(1, 8))
+              ).to.be.revertedWithCustomError(pool, "TokenNotSupported");
+              await expect(
+                pool.flashFee(WBTC.target, scaleAmount(1, 8))
+              ).to.be.revertedWithCustomError(pool, "TokenNotSupported");
+              expect(await pool.maxFlashLoan(WBTC.target)).to.equal(0);
+            });
+            it("should return pool balance as max flash loan", async () => {
+              expect(await pool.maxFlashLoan(WETH.target)).to.equal(0);
+
+              // user1 supplies WETH
+              await mintERC20(user1, WETH.target, suppliedAmount);
+              await supply(user1, WETH.target, suppliedAmount, pool);
+
+              expect(await pool.maxFlashLoan(WETH.target)).to.equal(
+                suppliedAmount
+              );
+            });
+            it("should return correct flash loan fee", async () => {
+              const amount = getAmountInWei(10);
+              const expectedFee =
+                (amount * BigInt(vaultInfoParams.flashFeeRate)) / 100000n;
+              expect(await pool.flashFee(WETH.target, amount)).to.equal(
+                expectedFee
+              );
+            });
+            it("should revert if amount is above max flash loan", async () => {
+              await expect(
+                borrower.flashBorrow(WETH.target, suppliedAmount + 1n)
+              ).to.be.revertedWithCustomError(pool, "InsufficientBalance");
+            });
+            it("should revert if borrower callback returns wrong value", async () => {
+              await borrower.setAction(2); // WRONG_RETURN
+              await expect(
+                borrower.flashBorrow(WETH.target, getAmountInWei(10))
+              ).to.be.revertedWithCustomError(pool, "FlashLoanCallbackFailed");
+            });
+            it("should revert if borrower does not repay loan and fee", async () => {
+              await borrower.setAction(1); // NO_REPAY
+              await expect(
+                borrower.flashBorrow(WETH.target, getAmountInWei(10))
+              ).to.be.reverted;
+
+              // borrower approves repayment but can't pay the fee
+              await borrower.setAction(0); // REPAY
+              await expect(
+                borrower.flashBorrow(WETH.target, getAmountInWei(10))
+              ).to.be.reverted;
+            });
+            let fee, beforeVault;
+            it("should allow borrower to take flash loan and repay it with fee", async () => {
+              const amount = getAmountInWei(50);
+              fee = await pool.flashFee(WETH.target, amount);
+              // borrower needs to own the fee amount
+              await WETH.mint(borrower.target, fee);
+              beforeVault = await pool.getTokenVault(WETH.target);
+
+              await expect(borrower.flashBorrow(WETH.target, amount))
+                .to.emit(pool, "FlashLoan")
+                .withArgs(
+                  borrower.target,
+                  borrower.target,
+                  WETH.target,
+                  amount,
+                  fee
+                );
+              expect(await borrower.lastAmount()).to.equal(amount);
+              expect(await borrower.lastFee()).to.equal(fee);
+              expect(await borrower.lastBalance()).to.equal(amount + fee);
+              expect(await WETH.balanceOf(borrower.target)).to.equal(0);
+              expect(await WETH.balanceOf(pool.target)).to.equal(
+                suppliedAmount + fee
+              );
+            });
+            it("should credit the fee to the vault assets", async () => {
+              const vault = await pool.getTokenVault(WETH.target);
+              expect(vault.totalAsset.amount).to.equal(
+                beforeVault.totalAsset.amount + fee
+              );
+            });
+            it("should accrue protocol fee shares to the pool", async () => {
+              const vault = await pool.getTokenVault(WETH.target);
+              const protocolFee =
+                (fee * BigInt(vaultInfoParams.feeToProtocolRate)) / 100000n;
+              const expectedShares =
+                (protocolFee * beforeVault.totalAsset.shares) /
+                (beforeVault.totalAsset.amount + fee - protocolFee);
+              const protocolShares = (
+                await pool.getUserTokenCollateralAndBorrow(
+                  pool.target,
+                  WETH.target
+                )
+              )[0];
+              expect(protocolShares).to.equal(expectedShares);
+              expect(vault.totalAsset.shares).to.equal(
+                beforeVault.totalAsset.shares + expectedShares
+              );
+            });
+            it("should revert if token vault is paused", async () => {
+              // pause ETH vault
+              await pool.connect(owner).setPausedStatus(WETH.target, true);
+              expect(await pool.maxFlashLoan(WETH.target)).to.equal(0);
+              await expect(
+                borrower.flashBorrow(WETH.target, getAmountInWei(1))
+              ).to.be.revertedWithCustomError(pool, "isPaused");
+            });
+          });
+          describe("sequencer uptime", () => {
+            let sequencerFeed;
+            const gracePeriod = 3600; // 1h
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+
+              // sequencer is up, answer == 0
+              sequencerFeed = await deployAggregatorMock(0, 0);
+              await pool.connect(owner).setSequencerConfig({
+                uptimeFeed: sequencerFeed.target,
+                gracePeriod: gracePeriod,
+                allowLiquidationsDuringGracePeriod: false,
+              });
+              await moveTime(gracePeriod + 1);
+              await daiFeed.updateAnswer(scaleAmount(1, 8));
+              await wethFeed.updateAnswer(scaleAmount(2000, 8));
+
+              // user 1 supplies DAI
+              await mintERC20(user1, DAI.target, getAmountInWei(10000));
+              await supply(user1, DAI.target, getAmountInWei(10000), pool);
+
+              // user 2 supplies 1 WETH
+              await mintERC20(user2, WETH.target, getAmountInWei(1));
+              await supply(user2, WETH.target, getAmountInWei(1), pool);
+            });
+            it("should allow borrowing once grace period has passed", async () => {
+              await expect(
+                pool.connect(user2).borrow(DAI.target, getAmountInWei(1000))
+              ).to.emit(pool, "Borrow");
+            });
+            it("should revert borrow and withdraw while sequencer is down", async () => {
+              await sequencerFeed.updateAnswer(1);
+              await expect(
+                pool.connect(user2).borrow(DAI.target, getAmountInWei(100))
+              ).to.be.revertedWithCustomError(pool, "SequencerDown");
+              await expect(
+                pool
+                  .connect(user1)
+                  .withdraw(
+                    DAI.target,
+                    getAmountInWei(100),
+                    getAmountInWei(100)
+                  )
+              ).to.be.revertedWithCustomError(pool, "SequencerDown");
+            });
+            it("should revert borrow and withdraw during grace period", async () => {
+              // sequencer restarts
+              await sequencerFeed.updateAnswer(0);
+              await expect(
+                pool.connect(user2).borrow(DAI.target, getAmountInWei(100))
+              ).to.be.revertedWithCustomError(
+                pool,
+                "SequencerGracePeriodNotOver"
+              );
+              await expect(
+                pool.connect(user1).redeem(DAI.target, getAmountInWei(100), 0)
+              ).to.be.revertedWithCustomError(
+                pool,
+                "SequencerGracePeriodNotOver"
+              );
+            });
+            it("should allow supply and repay during grace period", async () => {
+              await mintERC20(user1, DAI.target, getAmountInWei(100));
+              await expect(supply(user1, DAI.target, getAmountInWei(100), pool))
+                .to.not.be.reverted;
+
+              await approveERC20(
+                user2,
+                DAI.target,
+                getAmountInWei(100),
+                pool.target
+              );
+              await expect(
+                pool.connect(user2).repay(DAI.target, getAmountInWei(100))
+              ).to.emit(pool, "Repay");
+            });
+            it("should revert liquidation during grace period by default", async () => {
+              // simulate WETH price drop, HF below 1
+              await wethFeed.updateAnswer(scaleAmount(1000, 8));
+              await mintAndapproveERC20(
+                user3,
+                DAI.target,
+                getAmountInWei(450),
+                pool.target
+              );
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidate(
+                    user2.address,
+                    WETH.target,
+                    DAI.target,
+                    getAmountInWei(450)
+                  )
+              ).to.be.revertedWithCustomError(
+                pool,
+                "SequencerGracePeriodNotOver"
+              );
+              await expect(
+                pool.connect(user3).warnLiquidation(user2.address)
+              ).to.be.revertedWithCustomError(
+                pool,
+                "SequencerGracePeriodNotOver"
+              );
+            });
+            it("should allow liquidation during grace period if configured", async () => {
+              await pool.connect(owner).setSequencerConfig({
+                uptimeFeed: sequencerFeed.target,
+                gracePeriod: gracePeriod,
+                allowLiquidationsDuringGracePeriod: true,
+              });
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidate(
+                    user2.address,
+                    WETH.target,
+                    DAI.target,
+                    getAmountInWei(450)
+                  )
+              ).to.emit(pool, "Liquidated");
+            });
+            it("should allow withdraw after grace period", async () => {
+              await moveTime(gracePeriod + 1);
+              await daiFeed.updateAnswer(scaleAmount(1, 8));
+              await wethFeed.updateAnswer(scaleAmount(1000, 8));
+              await expect(
+                pool
+                  .connect(user1)
+                  .withdraw(
+                    DAI.target,
+                    getAmountInWei(100),
+                    getAmountInWei(100)
+                  )
+              ).to.emit(pool, "Withdraw");
+            });
+          });
+          describe("accrueInterest()", () => {
+            const year = 365 * 24 * 3600;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+
+              // user 1 supplies DAI
+              await mintERC20(user1, DAI.target, getAmountInWei(10000));
+              await supply(user1, DAI.target, getAmountInWei(10000), pool);
+
+              // user 2 supplies WETH and borrows 50% of the DAI vault
+              await mintERC20(user2, WETH.target, getAmountInWei(10));
+              await supply(user2, WETH.target, getAmountInWei(10), pool);
+              await pool
+                .connect(user2)
+                .borrow(DAI.target, getAmountInWei(5000));
+            });
+            async function accrue() {
+              const vault = await pool.getTokenVault(DAI.target);
+              const tx = await pool.accrueInterest(DAI.target);
+              const receipt = await tx.wait(1);
+              const events = receipt.logs.map((log) =>
+                pool.interface.parseLog(log)
+              );
+              const [elapsedTime, ratePerSec] = events.find(
+                (e) => e && e.name === "UpdateInterestRate"
+              ).args;
+              const [, interestEarned] = events.find(
+                (e) => e && e.name === "AccruedInterest"
+              ).args;
+              const block = await ethers.provider.getBlock(receipt.blockNumber);
+              return { vault, elapsedTime, ratePerSec, interestEarned, block };
+            }
+            // off-chain reference: interest compounded continuously
+            function referenceInterest(borrowed, ratePerSec, elapsedTime) {
+              const rate = Number(ratePerSec) / 1e18;
+              return Number(borrowed) * Math.expm1(rate * Number(elapsedTime));
+            }
+            it("should use a per second rate from the vault utilization", async () => {
+              await moveTime(year);
+              const { vault, elapsedTime, ratePerSec, block } = await accrue();
+
+              const utilization =
+                (vault.totalBorrow.amount * getAmountInWei(1)) /
+                vault.totalAsset.amount;
+              const ratePerYear =
+                (utilization * BigInt(kinkStrategyParams.slope1)) /
+                BigInt(kinkStrategyParams.optimalUtilization);
+              expect(ratePerSec).to.equal(ratePerYear / BigInt(year));
+              expect(elapsedTime).to.equal(
+                BigInt(block.timestamp) - vault.vaultInfo.lastTimestamp
+              );
+            });
+            it("should accrue compound interest over one year", async () => {
+              await moveTime(year);
+              const { vault, elapsedTime, ratePerSec, interestEarned } =
+                await accrue();
+
+              const expected = referenceInterest(
+                vault.totalBorrow.amount,
+                ratePerSec,
+                elapsedTime
+              );
+              expect(
+                Math.abs(Number(interestEarned) - expected) / expected
+              ).to.be.lessThan(1e-6);
+              // more than simple interest
+              const simpleInterest =
+                (vault.totalBorrow.amount * ratePerSec * elapsedTime) /
+                getAmountInWei(1);
+              expect(interestEarned).to.be.greaterThan(simpleInterest);
+            });
+            it("should stay close to the reference over ten years", async () => {
+              await moveTime(10 * year);
+              const { vault, elapsedTime, ratePerSec, interestEarned } =
+                await accrue();
+
+              const expected = referenceInterest(
+                vault.totalBorrow.amount,
+                ratePerSec,
+                elapsedTime
+              );
+              // the approximation slightly underestimates the interest
+              expect(Number(interestEarned)).to.be.lessThanOrEqual(expected);
+              expect(
+                (expected - Number(interestEarned)) / expected
+              ).to.be.lessThan(1e-3);
+            });
+            it("should not depend on the number of mined blocks", async () => {
+              // mine 1000 blocks, 1 hour apart
+              await network.provider.send("hardhat_mine", ["0x3e8", "0xe10"]);
+              const { vault, elapsedTime, ratePerSec, interestEarned, block } =
+                await accrue();
+
+              expect(elapsedTime).to.equal(
+                BigInt(block.timestamp) - vault.vaultInfo.lastTimestamp
+              );
+              const expected = referenceInterest(
+                vault.totalBorrow.amount,
+                ratePerSec,
+                elapsedTime
+              );
+              expect(
+                Math.abs(Number(interestEarned) - expected) / expected
+              ).to.be.lessThan(1e-6);
+            });
+          });
+        });
+        
+        describe("Getters functions", () => {
+          describe("getUserData()", () => {
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                vaultInfoParams,
+                true
+              );
+
+              // user1 supplies WETH
+              await mintERC20(user1, WETH.target, getAmountInWei(40)); // 40 ETH
+              await supply(user1, WETH.target, getAmountInWei(40), pool);
+
+              // user2 supplies token2
+              const amount = scaleAmount(10, 8); // 10 WBTC
+              await mintERC20(user2, WBTC.target, amount);
+              await supply(user2, WBTC.target, amount, pool);
+
+              // user2 borrows WETH
+              await pool.connect(user2).borrow(WETH.target, getAmountInWei(20));
+
+              // virtually mine some blocks
+              await hre.network.provider.send("hardhat_mine", ["0xa"]);
+              await pool.connect(user1).accrueInterest(WETH.target);
+            });
+            it("should return correct total collateral and borrow value in USD", async () => {
+              // test user2 data
+              const [
+                totalTokenCollateralValue,
+                totalBorrowValue,
+              ] = await pool.getUserData(user2.address);
+
+              // user2 has only wBTC as collateral
+              const [user2BTCCollShares, user2BTCBorrowShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  WBTC.target
+                );
+              const user2CollValue = await pool.getAmountInUSD(
+                WBTC.target,
+                user2BTCCollShares
+              );
+              expect(user2BTCBorrowShares).to.be.equal(0);
+
+              // user2 has only borrowed ETH
+              const [user2ETHCollShares, user2ETHBorrowShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  WETH.target
+                );
+              const user2BorrowedValue = await pool.getAmountInUSD(
+                WETH.target,
+                user2ETHBorrowShares
+              );
+              expect(user2ETHCollShares).to.be.equal(0);
+
+              expect(totalTokenCollateralValue).to.be.equal(user2CollValue);
+              // account for interest accrued
+              expect(totalBorrowValue).to.be.greaterThanOrEqual(
+                user2BorrowedValue
+              );
+            });
+          });
+          describe("healthFactor()", () => {
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+              // WBTC collateral is riskier than DAI
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                {
+                  ...vaultInfoParams,
+                  maxLTV: 65000,
+                  liquidationThreshold: 70000,
+                },
+                true
+              );
+
+              // user1 supplies WETH
+              await mintERC20(user1, WETH.target, getAmountInWei(40)); // 40 ETH
+              await supply(user1, WETH.target, getAmountInWei(40), pool);
+
+              // user2 supplies token2
+              const amount = scaleAmount(10, 8); // 10 WBTC
+              await mintERC20(user2, WBTC.target, amount);
+              await supply(user2, WBTC.target, amount, pool);
+              // user2 supplies DAI
+              await mintERC20(user2, DAI.target, getAmountInWei(10000));
+              await supply(user2, DAI.target, getAmountInWei(10000), pool);
+
+              // user2 borrows WETH
+              await pool.connect(user2).borrow(WETH.target, getAmountInWei(20));
+
+              // virtually mine some blocks
+              await hre.network.provider.send("hardhat_mine", ["0xa"]);
+              await pool.connect(user1).accrueInterest(WETH.target);
+            });
+            it("should calculate correct health factor for user", async () => {
+              // test user2 health factor
+              const [btcShares] = await pool.getUserTokenCollateralAndBorrow(
+                user2.address,
+                WBTC.target
+              );
+              const [daiShares] = await pool.getUserTokenCollateralAndBorrow(
+                user2.address,
+                DAI.target
+              );
+              // each collateral is weighted by its vault liquidation threshold
+              const btcValue = await pool.getAmountInUSD(
+                WBTC.target,
+                await pool.sharesToAmount(WBTC.target, btcShares, true)
+              );
+              const daiValue = await pool.getAmountInUSD(
+                DAI.target,
+                await pool.sharesToAmount(DAI.target, daiShares, true)
+              );
+              const weightedCollateral =
+                (btcValue * 70000n) / 100000n + (daiValue * 80000n) / 100000n;
+              expect(
+                await pool.getUserLiquidationCollateral(user2.address)
+              ).to.be.equal(weightedCollateral);
+
+              const totalBorrowValue = await pool.getUserTotalBorrow(
+                user2.address
+              );
+              const expectedHeathFactor =
+                (weightedCollateral * getAmountInWei(1)) / totalBorrowValue;
+              let hf = await pool.healthFactor(user2.address);
+              expect(hf).to.be.equal(expectedHeathFactor);
+
+              // user1 has no borrow so HF = 100*1e18
+              hf = await pool.healthFactor(user1.address);
+              expect(hf).to.be.equal(getAmountInWei(100));
+            });
+          });
+          describe("availableBorrowsUSD()", () => {
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                vaultInfoParams,
+                true
+              );
+
+              // user1 supplies WETH
+              await mintERC20(user1, WETH.target, getAmountInWei(200)); // 200 ETH
+              await supply(user1, WETH.target, getAmountInWei(200), pool);
+
+              // user2 supplies 10 WBTC = 300000$
+              const amount = scaleAmount(10, 8);
+              await mintERC20(user2, WBTC.target, amount);
+              await supply(user2, WBTC.target, amount, pool);
+            });
+            it("should return collateral value weighted by max LTV", async () => {
+              const collateralValue = await pool.getUserTotalTokenCollateral(
+                user2.address
+              );
+              const borrowingPower = (collateralValue * 75000n) / 100000n;
+              expect(
+                await pool.getUserBorrowingPower(user2.address)
+              ).to.be.equal(borrowingPower);
+              expect(await pool.availableBorrowsUSD(user2.address)).to.be.equal(
+                borrowingPower
+              );
+            });
+            it("should decrease available borrows with user debt", async () => {
+              // user2 borrows 50 ETH = 100000$
+              await pool.connect(user2).borrow(WETH.target, getAmountInWei(50));
+
+              const borrowingPower = await pool.getUserBorrowingPower(
+                user2.address
+              );
+              const totalBorrow = await pool.getUserTotalBorrow(user2.address);
+              expect(await pool.availableBorrowsUSD(user2.address)).to.be.equal(
+                borrowingPower - totalBorrow
+              );
+            });
+            it("should revert borrow above max LTV even if health factor stays above 1", async () => {
+              // 113 ETH debt = 226000$ is above 75% LTV but below 80% liquidation threshold
+              await expect(
+                pool.connect(user2).borrow(WETH.target, getAmountInWei(63))
+              ).to.be.revertedWithCustomError(
+                pool,
+                "InsufficientBorrowingPower"
+              );
+            });
+            it("should allow borrow up to max LTV and keep position healthy", async () => {
+              await pool.connect(user2).borrow(WETH.target, getAmountInWei(62));
+              expect(
+                await pool.availableBorrowsUSD(user2.address)
+              ).to.be.lessThan(getAmountInWei(1000));
+              expect(await pool.healthFactor(user2.address)).to.be.greaterThan(
+                getAmountInWei(1)
+              );
+            });
+            it("should return zero when debt is above borrowing power", async () => {
+              // simulate decrease in WBTC price
+              await wbtcFeed.updateAnswer(scaleAmount(29000, 8));
+              expect(await pool.availableBorrowsUSD(user2.address)).to.be.equal(
+                0
+              );
+              // position is still not liquidatable
+              expect(await pool.healthFactor(user2.address)).to.be.greaterThan(
+                getAmountInWei(1)
+              );
+            });
+          });
+          describe("getVaultAPY()/previewVaultAPY()", () => {
+            const year = 365 * 24 * 3600;
+            const defaultRatePerSec = 158247046n; // 0.5% annual rate
+            // off-chain reference: rate compounded continuously over a year
+            function referenceAPY(ratePerSec) {
+              return Math.expm1((Number(ratePerSec) / 1e18) * year);
+            }
+            function kinkRatePerSec(utilization) {
+              return (
+                (utilization * BigInt(kinkStrategyParams.slope1)) /
+                BigInt(kinkStrategyParams.optimalUtilization) /
+                BigInt(year)
+              );
+            }
+            function expectCloseTo(apy, expected) {
+              expect(
+                Math.abs(getAmountFromWei(apy) - expected) / expected
+              ).to.be.lessThan(1e-5);
+            }
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+
+              // user 1 supplies DAI
+              await mintERC20(user1, DAI.target, getAmountInWei(10000));
+              await supply(user1, DAI.target, getAmountInWei(10000), pool);
+
+              // user 2 supplies WETH
+              await mintERC20(user2, WETH.target, getAmountInWei(10));
+              await supply(user2, WETH.target, getAmountInWei(10), pool);
+            });
+            it("should use default rate when vault has no borrows", async () => {
+              await pool.accrueInterest(DAI.target);
+              const vault = await pool.getTokenVault(DAI.target);
+              expect(vault.vaultInfo.ratePerSec).to.equal(defaultRatePerSec);
+
+              const [borrowAPY, supplyAPY] = await pool.getVaultAPY(DAI.target);
+              expectCloseTo(borrowAPY, referenceAPY(defaultRatePerSec));
+              expect(supplyAPY).to.equal(0);
+            });
+            it("should preview APYs for the current utilization", async () => {
+              await pool
+                .connect(user2)
+                .borrow(DAI.target, getAmountInWei(5000));
+
+              const [borrowAPY, supplyAPY] = await pool.previewVaultAPY(
+                DAI.target,
+                0,
+                0
+              );
+              const ratePerSec = kinkRatePerSec(getAmountInWei(0.5));
+              expectCloseTo(borrowAPY, referenceAPY(ratePerSec));
+              // suppliers earn half the borrow rate minus the 1% protocol fee
+              const supplyRatePerSec = (ratePerSec * 99n) / 200n;
+              expectCloseTo(supplyAPY, referenceAPY(supplyRatePerSec));
+            });
+            it("should return the vault rate once interest accrued", async () => {
+              await moveTime(3600);
+              await pool.accrueInterest(DAI.target);
+              const vault = await pool.getTokenVault(DAI.target);
+              const ratePerSec = vault.vaultInfo.ratePerSec;
+              expect(ratePerSec).to.be.greaterThan(defaultRatePerSec);
+
+              const [borrowAPY, supplyAPY] = await pool.getVaultAPY(DAI.target);
+              expectCloseTo(borrowAPY, referenceAPY(ratePerSec));
+              const utilization =
+                (vault.totalBorrow.amount * getAmountInWei(1)) /
+                vault.totalAsset.amount;
+              const supplyRatePerSec =
+                (ratePerSec * utilization * 99n) / (getAmountInWei(1) * 100n);
+              expectCloseTo(supplyAPY, referenceAPY(supplyRatePerSec));
+            });
+            it("should preview APYs after hypothetical borrow and supply", async () => {
+              const vault = await pool.getTokenVault(DAI.target);
+              const borrowDelta = getAmountInWei(2000);
+              let [borrowAPY] = await pool.previewVaultAPY(
+                DAI.target,
+                0,
+                borrowDelta
+              );
+              let utilization =
+                ((vault.totalBorrow.amount + borrowDelta) * getAmountInWei(1)) /
+                vault.totalAsset.amount;
+              expectCloseTo(
+                borrowAPY,
+                referenceAPY(kinkRatePerSec(utilization))
+              );
+
+              const supplyDelta = getAmountInWei(10000);
+              [borrowAPY] = await pool.previewVaultAPY(
+                DAI.target,
+                supplyDelta,
+                0
+              );
+              utilization =
+                (vault.totalBorrow.amount * getAmountInWei(1)) /
+                (vault.totalAsset.amount + supplyDelta);
+              expectCloseTo(
+                borrowAPY,
+                referenceAPY(kinkRatePerSec(utilization))
+              );
+            });
+            it("should preview default rate if all borrows are repaid", async () => {
+              const vault = await pool.getTokenVault(DAI.target);
+              const [borrowAPY, supplyAPY] = await pool.previewVaultAPY(
+                DAI.target,
+                0,
+                -vault.totalBorrow.amount
+              );
+              expectCloseTo(borrowAPY, referenceAPY(defaultRatePerSec));
+              expect(supplyAPY).to.equal(0);
+            });
+            it("should reset the vault rate after full repayment", async () => {
+              // repaying more than the debt only repays the user borrow shares
+              await mintAndapproveERC20(
+                user2,
+                DAI.target,
+                getAmountInWei(100),
+                pool.target
+              );
+              await approveERC20(
+                user2,
+                DAI.target,
+                getAmountInWei(5100),
+                pool.target
+              );
+              await pool.connect(user2).repay(DAI.target, getAmountInWei(5100));
+              await moveTime(3600);
+              await pool.accrueInterest(DAI.target);
+
+              const vault = await pool.getTokenVault(DAI.target);
+              expect(vault.vaultInfo.ratePerSec).to.equal(defaultRatePerSec);
+            });
+          });
+          describe("getUtilization()/getBorrowRate()/getSupplyRate()", () => {
+            const year = 365n * 24n * 3600n;
+            const defaultRatePerSec = 158247046n;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+
+              // user 1 supplies DAI
+              await mintERC20(user1, DAI.target, getAmountInWei(10000));
+              await supply(user1, DAI.target, getAmountInWei(10000), pool);
+
+              // user 2 supplies WETH
+              await mintERC20(user2, WETH.target, getAmountInWei(10));
+              await supply(user2, WETH.target, getAmountInWei(10), pool);
+            });
+            it("should return default borrow rate and zero supply rate without borrows", async () => {
+              expect(await pool.getUtilization(DAI.target)).to.equal(0);
+              expect(await pool.getBorrowRate(DAI.target)).to.equal(
+                defaultRatePerSec * year
+              );
+              expect(await pool.getSupplyRate(DAI.target)).to.equal(0);
+            });
+            it("should return vault annual rates once interest accrued", async () => {
+              await pool
+                .connect(user2)
+                .borrow(DAI.target, getAmountInWei(5000));
+              await moveTime(3600);
+              await pool.accrueInterest(DAI.target);
+
+              const vault = await pool.getTokenVault(DAI.target);
+              const utilization = await pool.getUtilization(DAI.target);
+              expect(utilization).to.equal(
+                (vault.totalBorrow.amount * getAmountInWei(1)) /
+                  vault.totalAsset.amount
+              );
+
+              const ratePerSec = vault.vaultInfo.ratePerSec;
+              const borrowRate = await pool.getBorrowRate(DAI.target);
+              expect(borrowRate).to.equal(ratePerSec * year);
+              // 4% slope up to 80% utilization
+              expect(getAmountFromWei(borrowRate)).to.be.closeTo(0.025, 1e-6);
+
+              // suppliers earn the borrow rate on the borrowed share minus the protocol fee
+              const fee = BigInt(vaultInfoParams.feeToProtocolRate);
+              const supplyRatePerSec =
+                (ratePerSec * utilization * (100000n - fee)) /
+                (getAmountInWei(1) * 100000n);
+              expect(await pool.getSupplyRate(DAI.target)).to.equal(
+                supplyRatePerSec * year
+              );
+            });
+            it("should format vault rates for dashboards", async () => {
+              expect(formatRate(getAmountInWei(0.025))).to.equal("2.50%");
+              expect(formatRate(getAmountInWei(0.123456), 3)).to.equal(
+                "12.346%"
+              );
+              expect(rateToNumber(getAmountInWei(0.5))).to.equal(0.5);
+
+              const rates = await getVaultRates(pool, DAI.target);
+              expect(rates.borrowRate).to.equal(
+                await pool.getBorrowRate(DAI.target)
+              );
+              expect(rates.supplyAPY).to.equal(
+                (await pool.getVaultAPY(DAI.target))[1]
+              );
+
+              const formatted = await getFormattedVaultRates(pool, DAI.target);
+              expect(formatted.utilization).to.equal(
+                formatRate(rates.utilization)
+              );
+              expect(formatted.borrowRate).to.equal("2.50%");
+            });
+          });
+          describe("amountToShares()/sharesToAmount()", () => {
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,                
+                vaultInfoParams,
+                true
+              );
+
+              // user1 supplies WETH
+              await mintERC20(user1, WETH.target, getAmountInWei(40)); // 40 ETH
+              await supply(user1, WETH.target, getAmountInWei(40), pool);
+
+              // user2 supplies token2
+              const amount = scaleAmount(10, 8); // 10 WBTC
+              await mintERC20(user2, WBTC.target, amount);
+              await supply(user2, WBTC.target, amount, pool);
+
+              // user2 borrows WETH
+              await pool.connect(user2).borrow(WETH.target, getAmountInWei(20));
+            });
+            it("should return correct shares given token amount", async () => {
+              // virtually mine some blocks
+              await hre.network.provider.send("hardhat_mine", ["0xa"]);
+              await pool.connect(user1).accrueInterest(WETH.target);
+
+              // test for ETH asset vault shares
+              const ethamount = getAmountInWei(5);
+              const vault = await pool.getTokenVault(WETH.target);
+              const expectedAssetShares =
+                (ethamount * vault.totalAsset.shares) / vault.totalAsset.amount;
+              let shares = await pool.amountToShares(
+                WETH.target,
+                ethamount,
+                true // asset
+              );
+              expect(shares).to.be.equal(expectedAssetShares);
+
+              // test for ETH borrow vault shares
+              const expectedBorrowShares =
+                (ethamount * vault.totalBorrow.shares) /
+                vault.totalBorrow.amount;
+              shares = await pool.amountToShares(WETH.target, ethamount, false);
+              expect(shares).to.be.equal(expectedBorrowShares);
+
+              // test for BTC asset vault shares
+              const btcamount = scaleAmount(5, 8); // 5 WBTC
+              const vaultBTC = await pool.getTokenVault(WETH.target);
+              const expectedBTCAssetShares =
+                (btcamount * Number(vaultBTC.totalAsset.shares)) /
+                Number(vaultBTC.totalAsset.amount);
+              shares = await pool.amountToShares(
+                WETH.target,
+                btcamount,
+                true // asset
+              );
+              expect(Number(shares)).to.be.equal(
+                Math.floor(expectedBTCAssetShares)
+              );
+            });
+            it("should return correct amount given vault shares", async () => {
+              // test for ETH asset vault amount
+              const ethShares = getAmountInWei(10);
+              const vault = await pool.getTokenVault(WETH.target);
+              const expectedAssetAmount =
+                (ethShares * vault.totalAsset.amount) / vault.totalAsset.shares;
+              let amount = await pool.sharesToAmount(
+                WETH.target,
+                ethShares,
+                true // asset
+              );
+              expect(amount).to.be.equal(expectedAssetAmount);
+
+              // test for ETH borrow vault amount
+              const expectedBorrowAmount =
+                (ethShares * vault.totalBorrow.amount) /
+                vault.totalBorrow.shares;
+              amount = await pool.sharesToAmount(WETH.target, ethShares, false);
+              expect(amount).to.be.equal(expectedBorrowAmount);
+
+              // test for BTC asset vault amount
+              const btcShares = scaleAmount(5, 8); // 5 WBTC
+              const vaultBTC = await pool.getTokenVault(WETH.target);
+              const expectedBTCAmount =
+                (btcShares * Number(vaultBTC.totalAsset.amount)) /
+                Number(vaultBTC.totalAsset.shares);
+              amount = await pool.sharesToAmount(
+                WETH.target,
+                btcShares,
+                true // asset
+              );
+              expect(Number(amount)).to.be.equal(Math.floor(expectedBTCAmount));
+            });
+          });
+          describe("getPrice()", () => {
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                vaultInfoParams,
+                true
+              );
+            });
+            it("should return correct price", async () => {
+              const price1 = await pool.getTokenPrice(WETH.target);
+              let expected_price1 = (await wethFeed.latestRoundData())[1];
+              expected_price1 = scaleAmount(expected_price1, 10); // scale by 10^10
+              expect(Number(price1)).to.be.equal(expected_price1);
+
+              const price2 = await pool.getTokenPrice(WBTC.target);
+              let expected_price2 = (await wbtcFeed.latestRoundData())[1];
+              expected_price2 = scaleAmount(expected_price2, 10); // scale by 10^10
+              expect(Number(price2)).to.be.equal(expected_price2);
+            });
+            it("should return price scaled by 18 decimals", async () => {
+              const token = await deployERC20Mock("USD coinbase", "USDC", 6);
+              const tokenFeed = await deployAggregatorMock(
+                scaleAmount(1, 8),
+                8
+              ); // 1USDC = 1$
+              await setupTokenVault(
+                token.target,
+                tokenFeed.target,
+                vaultInfoParams,
+                true
+              );
+              let price = await pool.getTokenPrice(token.target);
+              const expected_price = getAmountInWei(1); // 1e18
+              expect(price).to.be.equal(expected_price);
+            });
+            it("should return zero price if token is not supported", async () => {
+              const token3 = await deployERC20Mock("USDT", "USDT", 6);
+              const price = await pool.getTokenPrice(token3.target);
+              expect(price).to.be.equal(0);
+            });
+            it("should revert if price is outdated", async () => {
+              const period = 3 * 24 * 3600; // 3h
+              await moveTime(period);
+              await expect(
+                pool.getTokenPrice(WETH.target)
+              ).to.be.revertedWithCustomError(pool, "InvalidPrice");
+            });
+            it("should revert if price is below zero", async () => {
+              await wethFeed.updateAnswer(0);
+              await expect(
+                pool.getTokenPrice(WETH.target)
+              ).to.be.revertedWithCustomError(pool, "InvalidPrice");
+            });
+          });
+          describe("getPrice() oracle config", () => {
+            let primaryFeed, secondaryFeed;
+            const oracleConfig = (config) => ({
+              priceFeed: primaryFeed.target,
+              secondaryPriceFeed: secondaryFeed.target,
+              heartbeat: 3600, // 1h
+              secondaryHeartbeat: 24 * 3600, // 1 day
+              maxDeviation: 2000, // 2%
+              ...config,
+            });
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+
+              // feeds with non 8 decimals answers
+              primaryFeed = await deployAggregatorMock(
+                getAmountInWei(2000),
+                18
+              ); // 1ETH = 2000$
+              secondaryFeed = await deployAggregatorMock(
+                scaleAmount(1990, 6),
+                6
+              ); // 1ETH = 1990$
+            });
+            it("should scale price using the feed decimals", async () => {
+              await pool.connect(owner).setOracleConfig(
+                WETH.target,
+                oracleConfig({
+                  secondaryPriceFeed: ethers.ZeroAddress,
+                  secondaryHeartbeat: 0,
+                })
+              );
+              expect(await pool.getTokenPrice(WETH.target)).to.equal(
+                getAmountInWei(2000)
+              );
+
+              await pool.connect(owner).setOracleConfig(
+                WETH.target,
+                oracleConfig({
+                  priceFeed: secondaryFeed.target,
+                  secondaryPriceFeed: ethers.ZeroAddress,
+                  secondaryHeartbeat: 0,
+                })
+              );
+              expect(await pool.getTokenPrice(WETH.target)).to.equal(
+                getAmountInWei(1990)
+              );
+            });
+            it("should use the token heartbeat", async () => {
+              await pool.connect(owner).setOracleConfig(
+                WETH.target,
+                oracleConfig({
+                  secondaryPriceFeed: ethers.ZeroAddress,
+                  secondaryHeartbeat: 0,
+                })
+              );
+              await moveTime(3601);
+              await expect(
+                pool.getTokenPrice(WETH.target)
+              ).to.be.revertedWithCustomError(pool, "InvalidPrice");
+
+              await primaryFeed.updateAnswer(getAmountInWei(2000));
+              expect(await pool.getTokenPrice(WETH.target)).to.equal(
+                getAmountInWei(2000)
+              );
+            });
+            it("should return primary price if within max deviation", async () => {
+              await secondaryFeed.updateAnswer(scaleAmount(1990, 6));
+              await pool
+                .connect(owner)
+                .setOracleConfig(WETH.target, oracleConfig({}));
+              expect(await pool.getTokenPrice(WETH.target)).to.equal(
+                getAmountInWei(2000)
+              );
+            });
+            it("should revert if feeds prices deviate more than max deviation", async () => {
+              await secondaryFeed.updateAnswer(scaleAmount(1900, 6)); // 5% lower
+              await expect(pool.getTokenPrice(WETH.target))
+                .to.be.revertedWithCustomError(pool, "PriceDeviationTooHigh")
+                .withArgs(getAmountInWei(2000), getAmountInWei(1900));
+            });
+            it("should fall back to secondary feed if primary is stale", async () => {
+              await moveTime(2 * 3600);
+              await secondaryFeed.updateAnswer(scaleAmount(1900, 6));
+              expect(await pool.getTokenPrice(WETH.target)).to.equal(
+                getAmountInWei(1900)
+              );
+            });
+            it("should fall back to secondary feed if primary price is invalid", async () => {
+              await primaryFeed.updateAnswer(0);
+              expect(await pool.getTokenPrice(WETH.target)).to.equal(
+                getAmountInWei(1900)
+              );
+            });
+            it("should fall back to secondary feed if primary decimals call fails", async () => {
+              const brokenFeed = await ethers.deployContract(
+                "AggregatorNoDecimalsMock",
+                [getAmountInWei(2000)]
+              );
+              await pool
+                .connect(owner)
+                .setOracleConfig(
+                  WETH.target,
+                  oracleConfig({ priceFeed: brokenFeed.target })
+                );
+              expect(await pool.getTokenPrice(WETH.target)).to.equal(
+                getAmountInWei(1900)
+              );
+
+              await pool
+                .connect(owner)
+                .setOracleConfig(WETH.target, oracleConfig({}));
+            });
+            it("should revert if both feeds are stale", async () => {
+              await primaryFeed.updateAnswer(getAmountInWei(2000));
+              await moveTime(2 * 24 * 3600);
+              await expect(
+                pool.getTokenPrice(WETH.target)
+              ).to.be.revertedWithCustomError(pool, "InvalidPrice");
+            });
+          });
+          describe("getAmountInUSD()", () => {
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                vaultInfoParams,
+                true
+              );
+            });
+            it("should return correct amount in USD", async () => {
+              const ethAmount = getAmountInWei(10); // 10 ETH
+              const ethToUSDAmount = await pool.getAmountInUSD(
+                WETH.target,
+                ethAmount
+              );
+              let price1 = (await wethFeed.latestRoundData())[1];
+              scaled_price1 = scaleAmount(Number(price1), 10); // scale by 10^10
+              const expectedUsdAmount1 = scaled_price1 * 10;
+              expect(Number(ethToUSDAmount)).to.be.equal(expectedUsdAmount1);
+
+              const wbtcAmount = getAmountInWei(5); // 5 BTC
+              const wbtcToUSDAmount = await pool.getAmountInUSD(
+                WETH.target,
+                wbtcAmount
+              );
+              let price2 = (await wethFeed.latestRoundData())[1];
+              scaled_price2 = scaleAmount(Number(price2), 10); // scale by 10^10
+              const expectedUsdAmount2 = scaled_price2 * 5;
+              expect(Number(wbtcToUSDAmount)).to.be.equal(expectedUsdAmount2);
+            });
+          });
+        });
+        describe("Treasury functions", () => {
+          before(async () => {
+            // Deploy ERC20 and USD price feeds mocks
+            [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+              await deployTokenMocks();
+
+            // Deploy Lending Pool contract
+            pool = await deployPool(
+              DAI.target,
+              daiFeed.target,
+              vaultInfoParams
+            );
+
+            // unpause pool
+            await pool
+              .connect(owner)
+              .setPausedStatus(ethers.ZeroAddress, false);
+
+            // add supported ERC20 tokens
+            await setupTokenVault(
+              WETH.target,
+              wethFeed.target,
+              vaultInfoParams,
+              true
+            );
+            await setupTokenVault(
+              WBTC.target,
+              wbtcFeed.target,
+              vaultInfoParams,
+              true
+            );
+
+            // user1 supplies WETH
+            await mintERC20(user1, WETH.target, getAmountInWei(40)); // 40 ETH
+            await supply(user1, WETH.target, getAmountInWei(40), pool);
+
+            // user2 supplies WBTC and borrows all WETH liquidity above reserve
+            const amount = scaleAmount(10, 8); // 10 WBTC
+            await mintERC20(user2, WBTC.target, amount);
+            await supply(user2, WBTC.target, amount, pool);
+            await pool.connect(user2).borrow(WETH.target, getAmountInWei(32));
+
+            // virtually mine some blocks
+            await hre.network.provider.send("hardhat_mine", ["0x4e20"]);
+            await wethFeed.updateAnswer(scaleAmount(2000, 8));
+            await wbtcFeed.updateAnswer(scaleAmount(30000, 8));
+            await pool.connect(user1).accrueInterest(WETH.target);
+          });
+          it("only owner should be allowed to set treasury", async () => {
+            await expect(
+              pool.connect(randomUser).setTreasury(user3.address)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+            await expect(pool.connect(owner).setTreasury(user3.address))
+              .to.emit(pool, "TreasuryUpdated")
+              .withArgs(user3.address);
+            expect(await pool.treasury()).to.equal(user3.address);
+          });
+          it("should return accrued protocol fees for every vault", async () => {
+            const [tokens, amounts, valuesUSD] = await pool.getProtocolFees();
+            expect(tokens).to.deep.equal([
+              DAI.target,
+              WETH.target,
+              WBTC.target,
+            ]);
+
+            const feeShares = (
+              await pool.getUserTokenCollateralAndBorrow(
+                pool.target,
+                WETH.target
+              )
+            )[0];
+            expect(feeShares).to.be.greaterThan(0);
+            const feeAmount = await pool.sharesToAmount(
+              WETH.target,
+              feeShares,
+              true
+            );
+            expect(amounts[0]).to.equal(0);
+            expect(amounts[1]).to.equal(feeAmount);
+            expect(amounts[2]).to.equal(0);
+            expect(valuesUSD[1]).to.equal(
+              await pool.getAmountInUSD(WETH.target, feeAmount)
+            );
+          });
+          it("only treasury should be allowed to claim protocol fees", async () => {
+            await expect(
+              pool
+                .connect(randomUser)
+                .claimProtocolFees([WETH.target], randomUser.address)
+            ).to.be.revertedWithCustomError(pool, "NotTreasury");
+            await expect(
+              pool.connect(user3).claimProtocolFees([], user3.address)
+            ).to.be.revertedWithCustomError(pool, "EmptyArray");
+          });
+          it("should revert if fees receiver is the zero address", async () => {
+            await expect(
+              pool
+                .connect(user3)
+                .claimProtocolFees([WETH.target], ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(pool, "InvalidReceiver");
+          });
+          it("should not claim liquidity below the vault reserve", async () => {
+            // vault balance is at its reserve ratio
+            const beforeShares = (
+              await pool.getUserTokenCollateralAndBorrow(
+                pool.target,
+                WETH.target
+              )
+            )[0];
+            await expect(
+              pool
+                .connect(user3)
+                .claimProtocolFees([WETH.target], user3.address)
+            ).to.not.emit(pool, "ProtocolFeesClaimed");
+            expect(
+              (
+                await pool.getUserTokenCollateralAndBorrow(
+                  pool.target,
+                  WETH.target
+                )
+              )[0]
+            ).to.be.greaterThanOrEqual(beforeShares);
+            expect(await WETH.balanceOf(user3.address)).to.equal(0);
+          });
+          it("should allow treasury to claim protocol fees", async () => {
+            // user2 repays part of his debt
+            await mintAndapproveERC20(
+              user2,
+              WETH.target,
+              getAmountInWei(10),
+              pool.target
+            );
+            await pool.connect(user2).repay(WETH.target, getAmountInWei(10));
+
+            const tx = await pool
+              .connect(user3)
+              .claimProtocolFees(
+                [WETH.target, WBTC.target],
+                randomUser.address
+              );
+            const receipt = await tx.wait(1);
+            const claimedEvent = receipt.logs
+              .map((log) => pool.interface.parseLog(log))
+              .find((event) => event && event.name === "ProtocolFeesClaimed");
+            const [token, to, amount, shares] = claimedEvent.args;
+
+            const claimed = await WETH.balanceOf(randomUser.address);
+            expect(claimed).to.be.greaterThan(0);
+            expect(token).to.equal(WETH.target);
+            expect(to).to.equal(randomUser.address);
+            expect(amount).to.equal(claimed);
+            expect(shares).to.be.greaterThan(0);
+            expect(amount).to.equal(
+              await pool.sharesToAmount(WETH.target, shares, true)
+            );
+
+            // protocol has no more fee shares
+            expect(
+              (
+                await pool.getUserTokenCollateralAndBorrow(
+                  pool.target,
+                  WETH.target
+                )
+              )[0]
+            ).to.equal(0);
+            expect(
+              await pool.getUserTotalTokenCollateral(pool.target)
+            ).to.equal(0);
+          });
+        });
+      });
+
+      describe("Liquidation Math", () => {
+        const BPS = 100000n;
+        const decimals = [6, 8, 18];
+        let math;
+        let cases = [];
+        before(async () => {
+          math = await ethers.deployContract("LiquidationMathMock");
+
+          // random liquidations for every debt/collateral decimals pair
+          const random = randomGenerator(1912n);
+          for (const debtDecimals of decimals) {
+            for (const collateralDecimals of decimals) {
+              for (let i = 0; i < 8; i++) {
+                const params = {
+                  debtToCover:
+                    random(1n, 10n ** 6n) * 10n ** BigInt(debtDecimals - 2),
+                  userCollateral: 0n,
+                  debtPrice: random(10n ** 6n, 10n ** 12n), // 0.01$ to 10000$
+                  collateralPrice: random(10n ** 6n, 10n ** 12n),
+                  debtDecimals,
+                  collateralDecimals,
+                  liquidationBonus: random(0n, 20000n), // 0% to 20%
+                };
+                // collateral between half and twice the seized amount
+                const [, seizedCollateral] = await math.computeLiquidation({
+                  ...params,
+                  userCollateral: ethers.MaxUint256,
+                });
+                params.userCollateral =
+                  (seizedCollateral * random(50n, 200n)) / 100n;
+                cases.push(params);
+              }
+            }
+          }
+        });
+        it("should compute hand-checked liquidation amounts", async () => {
+          const dai = { price: 10n ** 8n, decimals: 18 }; // 1$
+          const usdc = { price: 10n ** 8n, decimals: 6 }; // 1$
+          const weth = { price: 3000n * 10n ** 8n, decimals: 18 }; // 3000$
+          const wbtc = { price: 30000n * 10n ** 8n, decimals: 8 }; // 30000$
+          const liquidation = (
+            debt,
+            collateral,
+            debtToCover,
+            userCollateral
+          ) => ({
+            debtToCover,
+            userCollateral,
+            debtPrice: debt.price,
+            collateralPrice: collateral.price,
+            debtDecimals: debt.decimals,
+            collateralDecimals: collateral.decimals,
+            liquidationBonus: 5000n, // 5%
+          });
+          const sweep = [
+            // 1000 DAI repaid for 0.03333333 BTC (rounded down) plus 5%
+            [
+              liquidation(dai, wbtc, getAmountInWei(1000), 10n ** 8n),
+              [getAmountInWei(1000), 3499999n, 166666n],
+            ],
+            // 1500 USDC repaid for exactly 0.5 ETH plus 5%
+            [
+              liquidation(usdc, weth, 1500n * 10n ** 6n, getAmountInWei(10)),
+              [1500n * 10n ** 6n, getAmountInWei(0.525), getAmountInWei(0.025)],
+            ],
+            // borrower collateral exactly covers the seized amount
+            [
+              liquidation(usdc, weth, 1500n * 10n ** 6n, getAmountInWei(0.525)),
+              [1500n * 10n ** 6n, getAmountInWei(0.525), getAmountInWei(0.025)],
+            ],
+            // 1000 USDC collateral cannot cover 1 ETH, all of it is seized
+            // 952.380952 USDC without bonus, repaid 0.317460317333333333.. ETH rounded up
+            [
+              liquidation(weth, usdc, getAmountInWei(1), 1000n * 10n ** 6n),
+              [317460317333333334n, 1000n * 10n ** 6n, 47619048n],
+            ],
+            // collateral dust only covers the bonus, no debt is repaid
+            [liquidation(dai, wbtc, getAmountInWei(1000), 1n), [0n, 1n, 1n]],
+            // debt too small to be worth one collateral unit seizes nothing
+            [liquidation(dai, wbtc, 1n, 10n ** 8n), [1n, 0n, 0n]],
+          ];
+          for (const [params, expected] of sweep) {
+            expect(await math.computeLiquidation(params)).to.deep.equal(
+              expected
+            );
+          }
+        });
+        it("should never seize more than borrower collateral or repay more than requested", async () => {
+          for (const params of cases) {
+            const [repayAmount, seizedCollateral] =
+              await math.computeLiquidation(params);
+            expect(seizedCollateral).to.be.lte(params.userCollateral);
+            expect(repayAmount).to.be.lte(params.debtToCover);
+            // repaid debt is only lowered when all the collateral is seized
+            if (repayAmount < params.debtToCover) {
+              expect(seizedCollateral).to.equal(params.userCollateral);
+            }
+          }
+        });
+        it("should seize at most the repaid debt value plus the bonus", async () => {
+          for (const params of cases) {
+            const [repayAmount, seizedCollateral, bonus] =
+              await math.computeLiquidation(params);
+            const repaidValue = await math.convert(
+              repayAmount,
+              params.debtPrice,
+              params.debtDecimals,
+              params.collateralPrice,
+              params.collateralDecimals,
+              true
+            );
+            expect(seizedCollateral - bonus).to.be.lte(repaidValue);
+            // bonus is the vault rate applied to the collateral, up to two units of rounding
+            const expectedBonus =
+              ((seizedCollateral - bonus) * params.liquidationBonus) / BPS;
+            expect(bonus).to.be.gte(expectedBonus);
+            expect(bonus).to.be.lte(expectedBonus + 2n);
+          }
+        });
+      });
+
+      describe("Interest Rate Strategies", () => {
+        describe("KinkInterestRateStrategy", () => {
+          let strategy;
+          before(async () => {
+            strategy = await deployKinkStrategy(kinkStrategyParams);
+          });
+          it("should increase rate with slope1 up to optimal utilization", async () => {
+            expect(
+              await strategy.getInterestRate(ethers.ZeroAddress, 0)
+            ).to.equal(kinkStrategyParams.baseRate);
+            expect(
+              await strategy.getInterestRate(
+                ethers.ZeroAddress,
+                getAmountInWei(0.4)
+              )
+            ).to.equal(getAmountInWei(0.02));
+            expect(
+              await strategy.getInterestRate(
+                ethers.ZeroAddress,
+                kinkStrategyParams.optimalUtilization
+              )
+            ).to.equal(kinkStrategyParams.slope1);
+          });
+          it("should increase rate with slope2 above optimal utilization", async () => {
+            // 90% utilization is half way between optimal and full utilization
+            expect(
+              await strategy.getInterestRate(
+                ethers.ZeroAddress,
+                getAmountInWei(0.9)
+              )
+            ).to.equal(getAmountInWei(0.04 + 1.5));
+          });
+          it("should revert if optimal utilization is invalid", async () => {
+            await expect(
+              deployKinkStrategy({
+                ...kinkStrategyParams,
+                optimalUtilization: getAmountInWei(1),
+              })
+            ).to.be.revertedWithCustomError(
+              strategy,
+              "InvalidOptimalUtilization"
+            );
+          });
+        });
+        describe("FixedInterestRateStrategy", () => {
+          it("should return the same rate whatever the utilization", async () => {
+            const strategy = await ethers.deployContract(
+              "FixedInterestRateStrategy",
+              [getAmountInWei(0.05)]
+            );
+            expect(
+              await strategy.getInterestRate(ethers.ZeroAddress, 0)
+            ).to.equal(getAmountInWei(0.05));
+            expect(
+              await strategy.getInterestRate(
+                ethers.ZeroAddress,
+                getAmountInWei(0.95)
+              )
+            ).to.equal(getAmountInWei(0.05));
+          });
+        });
+        describe("AdaptiveInterestRateStrategy", () => {
+          let strategy, token;
+          const day = 24 * 3600;
+          before(async () => {
+            // target 80%, starts at 4%, bounded in [1%, 100%]
+            // kp = 0.1, rate at target moves by 1% a day for a 100% error, for at most 30 days
+            strategy = await ethers.deployContract(
+              "AdaptiveInterestRateStrategy",
+              [
+                getAmountInWei(0.8),
+                getAmountInWei(0.04),
+                getAmountInWei(0.01),
+                getAmountInWei(1),
+                getAmountInWei(0.1),
+                getAmountInWei(0.01) / BigInt(day),
+                30 * day,
+              ]
+            );
+            token = ethers.Wallet.createRandom().address;
+          });
+          it("should apply proportional term to the utilization error", async () => {
+            // 90% utilization, 10% above target
+            expect(
+              await strategy
+                .connect(user1)
+                .getInterestRate(token, getAmountInWei(0.9))
+            ).to.equal(getAmountInWei(0.05));
+            await expect(
+              strategy
+                .connect(user1)
+                .updateInterestRate(token, getAmountInWei(0.9))
+            )
+              .to.emit(strategy, "RateAtTargetUpdated")
+              .withArgs(user1.address, token, getAmountInWei(0.04));
+          });
+          it("should raise the curve while utilization stays above target", async () => {
+            await moveTime(10 * day);
+            const rate = await strategy
+              .connect(user1)
+              .getInterestRate(token, getAmountInWei(0.9));
+            // rate at target increased by 10 days * 1% * 10%
+            expect(rate).to.be.closeTo(
+              getAmountInWei(0.06),
+              getAmountInWei(0.00001)
+            );
+
+            // pool updates with the utilization of the elapsed period
+            await strategy
+              .connect(user1)
+              .updateInterestRate(token, getAmountInWei(0.9));
+            expect(
+              await strategy.getRateAtTarget(user1.address, token)
+            ).to.be.closeTo(getAmountInWei(0.05), getAmountInWei(0.00001));
+          });
+          it("should keep a separate state per pool", async () => {
+            expect(
+              await strategy.getRateAtTarget(user2.address, token)
+            ).to.equal(getAmountInWei(0.04));
+          });
+          it("should cap the time the curve moves for between updates", async () => {
+            const otherToken = ethers.Wallet.createRandom().address;
+            await strategy
+              .connect(user1)
+              .updateInterestRate(otherToken, getAmountInWei(0.9));
+
+            // vault paused for 100 days, only 30 days are accounted for
+            await moveTime(100 * day);
+            await strategy
+              .connect(user1)
+              .updateInterestRate(otherToken, getAmountInWei(0.9));
+            // rate at target increased by 30 days * 1% * 10%
+            expect(
+              await strategy.getRateAtTarget(user1.address, otherToken)
+            ).to.be.closeTo(getAmountInWei(0.07), getAmountInWei(0.00001));
+            expect(
+              await strategy
+                .connect(user1)
+                .getInterestRate(otherToken, getAmountInWei(0.9))
+            ).to.be.closeTo(getAmountInWei(0.08), getAmountInWei(0.00001));
+          });
+          it("should lower the curve down to min rate while utilization stays below target", async () => {
+            await moveTime(1000 * day);
+            expect(
+              await strategy.connect(user1).getInterestRate(token, 0)
+            ).to.equal(getAmountInWei(0.01));
+          });
+        });
+        describe("setInterestRateStrategy()", () => {
+          let strategy;
+          before(async () => {
+            // Deploy ERC20 and USD price feeds mocks
+            [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+              await deployTokenMocks();
+
+            // Deploy Lending Pool contract
+            pool = await deployPool(
+              DAI.target,
+              daiFeed.target,
+              vaultInfoParams
+            );
+            await setupTokenVault(
+              WETH.target,
+              wethFeed.target,
+              vaultInfoParams,
+              true
+            );
+
+            strategy = await ethers.deployContract(
+              "FixedInterestRateStrategy",
+              [getAmountInWei(0.1)]
+            );
+          });
+          it("only owner should be allowed to change vault strategy", async () => {
+            await expect(
+              pool
+                .connect(randomUser)
+                .setInterestRateStrategy(DAI.target, strategy.target)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+          });
+          it("should revert if strategy is not a contract", async () => {
+            await expect(
+              pool
+                .connect(owner)
+                .setInterestRateStrategy(DAI.target, randomUser.address)
+            )
+              .to.be.revertedWithCustomError(
+                pool,
+                "InvalidInterestRateStrategy"
+              )
+              .withArgs(randomUser.address);
+          });
+          it("should change vault strategy while paused", async () => {
+            await expect(
+              pool
+                .connect(owner)
+                .setInterestRateStrategy(DAI.target, strategy.target)
+            )
+              .to.emit(pool, "InterestRateStrategyUpdated")
+              .withArgs(DAI.target, strategy.target);
+            const vault = await pool.getTokenVault(DAI.target);
+            expect(vault.vaultInfo.interestRateStrategy).to.equal(
+              strategy.target
+            );
+          });
+          it("should use the new strategy to accrue interest", async () => {
+            await pool
+              .connect(owner)
+              .setPausedStatus(ethers.ZeroAddress, false);
+
+            await mintERC20(user1, DAI.target, getAmountInWei(10000));
+            await supply(user1, DAI.target, getAmountInWei(10000), pool);
+            await mintERC20(user2, WETH.target, getAmountInWei(10));
+            await supply(user2, WETH.target, getAmountInWei(10), pool);
+            await pool.connect(user2).borrow(DAI.target, getAmountInWei(1000));
+
+            await expect(pool.accrueInterest(DAI.target))
+              .to.emit(pool, "UpdateInterestRate")
+              .withArgs(anyValue, getAmountInWei(0.1) / 31536000n);
+          });
+          it("should not change vault strategy when it isn't paused", async () => {
+            await expect(
+              pool
+                .connect(owner)
+                .setInterestRateStrategy(
+                  DAI.target,
+                  vaultInfoParams.interestRateStrategy
+                )
+            ).to.be.revertedWithCustomError(pool, "isNotPaused");
+          });
+        });
+      });
+      describe("Supply Share Token", () => {
+        let daiShareToken, wethShareToken;
+        before(async () => {
+          // Deploy ERC20 and USD price feeds mocks
+          [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+            await deployTokenMocks();
+
+          // Deploy Lending Pool contract
+          pool = await deployPool(DAI.target, daiFeed.target, vaultInfoParams);
+
+          // unpause pool
+          await pool.connect(owner).setPausedStatus(ethers.ZeroAddress, false);
+
+          await setupTokenVault(
+            WETH.target,
+            wethFeed.target,
+            vaultInfoParams,
+            true
+          );
+
+          daiShareToken = await deployShareToken(
+            pool.target,
+            DAI.target,
+            "Lending Pool DAI",
+            "lpDAI"
+          );
+          wethShareToken = await deployShareToken(
+            pool.target,
+            WETH.target,
+            "Lending Pool ETH",
+            "lpETH"
+          );
+        });
+        describe("setShareToken()", () => {
+          it("only owner should be allowed to set vault share token", async () => {
+            await expect(
+              pool
+                .connect(randomUser)
+                .setShareToken(DAI.target, daiShareToken.target)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+          });
+          it("should revert if share token is bound to another vault", async () => {
+            await expect(
+              pool
+                .connect(owner)
+                .setShareToken(DAI.target, wethShareToken.target)
+            )
+              .to.be.revertedWithCustomError(pool, "InvalidShareToken")
+              .withArgs(wethShareToken.target);
+
+            const otherPoolToken = await deployShareToken(
+              randomUser.address,
+              DAI.target,
+              "Lending Pool DAI",
+              "lpDAI"
+            );
+            await expect(
+              pool
+                .connect(owner)
+                .setShareToken(DAI.target, otherPoolToken.target)
+            )
+              .to.be.revertedWithCustomError(pool, "InvalidShareToken")
+              .withArgs(otherPoolToken.target);
+          });
+          it("should set vault share tokens", async () => {
+            await expect(
+              pool
+                .connect(owner)
+                .setShareToken(DAI.target, daiShareToken.target)
+            )
+              .to.emit(pool, "ShareTokenUpdated")
+              .withArgs(DAI.target, daiShareToken.target);
+            await pool
+              .connect(owner)
+              .setShareToken(WETH.target, wethShareToken.target);
+
+            expect(await pool.shareTokens(DAI.target)).to.equal(
+              daiShareToken.target
+            );
+            expect(await daiShareToken.name()).to.equal("Lending Pool DAI");
+            expect(await daiShareToken.symbol()).to.equal("lpDAI");
+            expect(await daiShareToken.decimals()).to.equal(18);
+            expect(await daiShareToken.asset()).to.equal(DAI.target);
+          });
+        });
+        describe("Share movements", () => {
+          it("should mint share tokens on supply", async () => {
+            const amount = getAmountInWei(10000);
+            await mintAndapproveERC20(user1, DAI.target, amount, pool.target);
+            await expect(pool.connect(user1).supply(DAI.target, amount, 0))
+              .to.emit(daiShareToken, "Transfer")
+              .withArgs(ethers.ZeroAddress, user1.address, amount);
+
+            expect(await daiShareToken.balanceOf(user1.address)).to.equal(
+              amount
+            );
+            expect(await daiShareToken.totalSupply()).to.equal(amount);
+            expect(await daiShareToken.totalAssets()).to.equal(amount);
+          });
+          it("should transfer supply shares to another user", async () => {
+            const shares = getAmountInWei(1000);
+            await expect(
+              daiShareToken.connect(user1).transfer(user3.address, shares)
+            )
+              .to.emit(daiShareToken, "Transfer")
+              .withArgs(user1.address, user3.address, shares);
+
+            const [user1Shares] = await pool.getUserTokenCollateralAndBorrow(
+              user1.address,
+              DAI.target
+            );
+            const [user3Shares] = await pool.getUserTokenCollateralAndBorrow(
+              user3.address,
+              DAI.target
+            );
+            expect(user1Shares).to.equal(getAmountInWei(9000));
+            expect(user3Shares).to.equal(shares);
+            expect(await daiShareToken.balanceOf(user3.address)).to.equal(
+              shares
+            );
+            expect(await daiShareToken.totalSupply()).to.equal(
+              getAmountInWei(10000)
+            );
+          });
+          it("should transfer shares with allowance", async () => {
+            const shares = getAmountInWei(500);
+            await daiShareToken.connect(user3).approve(user1.address, shares);
+            await expect(
+              daiShareToken
+                .connect(user1)
+                .transferFrom(user3.address, user1.address, shares + 1n)
+            ).to.be.revertedWithCustomError(
+              daiShareToken,
+              "InsufficientAllowance"
+            );
+
+            await daiShareToken
+              .connect(user1)
+              .transferFrom(user3.address, user1.address, shares);
+            expect(
+              await daiShareToken.allowance(user3.address, user1.address)
+            ).to.equal(0);
+            expect(await daiShareToken.balanceOf(user3.address)).to.equal(
+              shares
+            );
+          });
+          it("should revert transfer above share balance", async () => {
+            await expect(
+              daiShareToken
+                .connect(user3)
+                .transfer(user1.address, getAmountInWei(501))
+            ).to.be.revertedWithCustomError(pool, "InsufficientBalance");
+            await expect(
+              daiShareToken
+                .connect(user3)
+                .transfer(ethers.ZeroAddress, getAmountInWei(1))
+            ).to.be.revertedWithCustomError(daiShareToken, "InvalidReceiver");
+          });
+          it("should only allow share token to move shares", async () => {
+            await expect(
+              pool
+                .connect(user3)
+                .transferShares(
+                  DAI.target,
+                  user1.address,
+                  user3.address,
+                  getAmountInWei(1)
+                )
+            ).to.be.revertedWithCustomError(pool, "NotShareToken");
+            await expect(
+              daiShareToken
+                .connect(user3)
+                .emitTransfer(user1.address, user3.address, getAmountInWei(1))
+            ).to.be.revertedWithCustomError(daiShareToken, "NotPool");
+          });
+          it("should burn share tokens on withdraw", async () => {
+            const amount = getAmountInWei(500);
+            await expect(
+              pool
+                .connect(user3)
+                .withdraw(DAI.target, amount, ethers.MaxUint256)
+            )
+              .to.emit(daiShareToken, "Transfer")
+              .withArgs(user3.address, ethers.ZeroAddress, amount);
+            expect(await daiShareToken.balanceOf(user3.address)).to.equal(0);
+            expect(await DAI.balanceOf(user3.address)).to.equal(amount);
+          });
+          it("should check borrowing power of the sender", async () => {
+            await mintERC20(user2, WETH.target, getAmountInWei(10));
+            await supply(user2, WETH.target, getAmountInWei(10), pool);
+            // 10 ETH = 20000$ so borrowing power = 15000$
+            await pool.connect(user2).borrow(DAI.target, getAmountInWei(5000));
+
+            // remaining 5 ETH = 7500$ borrowing power
+            await wethShareToken
+              .connect(user2)
+              .transfer(user3.address, getAmountInWei(5));
+            await expect(
+              wethShareToken
+                .connect(user2)
+                .transfer(user3.address, getAmountInWei(2))
+            ).to.be.revertedWithCustomError(pool, "InsufficientBorrowingPower");
+          });
+          it("should mint protocol fee shares to the pool", async () => {
+            await moveTime(3600);
+            const tx = await pool.accrueInterest(DAI.target);
+            const [feeShares] = await pool.getUserTokenCollateralAndBorrow(
+              pool.target,
+              DAI.target
+            );
+            expect(feeShares).to.be.greaterThan(0);
+            await expect(tx)
+              .to.emit(daiShareToken, "Transfer")
+              .withArgs(ethers.ZeroAddress, pool.target, feeShares);
+            expect(await daiShareToken.balanceOf(pool.target)).to.equal(
+              feeShares
+            );
+          });
+          it("should mint flash loan protocol fee shares to the pool", async () => {
+            const borrower = await ethers.deployContract("FlashBorrowerMock", [
+              pool.target,
+            ]);
+            // the borrower holds enough tokens to pay the flash loan fee
+            await DAI.mint(borrower.target, getAmountInWei(10));
+            const [beforeFeeShares] =
+              await pool.getUserTokenCollateralAndBorrow(
+                pool.target,
+                DAI.target
+              );
+
+            const tx = await borrower.flashBorrow(
+              DAI.target,
+              getAmountInWei(1000)
+            );
+            const receipt = await tx.wait();
+            // interest accrual and flash loan fee shares minted to the pool
+            const mintedShares = receipt.logs
+              .filter((log) => log.address === daiShareToken.target)
+              .map((log) => daiShareToken.interface.parseLog(log))
+              .filter((event) => event.args.to === pool.target)
+              .reduce((sum, event) => sum + event.args.value, 0n);
+            const [feeShares] = await pool.getUserTokenCollateralAndBorrow(
+              pool.target,
+              DAI.target
+            );
+            expect(mintedShares).to.equal(feeShares - beforeFeeShares);
           });
-          describe("getPrice()", () => {
-            before(async () => {
-              // Deploy ERC20 and USD price feeds mocks
-              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
-                await deployTokenMocks();
+          it("should value shares in vault tokens", async () => {
+            const vault = await pool.getTokenVault(DAI.target);
+            expect(await daiShareToken.totalSupply()).to.equal(
+              vault.totalAsset.shares
+            );
+            expect(await daiShareToken.totalAssets()).to.equal(
+              vault.totalAsset.amount
+            );
 
-              // Deploy Lending Pool contract
-              pool = await deployPool(
-                DAI.target,
-                daiFeed.target,
-                vaultInfoParams
-              );
+            const shares = getAmountInWei(1000);
+            const amount = await daiShareToken.convertToAssets(shares);
+            // interest accrued so each share is worth more than one token
+            expect(amount).to.be.greaterThan(shares);
+            expect(amount).to.equal(
+              await pool.sharesToAmount(DAI.target, shares, true)
+            );
+            expect(await daiShareToken.convertToShares(amount)).to.be.closeTo(
+              shares,
+              1
+            );
+          });
+        });
+      });
+      describe("Variable Debt Token", () => {
+        let debtToken;
+        before(async () => {
+          // Deploy ERC20 and USD price feeds mocks
+          [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+            await deployTokenMocks();
 
-              // unpause pool
-              await pool
-                .connect(owner)
-                .setPausedStatus(ethers.ZeroAddress, false);
+          // Deploy Lending Pool contract
+          pool = await deployPool(DAI.target, daiFeed.target, vaultInfoParams);
 
-              // add supported ERC20 tokens
-              await setupTokenVault(
-                WETH.target,
-                wethFeed.target,
-                vaultInfoParams,
-                true
-              );
-              await setupTokenVault(
-                WBTC.target,
-                wbtcFeed.target,
-                vaultInfoParams,
-                true
-              );
-            });
-            it("should return correct price", async () => {
-              const price1 = await pool.getTokenPrice(WETH.target);
-              let expected_price1 = (await wethFeed.latestRoundData())[1];
-              expected_price1 = scaleAmount(expected_price1, 10); // scale by 10^10
-              expect(Number(price1)).to.be.equal(expected_price1);
+          // unpause pool
+          await pool.connect(owner).setPausedStatus(ethers.ZeroAddress, false);
 
-              const price2 = await pool.getTokenPrice(WBTC.target);
-              let expected_price2 = (await wbtcFeed.latestRoundData())[1];
-              expected_price2 = scaleAmount(expected_price2, 10); // scale by 10^10
-              expect(Number(price2)).to.be.equal(expected_price2);
-            });
-            it("should return price scaled by 18 decimals", async () => {
-              const token = await deployERC20Mock("USD coinbase", "USDC", 6);
-              const tokenFeed = await deployAggregatorMock(
-                scaleAmount(1, 8),
-                8
-              ); // 1USDC = 1$
-              await setupTokenVault(
-                token.target,
-                tokenFeed.target,
-                vaultInfoParams,
-                true
-              );
-              let price = await pool.getTokenPrice(token.target);
-              const expected_price = getAmountInWei(1); // 1e18
-              expect(price).to.be.equal(expected_price);
-            });
-            it("should return zero price if token is not supported", async () => {
-              const token3 = await deployERC20Mock("USDT", "USDT", 6);
-              const price = await pool.getTokenPrice(token3.target);
-              expect(price).to.be.equal(0);
-            });
-            it("should revert if price is outdated", async () => {
-              const period = 3 * 24 * 3600; // 3h
-              await moveTime(period);
-              await expect(
-                pool.getTokenPrice(WETH.target)
-              ).to.be.revertedWithCustomError(pool, "InvalidPrice");
-            });
-            it("should revert if price is below zero", async () => {
-              await wethFeed.updateAnswer(0);
-              await expect(
-                pool.getTokenPrice(WETH.target)
-              ).to.be.revertedWithCustomError(pool, "InvalidPrice");
-            });
-          });
-          describe("getAmountInUSD()", () => {
-            before(async () => {
-              // Deploy ERC20 and USD price feeds mocks
-              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
-                await deployTokenMocks();
+          await setupTokenVault(
+            WETH.target,
+            wethFeed.target,
+            vaultInfoParams,
+            true
+          );
 
-              // Deploy Lending Pool contract
-              pool = await deployPool(
-                DAI.target,
-                daiFeed.target,
-                vaultInfoParams
-              );
+          debtToken = await deployDebtToken(
+            pool.target,
+            DAI.target,
+            "Lending Pool DAI Debt",
+            "debtDAI"
+          );
 
-              // unpause pool
-              await pool
-                .connect(owner)
-                .setPausedStatus(ethers.ZeroAddress, false);
+          // user 1 supplies DAI
+          await mintERC20(user1, DAI.target, getAmountInWei(10000));
+          await supply(user1, DAI.target, getAmountInWei(10000), pool);
 
-              // add supported ERC20 tokens
-              await setupTokenVault(
-                WETH.target,
-                wethFeed.target,
-                vaultInfoParams,
-                true
-              );
-              await setupTokenVault(
-                WBTC.target,
-                wbtcFeed.target,
-                vaultInfoParams,
-                true
-              );
-            });
-            it("should return correct amount in USD", async () => {
-              const ethAmount = getAmountInWei(10); // 10 ETH
-              const ethToUSDAmount = await pool.getAmountInUSD(
-                WETH.target,
-                ethAmount
-              );
-              let price1 = (await wethFeed.latestRoundData())[1];
-              scaled_price1 = scaleAmount(Number(price1), 10); // scale by 10^10
-              const expectedUsdAmount1 = scaled_price1 * 10;
-              expect(Number(ethToUSDAmount)).to.be.equal(expectedUsdAmount1);
+          // user 2 supplies WETH
+          await mintERC20(user2, WETH.target, getAmountInWei(10));
+          await supply(user2, WETH.target, getAmountInWei(10), pool);
+        });
+        describe("setDebtToken()", () => {
+          it("only owner should be allowed to set vault debt token", async () => {
+            await expect(
+              pool
+                .connect(randomUser)
+                .setDebtToken(DAI.target, debtToken.target)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+          });
+          it("should revert if debt token is bound to another vault", async () => {
+            await expect(
+              pool.connect(owner).setDebtToken(WETH.target, debtToken.target)
+            )
+              .to.be.revertedWithCustomError(pool, "InvalidDebtToken")
+              .withArgs(debtToken.target);
+          });
+          it("should set vault debt token", async () => {
+            await expect(
+              pool.connect(owner).setDebtToken(DAI.target, debtToken.target)
+            )
+              .to.emit(pool, "DebtTokenUpdated")
+              .withArgs(DAI.target, debtToken.target);
+            expect(await pool.debtTokens(DAI.target)).to.equal(
+              debtToken.target
+            );
+            expect(await debtToken.symbol()).to.equal("debtDAI");
+            expect(await debtToken.decimals()).to.equal(18);
+          });
+        });
+        describe("Debt balances", () => {
+          it("should mint debt tokens on borrow", async () => {
+            const amount = getAmountInWei(5000);
+            await expect(pool.connect(user2).borrow(DAI.target, amount))
+              .to.emit(debtToken, "Transfer")
+              .withArgs(ethers.ZeroAddress, user2.address, amount);
+            expect(await debtToken.balanceOf(user2.address)).to.equal(amount);
+            expect(await debtToken.totalSupply()).to.equal(amount);
+          });
+          it("should include accrued interest in debt balance", async () => {
+            await moveTime(30 * 24 * 3600);
+            await pool.accrueInterest(DAI.target);
 
-              const wbtcAmount = getAmountInWei(5); // 5 BTC
-              const wbtcToUSDAmount = await pool.getAmountInUSD(
-                WETH.target,
-                wbtcAmount
-              );
-              let price2 = (await wethFeed.latestRoundData())[1];
-              scaled_price2 = scaleAmount(Number(price2), 10); // scale by 10^10
-              const expectedUsdAmount2 = scaled_price2 * 5;
-              expect(Number(wbtcToUSDAmount)).to.be.equal(expectedUsdAmount2);
-            });
+            const [, borrowShares] = await pool.getUserTokenCollateralAndBorrow(
+              user2.address,
+              DAI.target
+            );
+            const debt = await debtToken.balanceOf(user2.address);
+            expect(debt).to.be.greaterThan(getAmountInWei(5000));
+            expect(debt).to.equal(
+              await pool.sharesToAmount(DAI.target, borrowShares, false)
+            );
+            const vault = await pool.getTokenVault(DAI.target);
+            expect(await debtToken.totalSupply()).to.equal(
+              vault.totalBorrow.amount
+            );
+          });
+          it("should include pending interest in debt balance", async () => {
+            await moveTime(30 * 24 * 3600);
+
+            const [, borrowShares] = await pool.getUserTokenCollateralAndBorrow(
+              user2.address,
+              DAI.target
+            );
+            const storedDebt = await pool.sharesToAmount(
+              DAI.target,
+              borrowShares,
+              false
+            );
+            const vault = await pool.getTokenVault(DAI.target);
+            const debt = await debtToken.balanceOf(user2.address);
+            const totalDebt = await debtToken.totalSupply();
+            expect(debt).to.be.greaterThan(storedDebt);
+            expect(totalDebt).to.be.greaterThan(vault.totalBorrow.amount);
+
+            // accruing adds the interest of one more second
+            await pool.accrueInterest(DAI.target);
+            expect(
+              await pool.sharesToAmount(DAI.target, borrowShares, false)
+            ).to.be.closeTo(debt, getAmountInWei(0.001));
+            expect(
+              (await pool.getTokenVault(DAI.target)).totalBorrow.amount
+            ).to.be.closeTo(totalDebt, getAmountInWei(0.001));
+          });
+          it("should not allow debt transfers", async () => {
+            await expect(
+              debtToken.connect(user2).transfer(user3.address, 1)
+            ).to.be.revertedWithCustomError(debtToken, "OperationNotSupported");
+            await expect(
+              debtToken.connect(user2).approve(user3.address, 1)
+            ).to.be.revertedWithCustomError(debtToken, "OperationNotSupported");
+            await expect(
+              debtToken
+                .connect(user3)
+                .transferFrom(user2.address, user3.address, 1)
+            ).to.be.revertedWithCustomError(debtToken, "OperationNotSupported");
+            await expect(
+              debtToken.allowance(user2.address, user3.address)
+            ).to.be.revertedWithCustomError(debtToken, "OperationNotSupported");
+          });
+          it("should burn debt tokens on repay", async () => {
+            const amount = getAmountInWei(1000);
+            await approveERC20(user2, DAI.target, amount, pool.target);
+            await expect(pool.connect(user2).repay(DAI.target, amount))
+              .to.emit(debtToken, "Transfer")
+              .withArgs(user2.address, ethers.ZeroAddress, amount);
+          });
+        });
+        describe("Credit delegation", () => {
+          it("should delegate borrow allowance", async () => {
+            const amount = getAmountInWei(2000);
+            await expect(
+              debtToken.connect(user2).approveDelegation(user3.address, amount)
+            )
+              .to.emit(pool, "BorrowAllowanceDelegated")
+              .withArgs(user2.address, user3.address, DAI.target, amount);
+            expect(
+              await debtToken.borrowAllowance(user2.address, user3.address)
+            ).to.equal(amount);
+            expect(
+              await pool.getBorrowAllowance(
+                user2.address,
+                user3.address,
+                DAI.target
+              )
+            ).to.equal(amount);
+          });
+          it("should only allow debt token to delegate allowances", async () => {
+            await expect(
+              pool
+                .connect(user3)
+                .delegateBorrowAllowance(
+                  DAI.target,
+                  user2.address,
+                  user3.address,
+                  getAmountInWei(1)
+                )
+            ).to.be.revertedWithCustomError(pool, "NotDebtToken");
+            await expect(
+              debtToken
+                .connect(user3)
+                .emitTransfer(ethers.ZeroAddress, user3.address, 1)
+            ).to.be.revertedWithCustomError(debtToken, "NotPool");
           });
         });
       });
-
       describe("Admin Functions", () => {
         before(async () => {
           // Deploy ERC20 and USD price feeds mocks
@@ -1538,6 +6453,208 @@ let vaultInfoParams = {
               true
             );
         });
+        it("should revert if vault risk parameters are invalid", async () => {
+          const WETH = await deployERC20Mock("ether", "ETH", 18);
+          const wethFeed = await deployAggregatorMock(scaleAmount(2000, 8), 8); // 1ETH = 2000$
+          await expect(
+            setupTokenVault(
+              WETH.target,
+              wethFeed.target,
+              { ...vaultInfoParams, liquidationThreshold: 100001 },
+              true
+            )
+          ).to.be.revertedWithCustomError(pool, "InvalidLiquidationThreshold");
+          await expect(
+            setupTokenVault(
+              WETH.target,
+              wethFeed.target,
+              { ...vaultInfoParams, maxLTV: 85000 },
+              true
+            )
+          ).to.be.revertedWithCustomError(pool, "InvalidMaxLTV");
+          await expect(
+            setupTokenVault(
+              WETH.target,
+              wethFeed.target,
+              { ...vaultInfoParams, liquidationBonus: 30000 },
+              true
+            )
+          ).to.be.revertedWithCustomError(pool, "InvalidLiquidationBonus");
+          // bonus would make liquidations lower the health factor
+          await expect(
+            setupTokenVault(
+              WETH.target,
+              wethFeed.target,
+              {
+                ...vaultInfoParams,
+                liquidationThreshold: 98000,
+                liquidationBonus: 5000,
+              },
+              true
+            )
+          ).to.be.revertedWithCustomError(pool, "InvalidLiquidationBonus");
+          // dutch auction max bonus below min bonus
+          await expect(
+            setupTokenVault(
+              WETH.target,
+              wethFeed.target,
+              { ...vaultInfoParams, maxLiquidationBonus: 4000 },
+              true
+            )
+          ).to.be.revertedWithCustomError(pool, "InvalidLiquidationBonus");
+          // dutch auction max bonus would make liquidations lower the health factor
+          await expect(
+            setupTokenVault(
+              WETH.target,
+              wethFeed.target,
+              {
+                ...vaultInfoParams,
+                liquidationThreshold: 90000,
+                maxLiquidationBonus: 15000,
+                liquidationBonusSlope: 100000,
+              },
+              true
+            )
+          ).to.be.revertedWithCustomError(pool, "InvalidLiquidationBonus");
+          // dutch auction without bonus slope
+          await expect(
+            setupTokenVault(
+              WETH.target,
+              wethFeed.target,
+              { ...vaultInfoParams, maxLiquidationBonus: 10000 },
+              true
+            )
+          )
+            .to.be.revertedWithCustomError(pool, "InvalidLiquidationBonusSlope")
+            .withArgs(0);
+          await expect(
+            setupTokenVault(
+              WETH.target,
+              wethFeed.target,
+              {
+                ...vaultInfoParams,
+                maxLiquidationBonus: 10000,
+                liquidationBonusSlope: 1000001,
+              },
+              true
+            )
+          )
+            .to.be.revertedWithCustomError(pool, "InvalidLiquidationBonusSlope")
+            .withArgs(1000001);
+          await expect(
+            setupTokenVault(
+              WETH.target,
+              wethFeed.target,
+              { ...vaultInfoParams, closeFactor: 0 },
+              true
+            )
+          ).to.be.revertedWithCustomError(pool, "InvalidCloseFactor");
+          await expect(
+            setupTokenVault(
+              WETH.target,
+              wethFeed.target,
+              { ...vaultInfoParams, closeFactor: 100001 },
+              true
+            )
+          ).to.be.revertedWithCustomError(pool, "InvalidCloseFactor");
+        });
+        it("only owner should be allowed to set token oracle config", async () => {
+          const secondaryFeed = await deployAggregatorMock(
+            scaleAmount(1, 8),
+            8
+          );
+          const config = {
+            priceFeed: daiFeed.target,
+            secondaryPriceFeed: secondaryFeed.target,
+            heartbeat: 3600,
+            secondaryHeartbeat: 3600,
+            maxDeviation: 1000,
+          };
+          await expect(
+            pool.connect(randomUser).setOracleConfig(DAI.target, config)
+          ).to.be.revertedWith("Ownable: caller is not the owner");
+          await expect(pool.connect(owner).setOracleConfig(DAI.target, config))
+            .to.emit(pool, "OracleConfigUpdated")
+            .withArgs(DAI.target, [
+              daiFeed.target,
+              secondaryFeed.target,
+              3600,
+              3600,
+              1000,
+            ]);
+          const oracle = await pool.getOracleConfig(DAI.target);
+          expect(oracle.secondaryPriceFeed).to.equal(secondaryFeed.target);
+          expect(oracle.heartbeat).to.equal(3600);
+        });
+        it("should revert if token oracle config is invalid", async () => {
+          const config = {
+            priceFeed: daiFeed.target,
+            secondaryPriceFeed: ethers.ZeroAddress,
+            heartbeat: 3600,
+            secondaryHeartbeat: 0,
+            maxDeviation: 0,
+          };
+          const token = await deployERC20Mock("USDT", "USDT", 6);
+          await expect(
+            pool.connect(owner).setOracleConfig(token.target, config)
+          ).to.be.revertedWithCustomError(pool, "TokenNotSupported");
+          await expect(
+            pool.connect(owner).setOracleConfig(DAI.target, {
+              ...config,
+              priceFeed: ethers.ZeroAddress,
+            })
+          ).to.be.revertedWithCustomError(pool, "InvalidPriceFeed");
+          await expect(
+            pool.connect(owner).setOracleConfig(DAI.target, {
+              ...config,
+              secondaryPriceFeed: daiFeed.target,
+              secondaryHeartbeat: 3600,
+            })
+          ).to.be.revertedWithCustomError(pool, "InvalidPriceFeed");
+          await expect(
+            pool
+              .connect(owner)
+              .setOracleConfig(DAI.target, { ...config, heartbeat: 0 })
+          )
+            .to.be.revertedWithCustomError(pool, "InvalidHeartbeat")
+            .withArgs(0);
+          await expect(
+            pool
+              .connect(owner)
+              .setOracleConfig(DAI.target, { ...config, maxDeviation: 100001 })
+          )
+            .to.be.revertedWithCustomError(pool, "InvalidMaxDeviation")
+            .withArgs(100001);
+        });
+        it("only owner should be allowed to set sequencer config", async () => {
+          const sequencerFeed = await deployAggregatorMock(0, 0);
+          const config = {
+            uptimeFeed: sequencerFeed.target,
+            gracePeriod: 3600,
+            allowLiquidationsDuringGracePeriod: false,
+          };
+          await expect(
+            pool.connect(randomUser).setSequencerConfig(config)
+          ).to.be.revertedWith("Ownable: caller is not the owner");
+          await expect(
+            pool
+              .connect(owner)
+              .setSequencerConfig({ ...config, gracePeriod: 2 * 24 * 3600 })
+          )
+            .to.be.revertedWithCustomError(pool, "InvalidGracePeriod")
+            .withArgs(2 * 24 * 3600);
+          await expect(pool.connect(owner).setSequencerConfig(config))
+            .to.emit(pool, "SequencerConfigUpdated")
+            .withArgs([sequencerFeed.target, 3600, false]);
+          const sequencer = await pool.getSequencerConfig();
+          expect(sequencer.uptimeFeed).to.equal(sequencerFeed.target);
+
+          // disable the check
+          await pool.connect(owner).setSequencerConfig({
+            ...config,
+            uptimeFeed: ethers.ZeroAddress,
+          });
+        });
         it("should not be able to setup vault when it isn't paused", async () => {
           // Deploy ERC20 mocks contract for testing
           const WETH = await deployERC20Mock("ether", "ETH", 18);
@@ -1599,15 +6716,151 @@ async function setupTokenVault(
 }
 
 async function deployPool(daiAddress, daiPriceFeed, daiVaultParams) {
+  const liquidationManager = await ethers.deployContract("LiquidationManager");
+  const poolConfigurator = await ethers.deployContract("PoolConfigurator");
   const pool = await ethers.deployContract("LendingPool", [
     daiAddress,
     daiPriceFeed,
     daiVaultParams,
+    liquidationManager.target,
+    poolConfigurator.target,
   ]);
   await pool.waitForDeployment();
   return pool;
 }
 
+async function deployKinkStrategy(params) {
+  const strategy = await ethers.deployContract("KinkInterestRateStrategy", [
+    params.optimalUtilization,
+    params.baseRate,
+    params.slope1,
+    params.slope2,
+  ]);
+  await strategy.waitForDeployment();
+  return strategy;
+}
+
+async function deployShareToken(poolAddress, token, name, symbol) {
+  const shareToken = await ethers.deployContract("SupplyShareToken", [
+    poolAddress,
+    token,
+    name,
+    symbol,
+  ]);
+  await shareToken.waitForDeployment();
+  return shareToken;
+}
+
+async function deployDebtToken(poolAddress, token, name, symbol) {
+  const debtToken = await ethers.deployContract("VariableDebtToken", [
+    poolAddress,
+    token,
+    name,
+    symbol,
+  ]);
+  await debtToken.waitForDeployment();
+  return debtToken;
+}
+
+// builds a LendingPool batch action (see PoolStructs.Action)
+function action(actionType, token, amount, limit = 0) {
+  return { actionType, token, amount, limit };
+}
+
+// builds a LendingPool batch liquidation leg (see PoolStructs.LiquidationLeg)
+function leg(collateral, debtToken, amount, receiveShares = false) {
+  return {
+    collateral: collateral.target,
+    debtToken: debtToken.target,
+    amount,
+    receiveShares,
+  };
+}
+
+// deterministic pseudo random BigInt generator (64 bits LCG)
+function randomGenerator(seed) {
+  let state = seed;
+  return (min, max) => {
+    state = (state * 6364136223846793005n + 1442695040888963407n) % 2n ** 64n;
+    return min + (state % (max - min + 1n));
+  };
+}
+
+async function userCollateral(user, token) {
+  const [shares] = await pool.getUserTokenCollateralAndBorrow(
+    user.address,
+    token.target
+  );
+  return shares;
+}
+
+// liquidations accrue the debt vault first, then the collateral vault
+function collateralAccrual(receipt) {
+  return receipt.logs
+    .map((log) => pool.interface.parseLog(log))
+    .filter((e) => e && e.name === "AccruedInterest")
+    .pop().args;
+}
+
+async function time() {
+  return (await ethers.provider.getBlock("latest")).timestamp;
+}
+
+// signs an EIP-2612 permit of an ERC20PermitMock token
+async function signPermit(user, token, spender, value, deadline) {
+  const domain = {
+    name: await token.name(),
+    version: "1",
+    chainId: (await ethers.provider.getNetwork()).chainId,
+    verifyingContract: token.target,
+  };
+  const types = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+  const signature = await user.signTypedData(domain, types, {
+    owner: user.address,
+    spender,
+    value,
+    nonce: await token.nonces(user.address),
+    deadline,
+  });
+  return ethers.Signature.from(signature);
+}
+
+async function buildPermitSingle(permit2, user, token, spender, amount) {
+  const [, , nonce] = await permit2.allowance(user.address, token, spender);
+  const deadline = (await time()) + 7200;
+  return {
+    details: { token, amount, expiration: deadline, nonce },
+    spender,
+    sigDeadline: deadline,
+  };
+}
+
+// signs a Permit2Mock permit (see Permit2Mock.permit)
+async function signPermit2(user, permitSingle) {
+  const { details, spender, sigDeadline } = permitSingle;
+  const hash = ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["tuple(tuple(address,uint160,uint48,uint48),address,uint256)"],
+      [
+        [
+          [details.token, details.amount, details.expiration, details.nonce],
+          spender,
+          sigDeadline,
+        ],
+      ]
+    )
+  );
+  return user.signMessage(ethers.getBytes(hash));
+}
+
 async function deployTokenMocks() {
   // Deploy ERC20 mocks contract for testing
   const DAI = await deployERC20Mock("dai", "DAI", 18);
@@ -66,6 +66,11 @@ async function approveERC20(account, erc20Address, approvedAmount, spender) {
   await tx.wait(1);
 }
 
+async function mintAndapproveERC20(account, erc20Address, amount, spender) {
+  await mintERC20(account, erc20Address, amount);
+  await approveERC20(account, erc20Address, amount, spender);
+}
+
 module.exports = {
   developmentChains,
   normalizeAmount,
@@ -77,6 +82,7 @@ module.exports = {
   deployERC20Mock,
   mintERC20,
   approveERC20,
+  mintAndapproveERC20,
   moveTime,
   round,
 };
@@ -0,0 +1,46 @@
+/*
+    Reads a lending pool vault rates and formats them for dashboards
+    All on-chain rates are annual values in 1e18 precision
+*/
+
+const { ethers } = require("ethers");
+
+const RATE_DECIMALS = 18;
+
+// converts a 1e18 precision rate to a plain number (0.025 for 2.5%)
+function rateToNumber(rate) {
+  return Number(ethers.formatUnits(rate, RATE_DECIMALS));
+}
+
+// formats a 1e18 precision rate as a percentage string ("2.50%")
+function formatRate(rate, fractionDigits = 2) {
+  return `${(rateToNumber(rate) * 100).toFixed(fractionDigits)}%`;
+}
+
+async function getVaultRates(pool, token) {
+  const [utilization, borrowRate, supplyRate, [borrowAPY, supplyAPY]] =
+    await Promise.all([
+      pool.getUtilization(token),
+      pool.getBorrowRate(token),
+      pool.getSupplyRate(token),
+      pool.getVaultAPY(token),
+    ]);
+  return { utilization, borrowRate, supplyRate, borrowAPY, supplyAPY };
+}
+
+async function getFormattedVaultRates(pool, token, fractionDigits = 2) {
+  const rates = await getVaultRates(pool, token);
+  return Object.fromEntries(
+    Object.entries(rates).map(([key, rate]) => [
+      key,
+      formatRate(rate, fractionDigits),
+    ])
+  );
+}
+
+module.exports = {
+  rateToNumber,
+  formatRate,
+  getVaultRates,
+  getFormattedVaultRates,
+};